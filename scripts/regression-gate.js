@@ -30,7 +30,20 @@ const ALL_TEST_FILES = [
     'tests/key-detector.test.js',
     'tests/functional-contract.test.js',
     'tests/behavioral-regression.test.js',
-    'tests/suggestion-engine.test.js'
+    'tests/suggestion-engine.test.js',
+    'tests/pitch-spelling.test.js',
+    'tests/chord-symbol.test.js',
+    'tests/capture-window.test.js',
+    'tests/midi-clock.test.js',
+    'tests/modulation-tracker.test.js',
+    'tests/harmonic-function.test.js',
+    'tests/modal-context.test.js',
+    'tests/scale-harmonizer.test.js',
+    'tests/progression-analysis.test.js',
+    'tests/progression-model.test.js',
+    'tests/style-profiles.test.js',
+    'tests/substitution-engine.test.js',
+    'tests/progression-transform.test.js'
 ];
 
 // Component mapping: test file → affected component
@@ -74,6 +87,71 @@ const COMPONENT_MAP = {
         component: 'Suggestion Engine',
         files: ['src/suggestion-engine.js', 'src/scale-dictionary.js', 'src/chord-dictionary.js'],
         description: 'Harmonic suggestions: diatonic chords, scale recommendations, chord extensions, progression builder, chord metadata'
+    },
+    'pitch-spelling.test.js': {
+        component: 'Pitch Spelling',
+        files: ['src/pitch-spelling.js', 'src/note-utils.js'],
+        description: 'Note-name parsing and key-aware enharmonic spelling'
+    },
+    'chord-symbol.test.js': {
+        component: 'Chord Symbols',
+        files: ['src/chord-symbol.js', 'src/chord-dictionary.js', 'src/pitch-spelling.js'],
+        description: 'Chord-symbol parsing (verbose and lead-sheet) and verbose/pop/jazz formatting'
+    },
+    'capture-window.test.js': {
+        component: 'Capture Window',
+        files: ['src/capture-window.js', 'src/harmonic-analyzer.js'],
+        description: 'Rolling onset window for strummed and arpeggiated chords'
+    },
+    'midi-clock.test.js': {
+        component: 'MIDI Clock',
+        files: ['src/midi-clock.js', 'src/midi-manager.js', 'src/midi-output.js'],
+        description: 'Host tempo, transport and song position; clock-locked playback'
+    },
+    'modulation-tracker.test.js': {
+        component: 'Modulation Tracker',
+        files: ['src/modulation-tracker.js', 'src/chord-symbol.js'],
+        description: 'Key regions over the session: pivot/direct modulations and tonicizations'
+    },
+    'harmonic-function.test.js': {
+        component: 'Harmonic Function',
+        files: ['src/harmonic-function.js', 'src/suggestion-engine.js', 'src/chord-symbol.js'],
+        description: 'Roman-numeral function labels: secondary dominants, borrowed chords, Neapolitan, augmented sixths'
+    },
+    'modal-context.test.js': {
+        component: 'Modal Context',
+        files: ['src/modal-context.js', 'src/scale-dictionary.js', 'src/chord-dictionary.js'],
+        description: 'Mode detection, colour-ranked modal suggestions, interchange and drift warnings'
+    },
+    'scale-harmonizer.test.js': {
+        component: 'Scale Harmonizer',
+        files: ['src/scale-harmonizer.js', 'src/suggestion-engine.js', 'src/modal-context.js'],
+        description: 'Tertian, sus and quartal chords for pentatonic, blues and symmetric scales'
+    },
+    'progression-analysis.test.js': {
+        component: 'Progression Analysis',
+        files: ['src/progression-analysis.js', 'src/harmonic-function.js'],
+        description: 'Bank analysis: figured numerals, T/PD/D functions, cadences and phrases'
+    },
+    'progression-model.test.js': {
+        component: 'Progression Model',
+        files: ['src/progression-model.js', 'src/suggestion-engine.js', 'src/harmonic-function.js'],
+        description: 'Learned chord-function n-grams blended into next-chord suggestions; save/load'
+    },
+    'style-profiles.test.js': {
+        component: 'Style Profiles',
+        files: ['src/style-profiles.js', 'src/styles', 'src/suggestion-engine.js', 'src/modal-context.js'],
+        description: 'Pop, jazz, gospel, EDM and film weightings for next-chord and modal suggestions'
+    },
+    'substitution-engine.test.js': {
+        component: 'Substitution Engine',
+        files: ['src/substitution-engine.js', 'src/harmonic-function.js', 'src/pitch-spelling.js'],
+        description: 'Tritone, relative, secondary-dominant, passing-diminished, backdoor and approach substitutions'
+    },
+    'progression-transform.test.js': {
+        component: 'Progression Transform',
+        files: ['src/progression-transform.js', 'src/chord-dictionary.js', 'src/pitch-spelling.js'],
+        description: 'Negative harmony, retrograde, rotation, degree transposition and modal re-mapping of banks'
     }
 };
 
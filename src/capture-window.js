@@ -0,0 +1,103 @@
+/**
+ * Capture Window
+ * ==============
+ * Rolling window of recent note onsets, so broken chords, strums, arpeggios and
+ * Alberti bass figures are analyzed as one chord. NO DOM access.
+ *
+ * The window is measured in milliseconds ('time') or in beats at a tempo ('beats').
+ * Notes stay in the window for its length after their onset, whether or not the
+ * key is still down; held notes are merged in by getNotes().
+ */
+
+const CAPTURE_MODES = ['off', 'time', 'beats'];
+
+const DEFAULT_OPTIONS = {
+    mode: 'off',
+    windowMs: 500,
+    beats: 1,
+    bpm: 120
+};
+
+class CaptureWindow {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='off'] - 'off' | 'time' | 'beats'
+     * @param {number} [options.windowMs=500] - Window length in 'time' mode
+     * @param {number} [options.beats=1] - Window length in 'beats' mode
+     * @param {number} [options.bpm=120] - Tempo for 'beats' mode
+     */
+    constructor(options = {}) {
+        this.onsets = []; // { note, time }, oldest first
+        this.options = { ...DEFAULT_OPTIONS };
+        this.configure(options);
+    }
+
+    /**
+     * Update any subset of the options. Invalid values are ignored.
+     */
+    configure(options = {}) {
+        const { mode, windowMs, beats, bpm } = options;
+        if (CAPTURE_MODES.includes(mode)) this.options.mode = mode;
+        if (Number.isFinite(windowMs) && windowMs > 0) this.options.windowMs = windowMs;
+        if (Number.isFinite(beats) && beats > 0) this.options.beats = beats;
+        if (Number.isFinite(bpm) && bpm > 0) this.options.bpm = bpm;
+        if (this.options.mode === 'off') this.onsets = [];
+    }
+
+    isEnabled() {
+        return this.options.mode !== 'off';
+    }
+
+    /**
+     * Window length in milliseconds (0 when off).
+     */
+    getWindowMs() {
+        const { mode, windowMs, beats, bpm } = this.options;
+        if (mode === 'time') return windowMs;
+        if (mode === 'beats') return beats * 60000 / bpm;
+        return 0;
+    }
+
+    /**
+     * Record a note onset.
+     * @param {number} note - MIDI note number
+     * @param {number} [time=Date.now()] - Onset time in ms
+     */
+    addOnset(note, time = Date.now()) {
+        if (!this.isEnabled()) return;
+        this.prune(time);
+        this.onsets.push({ note, time });
+    }
+
+    /**
+     * Drop onsets that have left the window.
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - this.getWindowMs();
+        while (this.onsets.length > 0 && this.onsets[0].time < cutoff) {
+            this.onsets.shift();
+        }
+    }
+
+    /**
+     * Notes in the window merged with the notes still held.
+     * @param {number[]} [heldNotes=[]] - Currently sounding notes (keys / pedal)
+     * @param {number} [now=Date.now()]
+     * @returns {number[]} Sorted, de-duplicated MIDI notes
+     */
+    getNotes(heldNotes = [], now = Date.now()) {
+        if (!this.isEnabled()) return [...heldNotes].sort((a, b) => a - b);
+        this.prune(now);
+        const notes = new Set(heldNotes);
+        this.onsets.forEach(onset => notes.add(onset.note));
+        return Array.from(notes).sort((a, b) => a - b);
+    }
+
+    reset() {
+        this.onsets = [];
+    }
+}
+
+CaptureWindow.CAPTURE_MODES = CAPTURE_MODES;
+
+module.exports = CaptureWindow;
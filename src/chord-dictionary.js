@@ -2,6 +2,8 @@
  * Chord Dictionary
  * Maps standardized interval sets (relative to root) to chord names.
  * Intervals are semitones: 0 = Root, 3 = Minor Third, 4 = Major Third, 7 = Perfect Fifth, etc.
+ * Extensions use compound intervals: 13 = b9, 14 = 9, 15 = #9, 17 = 11, 18 = #11, 21 = 13.
+ * Matching reduces them to pitch classes, voicing (getChordIntervals) keeps the octave.
  */
 
 const CHORD_INTERVALS = {
@@ -35,13 +37,62 @@ const CHORD_INTERVALS = {
 
     // Add9
     "0,4,7,14": "Add9",
-    "0,3,7,14": "mAdd9"
+    "0,3,7,14": "mAdd9",
+    "0,4,7,9,14": "Maj6/9",
+
+    // Ninths
+    "0,4,7,10,14": "Dom9",
+    "0,4,7,11,14": "Maj9",
+    "0,3,7,10,14": "Min9",
+    "0,5,7,10,14": "9sus4",
+
+    // Elevenths & Thirteenths
+    "0,4,7,10,14,17": "Dom11",
+    "0,3,7,10,14,17": "Min11",
+    "0,4,7,10,14,21": "Dom13",
+    "0,5,7,10,14,21": "13sus4",
+
+    // Altered dominants
+    "0,4,7,10,13": "7b9",
+    "0,4,7,10,15": "7#9",
+    "0,4,7,10,18": "7#11"
 };
 
+/**
+ * Reduce an interval list to a sorted, de-duplicated pitch-class key ("0,2,4,7").
+ */
+function toPitchClassKey(intervals) {
+    return [...new Set(intervals.map(i => ((i % 12) + 12) % 12))]
+        .sort((a, b) => a - b)
+        .join(',');
+}
+
+// Pitch-class index: compound entries become reachable from mod-12 input.
+// The first dictionary entry wins when two entries reduce to the same set.
+const PITCH_CLASS_INDEX = {};
+for (const [key, name] of Object.entries(CHORD_INTERVALS)) {
+    const pcKey = toPitchClassKey(key.split(',').map(Number));
+    if (!(pcKey in PITCH_CLASS_INDEX)) PITCH_CLASS_INDEX[pcKey] = name;
+}
+
 // Helper to lookup
 function getChordName(intervals) {
     const key = intervals.join(',');
-    return CHORD_INTERVALS[key] || null;
+    return CHORD_INTERVALS[key] || PITCH_CLASS_INDEX[toPitchClassKey(intervals)] || null;
+}
+
+/**
+ * Reverse lookup: canonical (compound) intervals for a quality name.
+ * @param {string} quality - e.g. "Dom9"
+ * @returns {number[]|null} e.g. [0, 4, 7, 10, 14]
+ */
+function getChordIntervals(quality) {
+    for (const [key, val] of Object.entries(CHORD_INTERVALS)) {
+        if (val === quality) {
+            return key.split(',').map(Number);
+        }
+    }
+    return null;
 }
 
-module.exports = { getChordName, CHORD_INTERVALS };
+module.exports = { getChordName, getChordIntervals, toPitchClassKey, CHORD_INTERVALS };
@@ -0,0 +1,241 @@
+/**
+ * Chord Symbols
+ * =============
+ * One parser and formatter for chord names. NO DOM access.
+ *
+ * Parses both the app's verbose names ("F# m7b5 (Half-Dim)", "C Sus4 add2", "C Major/E")
+ * and lead-sheet notation ("F#m7b5", "Cmaj7", "Bb7(#11)", "G/B", "C6/9", "Dsus2")
+ * into one structured chord, and formats it back as verbose, pop or jazz text.
+ * Verbose is the app's canonical form: history, banks and suggestions store it.
+ */
+
+const { getChordIntervals } = require('./chord-dictionary');
+const { noteToPC, normalizeNoteName, spellPitchClass, NOTE_NAME_PATTERN } = require('./pitch-spelling');
+
+const CHORD_STYLES = ['verbose', 'pop', 'jazz'];
+
+// Quality (chord-dictionary name) → pop symbol, jazz symbol and accepted lead-sheet spellings.
+// Aliases are matched after normalizeSuffix() (no spaces, parentheses or commas; ASCII accidentals).
+const QUALITY_SYMBOLS = {
+    'Major': { pop: '', jazz: '', aliases: ['', 'maj', 'M', 'major'] },
+    'Minor': { pop: 'm', jazz: '-', aliases: ['m', 'min', 'mi', '-', 'minor'] },
+    'Diminished': { pop: 'dim', jazz: '°', aliases: ['dim', '°', 'o'] },
+    'Augmented': { pop: 'aug', jazz: '+', aliases: ['aug', '+', '+5', '#5'] },
+    'Maj7': { pop: 'maj7', jazz: 'Δ7', aliases: ['maj7', 'M7', 'ma7', 'Δ7', 'Δ', 'j7'] },
+    'Dom7': { pop: '7', jazz: '7', aliases: ['7', 'dom7'] },
+    'Min7': { pop: 'm7', jazz: '-7', aliases: ['m7', 'min7', 'mi7', '-7'] },
+    'MinMaj7': { pop: 'm(maj7)', jazz: '-Δ7', aliases: ['mmaj7', 'mM7', 'minmaj7', '-maj7', '-Δ7'] },
+    'm7b5 (Half-Dim)': { pop: 'm7b5', jazz: 'ø7', aliases: ['m7b5', 'min7b5', '-7b5', 'm7-5', 'ø', 'ø7'] },
+    'Dim7': { pop: 'dim7', jazz: '°7', aliases: ['dim7', '°7', 'o7'] },
+    'Sus4': { pop: 'sus4', jazz: 'sus4', aliases: ['sus4', 'sus'] },
+    'Sus2': { pop: 'sus2', jazz: 'sus2', aliases: ['sus2'] },
+    '7sus4': { pop: '7sus4', jazz: '7sus4', aliases: ['7sus4', '7sus'] },
+    '5': { pop: '5', jazz: '5', aliases: ['5'] },
+    'Maj6': { pop: '6', jazz: '6', aliases: ['6', 'maj6', 'M6'] },
+    'Min6': { pop: 'm6', jazz: '-6', aliases: ['m6', 'min6', '-6'] },
+    'Add9': { pop: 'add9', jazz: 'add9', aliases: ['add9'] },
+    'mAdd9': { pop: 'm(add9)', jazz: '-(add9)', aliases: ['madd9', 'minadd9', '-add9'] },
+    'Maj6/9': { pop: '6/9', jazz: '6/9', aliases: ['6/9', '69', 'maj6/9'] },
+    'Dom9': { pop: '9', jazz: '9', aliases: ['9', 'dom9'] },
+    'Maj9': { pop: 'maj9', jazz: 'Δ9', aliases: ['maj9', 'M9', 'Δ9'] },
+    'Min9': { pop: 'm9', jazz: '-9', aliases: ['m9', 'min9', '-9'] },
+    '9sus4': { pop: '9sus4', jazz: '9sus4', aliases: ['9sus4', '9sus'] },
+    'Dom11': { pop: '11', jazz: '11', aliases: ['11', 'dom11'] },
+    'Min11': { pop: 'm11', jazz: '-11', aliases: ['m11', 'min11', '-11'] },
+    'Dom13': { pop: '13', jazz: '13', aliases: ['13', 'dom13'] },
+    '13sus4': { pop: '13sus4', jazz: '13sus4', aliases: ['13sus4', '13sus'] },
+    '7b9': { pop: '7b9', jazz: '7(b9)', aliases: ['7b9', '7-9'] },
+    '7#9': { pop: '7#9', jazz: '7(#9)', aliases: ['7#9', '7+9'] },
+    '7#11': { pop: '7#11', jazz: '7(#11)', aliases: ['7#11', '7+11'] }
+};
+
+// Modifiers stacked after a quality ("C Sus4 add2" / "Csus4(add2)") and their effect on the intervals
+const CHORD_MODIFIERS = {
+    'add2': { add: 2 },
+    'add4': { add: 5 },
+    'add6': { add: 9 },
+    'add9': { add: 14 },
+    'add11': { add: 17 },
+    'add13': { add: 21 },
+    'no3': { remove: [3, 4] },
+    'no5': { remove: [7] }
+};
+
+const MODIFIER_SUFFIX_REGEX = /(add(?:2|4|6|9|11|13)|no3|no5)$/;
+const ROOT_REGEX = new RegExp(`^${NOTE_NAME_PATTERN}`, 'u');
+// Slash bass, also after an empty quality ("G/B"); "6/9" is not a bass
+const BASS_REGEX = new RegExp(`^(.*)\\/(${NOTE_NAME_PATTERN})$`, 'u');
+
+// Alias → quality, built once. The quality's own name is always accepted too.
+const ALIAS_INDEX = {};
+for (const [quality, symbols] of Object.entries(QUALITY_SYMBOLS)) {
+    for (const alias of [quality, ...symbols.aliases]) {
+        const key = normalizeSuffix(alias);
+        if (!(key in ALIAS_INDEX)) ALIAS_INDEX[key] = quality;
+    }
+}
+
+// ---- Helpers (internal) ----
+
+/**
+ * Normalize a lead-sheet suffix for alias lookup: "7(#11)" → "7#11", "m(maj7)" → "mmaj7".
+ */
+function normalizeSuffix(suffix) {
+    return suffix
+        .replace(/[\s(),]/g, '')
+        .replace(/♭/g, 'b')
+        .replace(/♯/g, '#')
+        .replace(/−/g, '-')
+        .replace(/º/g, '°');
+}
+
+/**
+ * Resolve a quality text to { baseQuality, modifiers }, or null if unknown.
+ * `words` splits verbose text ("Sus4 add2"); lead-sheet text peels modifiers off the end ("sus4add2").
+ */
+function resolveQuality(text, words) {
+    const modifiers = [];
+    let base = text;
+
+    if (words) {
+        const parts = text.split(/\s+/);
+        while (parts.length > 1 && CHORD_MODIFIERS[parts[parts.length - 1]]) {
+            modifiers.unshift(parts.pop());
+        }
+        base = parts.join(' ');
+        if (QUALITY_SYMBOLS[base]) return { baseQuality: base, modifiers };
+        const alias = ALIAS_INDEX[normalizeSuffix(base)];
+        return alias ? { baseQuality: alias, modifiers } : null;
+    }
+
+    base = normalizeSuffix(text);
+    if (base in ALIAS_INDEX) return { baseQuality: ALIAS_INDEX[base], modifiers };
+
+    let match;
+    while ((match = base.match(MODIFIER_SUFFIX_REGEX))) {
+        modifiers.unshift(match[1]);
+        base = base.slice(0, -match[1].length);
+        if (base in ALIAS_INDEX) return { baseQuality: ALIAS_INDEX[base], modifiers };
+    }
+    return null;
+}
+
+/**
+ * Intervals of a quality with its modifiers applied (compound, sorted), or null if unknown.
+ */
+function buildIntervals(baseQuality, modifiers) {
+    const intervals = getChordIntervals(baseQuality);
+    if (!intervals) return null;
+
+    const set = new Set(intervals);
+    for (const modifier of modifiers) {
+        const effect = CHORD_MODIFIERS[modifier];
+        if (effect.add !== undefined) set.add(effect.add);
+        if (effect.remove) effect.remove.forEach(i => set.delete(i));
+    }
+    return [...set].sort((a, b) => a - b);
+}
+
+// ---- Public API ----
+
+/**
+ * Parse a chord name into a structured chord.
+ *
+ * Verbose names (root, space, quality) accept any quality text so that keys
+ * ("A Minor", "C Blues Minor") parse too; their `intervals` are null when the
+ * quality is not a chord. Lead-sheet symbols must resolve to a known quality.
+ *
+ * @param {string} text - e.g. "C Major/E", "F# m7b5 (Half-Dim)", "Cmaj7", "Bb7(#11)", "G/B"
+ * @returns {{
+ *   root: string, rootPC: number, quality: string, baseQuality: string, modifiers: string[],
+ *   bass: string|null, bassPC: number|null, intervals: number[]|null
+ * }|null} `quality` is the verbose quality the app uses ("Sus4 add2"); null if unparseable
+ */
+function parseChordSymbol(text) {
+    if (!text || typeof text !== 'string') return null;
+    const trimmed = text.trim();
+
+    // Root: the longest note name at the start ("Bb" in "Bb7", not "B")
+    const rootMatch = trimmed.match(ROOT_REGEX);
+    if (!rootMatch) return null;
+    const root = normalizeNoteName(rootMatch[0]);
+    const rootPC = noteToPC(root);
+    const rest = trimmed.slice(rootMatch[0].length);
+
+    // "C Major" (verbose) vs "Cmaj7" (lead sheet)
+    const verbose = /^\s/.test(rest);
+    const bassMatch = rest.trim().match(BASS_REGEX);
+    const qualityText = bassMatch ? bassMatch[1].trim() : rest.trim();
+    const bass = bassMatch ? normalizeNoteName(bassMatch[2]) : null;
+
+    const resolved = resolveQuality(qualityText, verbose);
+    if (!resolved) {
+        if (!verbose) return null;
+        // Unknown verbose quality (a key or scale name): keep it as written
+        return {
+            root, rootPC, quality: qualityText, baseQuality: qualityText, modifiers: [],
+            bass, bassPC: bass ? noteToPC(bass) : null, intervals: null
+        };
+    }
+
+    const { baseQuality, modifiers } = resolved;
+    return {
+        root,
+        rootPC,
+        quality: [baseQuality, ...modifiers].join(' '),
+        baseQuality,
+        modifiers,
+        bass,
+        bassPC: bass ? noteToPC(bass) : null,
+        intervals: buildIntervals(baseQuality, modifiers)
+    };
+}
+
+/**
+ * Format a chord in a style.
+ *  - verbose: "F# m7b5 (Half-Dim)", "C Sus4 add2", "C Major/E" (the app's chord names)
+ *  - pop:     "F#m7b5", "Csus4(add2)", "C/E", "Cmaj7"
+ *  - jazz:    "F#ø7", "CΔ7", "C-7", "C°7", "C+", "Bb7(#11)"
+ * Qualities without a symbol (keys, scales) always format verbose.
+ *
+ * @param {Object|string} chord - parseChordSymbol() result or a chord name
+ * @param {string} [style='verbose'] - One of CHORD_STYLES
+ * @returns {string|null}
+ */
+function formatChordSymbol(chord, style = 'verbose') {
+    const parsed = typeof chord === 'string' ? parseChordSymbol(chord) : chord;
+    if (!parsed) return null;
+
+    const symbols = QUALITY_SYMBOLS[parsed.baseQuality];
+    const bass = parsed.bass ? `/${parsed.bass}` : '';
+
+    if (style === 'verbose' || !symbols || !CHORD_STYLES.includes(style)) {
+        return `${parsed.root} ${parsed.quality}${bass}`;
+    }
+
+    const modifiers = parsed.modifiers.map(m => `(${m})`).join('');
+    return `${parsed.root}${symbols[style]}${modifiers}${bass}`;
+}
+
+/**
+ * Respell a chord's root and slash bass in a key, keeping its quality.
+ * e.g. ("A# Major/D", "F Major") → "Bb Major/D". Unparseable names are returned as is.
+ *
+ * @param {string} chordName
+ * @param {string|null} key - e.g. "F Major"
+ * @param {string} [style='verbose']
+ */
+function spellChordName(chordName, key, style = 'verbose') {
+    const parsed = parseChordSymbol(chordName);
+    if (!parsed) return chordName;
+    return formatChordSymbol({
+        ...parsed,
+        root: spellPitchClass(parsed.rootPC, key),
+        bass: parsed.bass ? spellPitchClass(parsed.bassPC, key) : null
+    }, style);
+}
+
+module.exports = {
+    parseChordSymbol, formatChordSymbol, spellChordName,
+    QUALITY_SYMBOLS, CHORD_MODIFIERS, CHORD_STYLES
+};
@@ -1,23 +1,46 @@
-const { getChordName } = require('./chord-dictionary');
+const { getChordName, getChordIntervals, CHORD_INTERVALS } = require('./chord-dictionary');
+const SCALES = require('./scale-dictionary');
+const { getKeySpelling, SHARP_NAMES } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
 
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+// ---- Candidate Scoring Weights ----
+const CANDIDATE_WEIGHTS = {
+    base: 0.4,
+    rootInBass: 0.25,        // Root position reading
+    firstInversion: 0.1,
+    secondInversion: 0.05,
+    diatonicRoot: 0.1,       // Root belongs to the current key
+    diatonicTones: 0.1,      // Every chord tone belongs to the current key
+    leadingTone: 0.2,        // Diminished chord built on the key's leading tone (raised 7th in minor)
+    repeatsLast: 0.1,        // Same reading as the previous chord
+    fifthMotion: 0.05,       // Root falls a fifth from the previous chord
+    inHistory: 0.05          // Reading already used in the session
+};
 
 /**
- * Detects the chord from a set of MIDI note numbers.
+ * Analyzes a set of MIDI note numbers, taking the actual lowest note into account.
+ * Roots are tried bass-first, so a root-position reading wins over an inversion
+ * when a pitch set has more than one name.
+ *
  * @param {number[]} activeNotes - Array of MIDI note numbers.
- * @returns {string|null} The detected chord name (e.g., "C Major") or null.
+ * @param {string} [key] - Key to spell root and bass in (e.g. "F Major" → "Bb Major"); sharps when omitted.
+ * @returns {{
+ *   name: string, slashName: string, root: string, rootPC: number, quality: string,
+ *   bass: string, bassPC: number, inversion: number, intervals: number[]
+ * }|null} Structured chord, e.g. { name: "C Major", slashName: "C Major/E", inversion: 1, ... }
  */
-function detectChord(activeNotes) {
+function analyzeChord(activeNotes, key) {
     if (!activeNotes || activeNotes.length < 3) return null; // Need at least 3 notes
 
-    // 1. Get unique Pitch Classes (0-11) sorted
-    const pitchClasses = [...new Set(activeNotes.map(n => n % 12))].sort((a, b) => a - b);
+    // 1. Lowest sounding note is the bass
+    const bassPC = Math.min(...activeNotes) % 12;
 
-    // 2. Try every pitch class as the Root
-    for (let i = 0; i < pitchClasses.length; i++) {
-        const root = pitchClasses[i];
+    // 2. Get unique Pitch Classes (0-11) sorted
+    const pitchClasses = [...new Set(activeNotes.map(n => n % 12))].sort((a, b) => a - b);
 
-        // 3. Calculate intervals relative to this root
+    // 3. Try the bass first, then every other pitch class as the Root
+    const roots = [bassPC, ...pitchClasses.filter(pc => pc !== bassPC)];
+    for (const root of roots) {
         // We normalize everything to 0-based intervals from the root
         const intervals = pitchClasses.map(pc => {
             let interval = pc - root;
@@ -25,15 +48,319 @@ function detectChord(activeNotes) {
             return interval;
         }).sort((a, b) => a - b);
 
-        // 4. Check Dictionary
+        // 4. Check Dictionary (compound entries like Add9 "0,4,7,14" match by pitch class)
         const chordQuality = getChordName(intervals);
         if (chordQuality) {
-            const rootName = NOTE_NAMES[root];
-            return `${rootName} ${chordQuality}`;
+            return buildChordResult(root, chordQuality, bassPC, getKeySpelling(key));
         }
     }
 
     return null; // No match found
 }
 
-module.exports = { detectChord };
+/**
+ * Assemble the structured result for a matched root/quality.
+ * `intervals` are the dictionary's canonical (compound) intervals, e.g. [0, 4, 7, 14].
+ * Inversion is the position of the bass among those chord tones (0 = root position).
+ * `spelling` names the 12 pitch classes (getKeySpelling of the current key).
+ */
+function buildChordResult(rootPC, quality, bassPC, spelling = SHARP_NAMES) {
+    const intervals = getChordIntervals(quality);
+    const bassInterval = (bassPC - rootPC + 12) % 12;
+    const inversion = Math.max(0, intervals.findIndex(i => i % 12 === bassInterval));
+    const name = `${spelling[rootPC]} ${quality}`;
+    const slashName = bassPC === rootPC ? name : `${name}/${spelling[bassPC]}`;
+
+    return {
+        name,
+        slashName,
+        root: spelling[rootPC],
+        rootPC,
+        quality,
+        bass: spelling[bassPC],
+        bassPC,
+        inversion,
+        intervals
+    };
+}
+
+/**
+ * Parse "C Major" / "C Major/E" / "Cmaj7" → { rootPC, quality }. Returns null if invalid.
+ */
+function parseChordName(str) {
+    const chord = parseChordSymbol(str);
+    return chord ? { rootPC: chord.rootPC, quality: chord.quality } : null;
+}
+
+/**
+ * Resolve key and history context once per analysis.
+ */
+function buildScoringContext(context) {
+    const parsedKey = parseChordName(context.key);
+    const keyIntervals = parsedKey ? SCALES[parsedKey.quality] : null;
+    const keyPCs = keyIntervals ? new Set(keyIntervals.map(i => (parsedKey.rootPC + i) % 12)) : null;
+
+    const history = Array.isArray(context.history) ? context.history.map(parseChordName).filter(Boolean) : [];
+    const last = history.length > 0 ? history[history.length - 1] : null;
+
+    return { parsedKey, keyPCs, history, last, spelling: getKeySpelling(context.key) };
+}
+
+/**
+ * Key and history part of a candidate's score.
+ * @param {Object} result - analyzeChord()-shaped reading
+ * @param {number[]} chordPCs - All chord tones as pitch classes (implied tones included)
+ */
+function scoreContext(result, chordPCs, ctx) {
+    const w = CANDIDATE_WEIGHTS;
+    const { rootPC: root, quality } = result;
+    let score = 0;
+
+    // Key
+    if (ctx.keyPCs) {
+        if (ctx.keyPCs.has(root)) score += w.diatonicRoot;
+        if (chordPCs.every(pc => ctx.keyPCs.has(pc))) score += w.diatonicTones;
+        if (quality.includes('Dim') && root === (ctx.parsedKey.rootPC + 11) % 12) score += w.leadingTone;
+    }
+
+    // History
+    if (ctx.last) {
+        if (ctx.last.rootPC === root && ctx.last.quality === quality) score += w.repeatsLast;
+        else if ((ctx.last.rootPC - root + 12) % 12 === 7) score += w.fifthMotion;
+    }
+    if (ctx.history.some(h => h.rootPC === root && h.quality === quality)) score += w.inHistory;
+
+    return score;
+}
+
+function toConfidence(score, max = 1) {
+    return Math.round(Math.max(0, Math.min(max, score)) * 100) / 100;
+}
+
+/**
+ * Returns every plausible reading of a set of MIDI notes, ranked by confidence.
+ * Pitch sets such as C6/Am7, Dim7 (four roots) or Sus2/Sus4 have several names;
+ * each reading is scored from the bass note, the current key and the chord history.
+ *
+ * @param {number[]} activeNotes - Array of MIDI note numbers.
+ * @param {Object} [context]
+ * @param {string} [context.key] - Current key from KeyDetector, e.g. "C Major"; names are spelled in it
+ * @param {string[]} [context.history] - Chord history, most recent last
+ * @param {boolean} [context.partial=false] - Also rank incomplete/rootless readings (matchPartialChords),
+ *   including two-note guide-tone shells
+ * @param {number} [context.bass] - External bass note (MIDI or pitch class) implying a missing root
+ * @returns {Array<Object>} analyzeChord()-shaped results plus `confidence` (0–1), best first
+ */
+function analyzeChordCandidates(activeNotes, context = {}) {
+    if (!activeNotes || activeNotes.length < 3) return context.partial ? matchPartialChords(activeNotes, context) : [];
+
+    const bassPC = Math.min(...activeNotes) % 12;
+    const pitchClasses = [...new Set(activeNotes.map(n => n % 12))].sort((a, b) => a - b);
+    const ctx = buildScoringContext(context);
+
+    const candidates = [];
+    for (const root of pitchClasses) {
+        const intervals = pitchClasses.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
+        const quality = getChordName(intervals);
+        if (!quality) continue;
+
+        const result = buildChordResult(root, quality, bassPC, ctx.spelling);
+        const w = CANDIDATE_WEIGHTS;
+        let score = w.base;
+
+        // Bass note
+        if (result.inversion === 0) score += w.rootInBass;
+        else if (result.inversion === 1) score += w.firstInversion;
+        else if (result.inversion === 2) score += w.secondInversion;
+
+        score += scoreContext(result, pitchClasses, ctx);
+
+        result.confidence = toConfidence(score);
+        candidates.push(result);
+    }
+
+    if (context.partial) {
+        candidates.push(...matchPartialChords(activeNotes, context));
+    }
+
+    // Stable sort: ties keep pitch-class order, exact readings ahead of partial ones
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+// ---- Partial Matching ----
+// Tones a voicing may leave out: the root (rootless voicings) and the perfect fifth (shells).
+const OMITTABLE_INTERVALS = [0, 7];
+
+const PARTIAL_WEIGHTS = {
+    base: 0.35,
+    missingFifth: -0.05,
+    missingRoot: -0.15,
+    rootFromBass: 0.2,       // Missing root supplied by an external bass note
+    guideToneBass: 0.05,     // Played bass is the 3rd or 7th (typical rootless/shell voicing)
+    max: 0.75                // Partial readings never outrank a confident exact one
+};
+
+// Guide-tone shells: the 3rd and 7th alone (E+Bb → C7) name a seventh chord only
+// when a root is supported by the external bass, the key or the chord history
+const GUIDE_TONE_THIRDS = [3, 4];
+const GUIDE_TONE_SEVENTHS = [10, 11];
+
+/** Does the bass, key or history point at this root? */
+function supportsRoot(root, externalBassPC, ctx) {
+    if (externalBassPC === root) return true;
+    if (ctx.keyPCs && ctx.keyPCs.has(root)) return true;
+    if (ctx.last && (ctx.last.rootPC - root + 12) % 12 === 7) return true; // Falls a fifth from the last chord
+    return ctx.history.some(h => h.rootPC === root);
+}
+
+/**
+ * Tolerant matcher for incomplete voicings: shells (R-3-7), rootless (3-5-7-9)
+ * and no-fifth voicings. A reading is accepted when every played note is a chord
+ * tone and only the root and/or the perfect fifth are missing. Two pitch classes
+ * are read only as guide tones (3rd + 7th) of a root the context supports.
+ *
+ * @param {number[]} activeNotes - Array of MIDI note numbers.
+ * @param {Object} [context] - Same as analyzeChordCandidates (key, history, bass)
+ * @returns {Array<Object>} analyzeChord()-shaped results plus `confidence`, `partial: true`,
+ *   `playedTones` and `impliedTones` (note names), best first. Rootless readings have no
+ *   inversion: `slashName` is the plain name and `inversion` is null.
+ */
+function matchPartialChords(activeNotes, context = {}) {
+    if (!activeNotes || activeNotes.length < 2) return [];
+
+    const bassPC = Math.min(...activeNotes) % 12;
+    const pitchClasses = [...new Set(activeNotes.map(n => n % 12))].sort((a, b) => a - b);
+    if (pitchClasses.length < 2) return [];
+    const guideTonesOnly = pitchClasses.length === 2;
+
+    const ctx = buildScoringContext(context);
+    const externalBassPC = typeof context.bass === 'number' ? context.bass % 12 : null;
+    const qualities = [...new Set(Object.values(CHORD_INTERVALS))]
+        .map(quality => ({ quality, intervals: getChordIntervals(quality) }));
+    const w = PARTIAL_WEIGHTS;
+
+    const candidates = [];
+    for (let root = 0; root < 12; root++) {
+        for (const { quality, intervals } of qualities) {
+            const chordPCs = [...new Set(intervals.map(i => (root + i) % 12))];
+            if (chordPCs.length <= pitchClasses.length) continue; // exact or smaller: not partial
+
+            // Every played note must be a chord tone
+            if (!pitchClasses.every(pc => chordPCs.includes(pc))) continue;
+
+            // Only the root and the perfect fifth may be missing
+            const missingIntervals = chordPCs
+                .filter(pc => !pitchClasses.includes(pc))
+                .map(pc => (pc - root + 12) % 12);
+            if (!missingIntervals.every(i => OMITTABLE_INTERVALS.includes(i))) continue;
+            if (guideTonesOnly) {
+                const isSeventh = chordPCs.length === 4
+                    && intervals.some(i => GUIDE_TONE_THIRDS.includes(i))
+                    && intervals.some(i => GUIDE_TONE_SEVENTHS.includes(i));
+                if (!isSeventh || !supportsRoot(root, externalBassPC, ctx)) continue;
+            }
+
+            const result = buildChordResult(root, quality, bassPC, ctx.spelling);
+            let score = w.base;
+
+            if (missingIntervals.includes(7)) score += w.missingFifth;
+            if (missingIntervals.includes(0)) {
+                score += w.missingRoot;
+                if (externalBassPC === root) score += w.rootFromBass;
+                // Without its root the lowest note is not an inversion ("C Maj9", not "C Maj9/E")
+                result.slashName = result.name;
+                result.inversion = null;
+            }
+
+            const bassInterval = (bassPC - root + 12) % 12;
+            if ([3, 4, 10, 11].includes(bassInterval)) score += w.guideToneBass;
+
+            // Key and history can imply the missing root
+            score += scoreContext(result, chordPCs, ctx);
+
+            result.confidence = toConfidence(score, w.max);
+            result.partial = true;
+            result.playedTones = pitchClasses.map(pc => ctx.spelling[pc]);
+            result.impliedTones = missingIntervals.map(i => ctx.spelling[(root + i) % 12]);
+            candidates.push(result);
+        }
+    }
+
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+// ---- Dyad Analysis ----
+const DYAD_WEIGHTS = {
+    base: 0.4,
+    rootInBass: 0.15,
+    diatonic: 0.2,           // Implied chord lies entirely in the current key
+    keyDominant: 0.2         // Tritone resolves as the key's own V7
+};
+
+/**
+ * Name a two-note sound (one pair of pitch classes, octave doublings allowed).
+ *  - Fifths / fourths → power chord ("C 5", "C 5/G")
+ *  - Thirds / sixths → implied triads, chosen from the current key when known
+ *  - Tritone → implied dominant 7th (both spellings, key decides)
+ * Seconds and sevenths are too ambiguous and return [].
+ *
+ * @param {number[]} activeNotes - Array of MIDI note numbers.
+ * @param {Object} [context] - Same as analyzeChordCandidates (key, history)
+ * @returns {Array<Object>} analyzeChord()-shaped results plus `confidence`, `dyad: true`,
+ *   `playedTones` and `impliedTones`, best first
+ */
+function analyzeDyad(activeNotes, context = {}) {
+    if (!activeNotes || activeNotes.length < 2) return [];
+    const pitchClasses = [...new Set(activeNotes.map(n => n % 12))];
+    if (pitchClasses.length !== 2) return [];
+
+    const bassPC = Math.min(...activeNotes) % 12;
+    const upperPC = pitchClasses.find(pc => pc !== bassPC);
+    const interval = (upperPC - bassPC + 12) % 12;
+    const ctx = buildScoringContext(context);
+
+    // Candidate (root, quality) readings per interval class
+    const readings = [];
+    switch (interval) {
+        case 7: readings.push([bassPC, '5']); break;                 // Fifth
+        case 5: readings.push([upperPC, '5']); break;                // Fourth = inverted fifth
+        case 4: readings.push([bassPC, 'Major'], [(bassPC + 9) % 12, 'Minor']); break;      // M3: 1-3 or b3-5
+        case 3: readings.push([bassPC, 'Minor'], [(bassPC + 8) % 12, 'Major']); break;      // m3: 1-b3 or 3-5
+        case 8: readings.push([upperPC, 'Major'], [(bassPC + 5) % 12, 'Minor']); break;     // m6: 3-1 or 5-b3
+        case 9: readings.push([upperPC, 'Minor'], [(bassPC + 5) % 12, 'Major']); break;     // M6: b3-1 or 5-3
+        case 6: readings.push([(bassPC + 8) % 12, 'Dom7'], [(bassPC + 2) % 12, 'Dom7']); break; // Tritone: 3-7 or 7-3
+        default: return [];
+    }
+
+    const w = DYAD_WEIGHTS;
+    const candidates = readings.map(([root, quality]) => {
+        const result = buildChordResult(root, quality, bassPC, ctx.spelling);
+        const chordPCs = [...new Set(result.intervals.map(i => (root + i) % 12))];
+        let score = w.base;
+
+        if (root === bassPC) score += w.rootInBass;
+        if (ctx.keyPCs && chordPCs.every(pc => ctx.keyPCs.has(pc))) score += w.diatonic;
+        if (quality === 'Dom7' && ctx.parsedKey && root === (ctx.parsedKey.rootPC + 7) % 12) score += w.keyDominant;
+
+        result.confidence = toConfidence(score);
+        result.dyad = true;
+        result.playedTones = [bassPC, upperPC].map(pc => ctx.spelling[pc]);
+        result.impliedTones = chordPCs.filter(pc => !pitchClasses.includes(pc)).map(pc => ctx.spelling[pc]);
+        return result;
+    });
+
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Detects the chord from a set of MIDI note numbers.
+ * @param {number[]} activeNotes - Array of MIDI note numbers.
+ * @returns {string|null} The detected chord name in root position (e.g., "C Major") or null.
+ *   Use analyzeChord() for the bass note, inversion and slash name.
+ */
+function detectChord(activeNotes) {
+    const result = analyzeChord(activeNotes);
+    return result ? result.name : null;
+}
+
+module.exports = { detectChord, analyzeChord, analyzeChordCandidates, matchPartialChords, analyzeDyad };
@@ -0,0 +1,229 @@
+/**
+ * Harmonic Function
+ * =================
+ * Roman-numeral labels for chords in a key, including chromatic ones. NO DOM access.
+ *
+ * Checked in order:
+ *  - diatonic:         I, ii7, vii°, V7 (minor keys include the harmonic V and vii°)
+ *  - augmented-sixth:  It+6, Fr+6, Ger+6 (b6 and #4 around the tonic)
+ *  - neapolitan:       N / N6 (major triad on b2)
+ *  - borrowed:         from the parallel key: iv, bVI, bVII, bIII, ii°, vii°7 in major; I, IV in minor
+ *  - secondary:        V/x, V7/x, vii°/x, vii°7/x, viiø7/x (dominant of a diatonic chord)
+ *  - chromatic:        anything else, numbered from the root (bII7, #iv°)
+ */
+
+const SCALES = require('./scale-dictionary');
+const { getKeySpelling, spellChordTone } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Scale degree of each chromatic root offset, with its accidental
+const MAJOR_DEGREES = [
+    [0, ''], [1, 'b'], [1, ''], [2, 'b'], [2, ''], [3, ''], [3, '#'], [4, ''], [5, 'b'], [5, ''], [6, 'b'], [6, '']
+];
+const MINOR_DEGREES = [
+    [0, ''], [1, 'b'], [1, ''], [2, ''], [2, '#'], [3, ''], [3, '#'], [4, ''], [5, ''], [5, '#'], [6, ''], [6, '']
+];
+
+// Augmented sixth chords as tonic-relative pitch-class sets
+const AUGMENTED_SIXTHS = [
+    { label: 'It+6', pcs: [0, 6, 8] },
+    { label: 'Fr+6', pcs: [0, 2, 6, 8] },
+    { label: 'Ger+6', pcs: [0, 3, 6, 8] }
+];
+
+// ---- Helpers (internal) ----
+
+/** Tonic-relative pitch classes of a key; minor keys add the raised leading tone */
+function keyPitchClasses(keyScale) {
+    const scale = SCALES[keyScale] || SCALES['Major'];
+    return keyScale === 'Minor' ? [...scale, 11] : scale;
+}
+
+function isMinorKey(keyScale) {
+    const scale = SCALES[keyScale];
+    return !!scale && scale.includes(3) && !scale.includes(4);
+}
+
+/**
+ * Roman numeral with quality marks: V, ii, vii°, III+, V7, IVmaj7, viiø7, vii°7.
+ * @param {number} offset - Root relative to the tonic (0-11)
+ * @param {number[]} intervals - Chord intervals mod 12
+ * @param {boolean} minorKey - Number chromatic roots against the minor scale
+ */
+function romanNumeral(offset, intervals, minorKey) {
+    const [degree, accidental] = (minorKey ? MINOR_DEGREES : MAJOR_DEGREES)[offset];
+    const has = i => intervals.includes(i);
+    const numeral = ROMAN[degree];
+
+    if (has(3) && has(6) && !has(7)) {
+        if (has(9)) return `${accidental}${numeral.toLowerCase()}°7`;
+        if (has(10)) return `${accidental}${numeral.toLowerCase()}ø7`;
+        return `${accidental}${numeral.toLowerCase()}°`;
+    }
+    if (has(4) && has(8) && !has(7)) return `${accidental}${numeral}+`;
+
+    const minor = has(3) && !has(4);
+    const base = accidental + (minor ? numeral.toLowerCase() : numeral);
+    if (has(11)) return minor ? `${base}(maj7)` : `${base}maj7`;
+    if (has(10)) return `${base}7`;
+    return base;
+}
+
+/** Degree index (0-6) of a diatonic root offset in the key, or -1 */
+function diatonicDegree(offset, keyScale) {
+    const scale = SCALES[keyScale] || SCALES['Major'];
+    const degree = scale.indexOf(offset);
+    if (degree !== -1) return degree;
+    return keyScale === 'Minor' && offset === 11 ? 6 : -1;
+}
+
+/** Chord pitch classes relative to the tonic, bass included */
+function relativePitchClasses(chord, tonicPC) {
+    const pcs = new Set(chord.intervals.map(i => (chord.rootPC + i - tonicPC + 120) % 12));
+    if (chord.bassPC !== null && chord.bassPC !== undefined) pcs.add((chord.bassPC - tonicPC + 12) % 12);
+    return [...pcs].sort((a, b) => a - b);
+}
+
+/** Would a diatonic triad on this degree be a stable target (not diminished)? */
+function isTonicizable(degree, keyScale) {
+    const root = SCALES[keyScale][degree];
+    return keyPitchClasses(keyScale).includes((root + 7) % 12);
+}
+
+// ---- Public API ----
+
+/**
+ * Label a chord's harmonic function in a key.
+ *
+ * @param {string} chordName - Any chord spelling ("D Dom7", "Ab Major", "Bbmaj7", "F Minor/Ab")
+ * @param {string} key - e.g. "C Major", "A Minor" (7-note scales)
+ * @param {Object} [options]
+ * @param {string} [options.next] - Following chord; decides Ger+6 vs. V7/bII
+ * @returns {{
+ *   label: string,
+ *   type: 'diatonic'|'augmented-sixth'|'neapolitan'|'secondary'|'borrowed'|'chromatic',
+ *   degree: number,
+ *   target: number|null
+ * }|null} degree: 0-6 scale degree the label is numbered from; target: degree a secondary
+ *   chord resolves to (V for augmented sixths and the Neapolitan)
+ */
+function analyzeHarmonicFunction(chordName, key, options = {}) {
+    const chord = parseChordSymbol(chordName);
+    const parsedKey = parseChordSymbol(key);
+    if (!chord || !chord.intervals || !parsedKey) return null;
+    const keyScale = parsedKey.quality;
+    const scale = SCALES[keyScale];
+    if (!scale || scale.length !== 7) return null;
+
+    const minorKey = isMinorKey(keyScale);
+    const degrees = minorKey ? MINOR_DEGREES : MAJOR_DEGREES;
+    const offset = (chord.rootPC - parsedKey.rootPC + 12) % 12;
+    const intervals = [...new Set(chord.intervals.map(i => i % 12))];
+    const pcs = relativePitchClasses(chord, parsedKey.rootPC);
+    const inKey = keyPitchClasses(keyScale);
+    const bassOffset = chord.bassPC !== null ? (chord.bassPC - parsedKey.rootPC + 12) % 12 : offset;
+
+    // 1. Diatonic
+    const degree = diatonicDegree(offset, keyScale);
+    if (degree !== -1 && pcs.every(pc => inKey.includes(pc))) {
+        // Harmonic minor: the raised 7th belongs to V and vii° only
+        const raised = keyScale === 'Minor' && pcs.includes(11);
+        if (!raised || degree === 4 || offset === 11) {
+            return { label: romanNumeral(offset, intervals, minorKey), type: 'diatonic', degree, target: null };
+        }
+    }
+
+    // 2. Augmented sixth: b6 in the bass against #4, resolving outward to V
+    const nextChord = options.next ? parseChordSymbol(options.next) : null;
+    const nextOffset = nextChord ? (nextChord.rootPC - parsedKey.rootPC + 12) % 12 : null;
+    const aug6 = AUGMENTED_SIXTHS.find(a => a.pcs.length === pcs.length && a.pcs.every(pc => pcs.includes(pc)));
+    if (aug6 && bassOffset === 8 && nextOffset !== 1) {
+        return { label: aug6.label, type: 'augmented-sixth', degree: 5, target: 4 };
+    }
+
+    // 3. Neapolitan: major triad on b2, usually in first inversion
+    if (offset === 1 && intervals.length === 3 && intervals.includes(4) && intervals.includes(7)) {
+        return { label: bassOffset === 5 ? 'N6' : 'N', type: 'neapolitan', degree: 1, target: 4 };
+    }
+
+    // 4. Borrowed from the parallel key (modal mixture); in major, the harmonic-minor vii°7 too
+    const parallel = minorKey ? SCALES['Major'] : SCALES['Minor'];
+    const borrowedLeadingTone = !minorKey && offset === 11 && [2, 5, 8, 11].every(pc => pcs.includes(pc)) && pcs.length === 4;
+    if ((pcs.every(pc => parallel.includes(pc)) && parallel.includes(offset)) || borrowedLeadingTone) {
+        return { label: romanNumeral(offset, intervals, minorKey), type: 'borrowed', degree: degrees[offset][0], target: null };
+    }
+
+    // 5. Secondary dominants and leading-tone chords of a diatonic, non-diminished chord
+    const majorThird = intervals.includes(4) && !intervals.includes(3);
+    const dominantShape = majorThird && !intervals.includes(11) && !intervals.includes(8);
+    const diminished = intervals.includes(3) && intervals.includes(6) && !intervals.includes(7);
+    const candidates = [];
+    if (dominantShape) candidates.push({ targetOffset: (offset + 5) % 12, base: 'V' });
+    if (diminished) candidates.push({ targetOffset: (offset + 1) % 12, base: 'vii' });
+    for (const { targetOffset, base } of candidates) {
+        const target = diatonicDegree(targetOffset, keyScale);
+        const neapolitan = targetOffset === 1 && base === 'V' && nextOffset === 1;
+        if (!neapolitan && (target <= 0 || !isTonicizable(target, keyScale))) continue;
+
+        let label;
+        if (base === 'V') label = intervals.includes(10) ? 'V7' : 'V';
+        else label = intervals.includes(9) ? 'vii°7' : intervals.includes(10) ? 'viiø7' : 'vii°';
+
+        let targetLabel;
+        if (neapolitan) {
+            targetLabel = 'bII';
+        } else if (minorKey && target === 4) {
+            targetLabel = 'V'; // Tonicized as the harmonic-minor dominant
+        } else {
+            const third = (scale[(target + 2) % 7] - scale[target] + 12) % 12;
+            targetLabel = romanNumeral(targetOffset, [0, third, 7], minorKey);
+        }
+        return {
+            label: `${label}/${targetLabel}`,
+            type: 'secondary',
+            degree: degrees[offset][0],
+            target: neapolitan ? 1 : target
+        };
+    }
+
+    // 6. Anything else: numbered from its root
+    return { label: romanNumeral(offset, intervals, minorKey), type: 'chromatic', degree: degrees[offset][0], target: null };
+}
+
+/**
+ * Common chromatic chords to offer next to the diatonic ones: secondary dominants
+ * of ii, IV, V and vi (iv, V and VI in minor) and the Neapolitan in minor.
+ * Borrowed chords come from modal-context's suggestModalInterchange.
+ *
+ * @param {string} key - e.g. "C Major"
+ * @param {string} [currentChord] - Left out of the results
+ * @returns {Array<{name: string, function: string, confidence: number}>}
+ */
+function suggestChromaticChords(key, currentChord) {
+    const parsedKey = parseChordSymbol(key);
+    if (!parsedKey || !SCALES[parsedKey.quality] || SCALES[parsedKey.quality].length !== 7) return [];
+    const minorKey = isMinorKey(parsedKey.quality);
+    const spelling = getKeySpelling(key);
+    const current = currentChord ? parseChordSymbol(currentChord) : null;
+
+    // [root offset, quality, confidence]
+    const options = minorKey
+        ? [[0, 'Dom7', 0.4], [2, 'Dom7', 0.35], [3, 'Dom7', 0.3], [1, 'Major', 0.3]]
+        : [[2, 'Dom7', 0.45], [4, 'Dom7', 0.4], [9, 'Dom7', 0.35], [0, 'Dom7', 0.35]];
+
+    return options
+        .map(([offset, quality, confidence]) => {
+            const rootPC = (parsedKey.rootPC + offset) % 12;
+            // The Neapolitan sits on the lowered second letter (Bb minor → Cb, not B)
+            const root = offset === 1 ? spellChordTone(spelling[parsedKey.rootPC], 1) : spelling[rootPC];
+            const name = `${root} ${quality}`;
+            const analysis = analyzeHarmonicFunction(name, key);
+            return { name, rootPC, quality, function: analysis.label, confidence };
+        })
+        .filter(s => !(current && current.rootPC === s.rootPC && current.quality === s.quality))
+        .map(({ name, function: fn, confidence }) => ({ name, function: fn, confidence }));
+}
+
+module.exports = { analyzeHarmonicFunction, suggestChromaticChords, romanNumeral };
@@ -1,108 +1,280 @@
-const { CHORD_INTERVALS } = require('./chord-dictionary');
 const SCALES = require('./scale-dictionary');
-const { getNoteNumber } = require('./note-utils');
+const { preferredTonicName } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
 
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+/**
+ * Key profiles: tonic-relative pitch-class weights for major and minor keys.
+ *  - krumhansl: Krumhansl-Kessler probe-tone ratings
+ *  - temperley: Temperley (1999) revised profiles (minor leans on the leading tone)
+ * The profiles pick the tonic, which settles ties between relative keys and modes
+ * sharing its notes. The best key is then refined to another scale on the same
+ * tonic (Dorian, Mixolydian, pentatonic, blues...) when that scale explains the
+ * played notes better; see refineScale.
+ */
+const KEY_PROFILES = {
+    krumhansl: {
+        'Major': [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        'Minor': [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+    temperley: {
+        'Major': [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+        'Minor': [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0]
+    }
+};
+
+// Evidence weighting
+const CHORD_DECAY = 0.6;          // Each older chord counts 0.6x the next: the latest chords (cadences) lead
+const ROOT_WEIGHT = 1;            // Extra weight on a chord's root...
+const BASS_WEIGHT = 1;            // ...and on its bass
+const NOTE_HALF_LIFE_MS = 8000;   // Played notes fade with this half-life
+const NOTE_HISTORY_MS = 30000;    // ...and are dropped after this long
+const MAX_NOTE_SECONDS = 4;       // Long holds stop adding weight
+
+// Melody: scale-degree tendencies between successive single-note onsets
+const MELODY_HISTORY = 32;        // Onsets kept for line analysis
+const MIN_STEP_MS = 40;           // Closer onsets are one chord, not a line
+const MAX_STEP_MS = 2000;         // Farther apart: a new phrase
+const RESOLUTION_WEIGHT = 0.5;    // Rising half step (leading tone → tonic): the arrival sounds like a tonic
+const FIFTH_FALL_WEIGHT = 0.3;    // Falling fifth / rising fourth (5 → 1, bass lines)
+const MIN_MELODY_PITCH_CLASSES = 3; // Notes alone name a key once this many pitch classes sounded
+
+// Scale refinement
+const SCALE_MARGIN = 0.05;        // Share of the weight a scale must explain beyond the major/minor key
+const MIN_TONE_SHARE = 0.02;      // A smaller scale (pentatonic) needs every one of its tones heard this much
+// Pitch classes a profile key accepts: minor keys include the harmonic leading tone
+const PROFILE_SCALE_TONES = { 'Major': SCALES['Major'], 'Minor': [...SCALES['Minor'], 11] };
+// Refinement candidates: the other church modes (Ionian/Aeolian are the profile keys),
+// pentatonic and blues. Melodic/harmonic-minor modes and exotic scales are left to the
+// manual mode lock: a borrowed chord or two would otherwise rename the key
+// (C Ab Bb C is C Major, not C Mixolydian b6)
+const REFINEMENT_SCALES = ['Dorian', 'Phrygian', 'Lydian', 'Mixolydian', 'Locrian',
+    'Pentatonic Major', 'Pentatonic Minor', 'Blues', 'Blues Major'].map(name => [name, SCALES[name]]);
+
+/**
+ * Pearson correlation of a pitch-class distribution with a profile rotated to `root`.
+ */
+function correlate(distribution, profile, root) {
+    let sumX = 0, sumY = 0;
+    for (let pc = 0; pc < 12; pc++) {
+        sumX += distribution[pc];
+        sumY += profile[(pc - root + 12) % 12];
+    }
+    const meanX = sumX / 12;
+    const meanY = sumY / 12;
+
+    let num = 0, varX = 0, varY = 0;
+    for (let pc = 0; pc < 12; pc++) {
+        const dx = distribution[pc] - meanX;
+        const dy = profile[(pc - root + 12) % 12] - meanY;
+        num += dx * dy;
+        varX += dx * dx;
+        varY += dy * dy;
+    }
+    return varX === 0 || varY === 0 ? 0 : num / Math.sqrt(varX * varY);
+}
+
+/** Share of a distribution's weight on a scale's tones */
+function coverage(distribution, intervals, root) {
+    const total = distribution.reduce((sum, w) => sum + w, 0);
+    const inside = intervals.reduce((sum, interval) => sum + distribution[(root + interval) % 12], 0);
+    return total > 0 ? inside / total : 0;
+}
+
+/**
+ * The scale on a profile key's tonic that best explains the distribution: one that
+ * covers SCALE_MARGIN more of the weight (D Dorian over D Minor when B sounds, not Bb),
+ * or a smaller scale covering as much with every one of its tones heard (C Pentatonic
+ * Major over C Major when F and B never sound). Ties: fewest tones, then REFINEMENT_SCALES order.
+ * @returns {string} Scale name (the profile scale when nothing fits better)
+ */
+function refineScale(distribution, root, profileScale) {
+    const total = distribution.reduce((sum, w) => sum + w, 0);
+    const baseline = coverage(distribution, PROFILE_SCALE_TONES[profileScale], root);
+    let best = { scale: profileScale, coverage: baseline, size: PROFILE_SCALE_TONES[profileScale].length };
+
+    for (const [scale, intervals] of REFINEMENT_SCALES) {
+        const covered = coverage(distribution, intervals, root);
+        const wider = covered >= baseline + SCALE_MARGIN;
+        const smaller = intervals.length < SCALES[profileScale].length && covered >= baseline - 1e-9 &&
+            intervals.every(interval => distribution[(root + interval) % 12] >= MIN_TONE_SHARE * total);
+        if (!wider && !smaller) continue;
+        if (covered > best.coverage + 1e-9 || (Math.abs(covered - best.coverage) <= 1e-9 && intervals.length < best.size)) {
+            best = { scale, coverage: covered, size: intervals.length };
+        }
+    }
+    return best.scale;
+}
 
 class KeyDetector {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.profile='krumhansl'] - 'krumhansl' | 'temperley'
+     */
+    constructor({ profile = 'krumhansl' } = {}) {
         this.recentChords = [];
         this.maxHistory = 10;
+        this.profile = KEY_PROFILES[profile] ? profile : 'krumhansl';
+        this.playedNotes = [];        // { pc, velocity, start, end }
+        this.openNotes = new Map();   // MIDI note → { velocity, start }
+        this.melody = [];             // Recent onsets { note, time }, oldest first
+    }
+
+    setProfile(profile) {
+        if (KEY_PROFILES[profile]) this.profile = profile;
     }
 
     /**
-     * @param {string} chordName - e.g. "C Major", "F# Min7"
+     * @param {string} chordName - e.g. "C Major", "F# Min7", "Bb Major/D", "Cmaj7" (slash chord keeps its bass)
      */
     addChord(chordName) {
         if (!chordName) return;
 
-        // Parse chord parts: Root + Quality
-        // Heuristic: Split by space
-        const parts = chordName.split(' ');
-        if (parts.length < 2) return;
-
-        const rootName = parts[0];
-        const qualityName = parts.slice(1).join(' '); // "Major", "Dom7", etc.
-
-        const rootNote = getNoteNumber(rootName);
-        if (rootNote === -1) return;
-
-        // Find intervals for this quality
-        // We need to reverse lookup in CHORD_INTERVALS or search entries
-        // Since CHORD_INTERVALS keys are strings "0,4,7", we search values
-        // This is inefficient but functional for small dictionary
-        let intervals = null;
-        for (const [key, val] of Object.entries(CHORD_INTERVALS)) {
-            if (val === qualityName) {
-                intervals = key.split(',').map(Number);
-                break;
-            }
-        }
+        // Any chord spelling: "C Major/E", "Cmaj7", "Bb7(#11)", "G/B"
+        const chord = parseChordSymbol(chordName);
+        if (!chord || !chord.intervals) return;
 
-        if (!intervals) return;
+        const rootNote = chord.rootPC;
+        const bassNote = chord.bass ? chord.bassPC : rootNote;
+        const intervals = chord.intervals; // compound extensions reduce mod 12 below
 
         // Calculate absolute pitch classes
-        const notes = intervals.map(interval => (rootNote + interval) % 12);
+        const notes = [...new Set(intervals.map(interval => (rootNote + interval) % 12))];
+        if (!notes.includes(bassNote)) notes.push(bassNote);
 
-        this.recentChords.push({ notes, root: rootNote, timestamp: Date.now() });
+        this.recentChords.push({ notes, root: rootNote, bass: bassNote, timestamp: Date.now() });
         if (this.recentChords.length > this.maxHistory) {
             this.recentChords.shift();
         }
     }
 
-    detect() {
-        if (this.recentChords.length === 0) return [];
+    /**
+     * A note started sounding (MidiManager 'note-on').
+     * @param {number} note - MIDI note number
+     * @param {number} [velocity=100]
+     * @param {number} [time=Date.now()]
+     */
+    noteOn(note, velocity = 100, time = Date.now()) {
+        if (this.openNotes.has(note)) this.noteOff(note, time);
+        this.openNotes.set(note, { velocity, start: time });
+        this.melody.push({ note, time });
+        if (this.melody.length > MELODY_HISTORY) this.melody.shift();
+    }
 
-        const scores = [];
+    /**
+     * A note stopped sounding (final 'note-off', after any pedal release).
+     */
+    noteOff(note, time = Date.now()) {
+        const open = this.openNotes.get(note);
+        if (!open) return;
+        this.openNotes.delete(note);
+        this.playedNotes.push({ pc: note % 12, velocity: open.velocity, start: open.start, end: time });
+        this.playedNotes = this.playedNotes.filter(n => time - n.end <= NOTE_HISTORY_MS);
+    }
+
+    /**
+     * Weighted pitch-class distribution: recent chords (newest heaviest, root and bass doubled)
+     * plus played notes weighted by duration and velocity, fading with age. In melody
+     * and bass lines, the arrival of a rising half step or a falling fifth gets extra weight.
+     * Each source is normalized so neither dominates.
+     * @param {number} [now=Date.now()]
+     * @returns {number[]} 12 weights
+     */
+    getPitchClassWeights(now = Date.now()) {
+        const chordWeights = new Array(12).fill(0);
+        this.recentChords.forEach((chord, index) => {
+            const weight = Math.pow(CHORD_DECAY, this.recentChords.length - 1 - index);
+            chord.notes.forEach(pc => { chordWeights[pc] += weight; });
+            chordWeights[chord.root] += ROOT_WEIGHT * weight;
+            chordWeights[chord.bass] += BASS_WEIGHT * weight;
+        });
+
+        const noteWeights = new Array(12).fill(0);
+        const notes = [
+            ...this.playedNotes,
+            ...Array.from(this.openNotes, ([note, open]) => ({ pc: note % 12, velocity: open.velocity, start: open.start, end: now }))
+        ];
+        for (const { pc, velocity, start, end } of notes) {
+            if (now - end > NOTE_HISTORY_MS) continue;
+            const seconds = Math.min(MAX_NOTE_SECONDS, Math.max(0.05, (end - start) / 1000));
+            const loudness = 0.5 + 0.5 * (velocity / 127);
+            const fade = Math.pow(0.5, (now - end) / NOTE_HALF_LIFE_MS);
+            noteWeights[pc] += seconds * loudness * fade;
+        }
+
+        // Tendency tones in single-note lines: emphasize where they resolve
+        for (let i = 1; i < this.melody.length; i++) {
+            const from = this.melody[i - 1];
+            const to = this.melody[i];
+            const gap = to.time - from.time;
+            if (gap < MIN_STEP_MS || gap > MAX_STEP_MS || now - to.time > NOTE_HISTORY_MS) continue;
+            const fade = Math.pow(0.5, (now - to.time) / NOTE_HALF_LIFE_MS);
+            const step = to.note - from.note;
+            if (step === 1) noteWeights[to.note % 12] += RESOLUTION_WEIGHT * fade;
+            else if (step === -7 || step === 5) noteWeights[to.note % 12] += FIFTH_FALL_WEIGHT * fade;
+        }
+
+        const normalize = weights => {
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            return total > 0 ? weights.map(w => w / total) : weights;
+        };
+        const chords = normalize(chordWeights);
+        const played = normalize(noteWeights);
+        return chords.map((w, pc) => w + played[pc]);
+    }
 
-        // For each of 12 roots * 2 scales
+    /**
+     * Rank keys by correlation with the key profiles; the best key may be refined to
+     * another scale on its tonic (refineScale).
+     * @param {number} [now=Date.now()]
+     * @returns {{ keys: { root: string, scale: string, score: number }[], confidence: number }}
+     *   keys: top 5, score = Pearson r (-1…1) of the major/minor profile. confidence: r of the
+     *   best key minus the runner-up.
+     */
+    analyze(now = Date.now()) {
+        if (!this.hasEvidence(now)) return { keys: [], confidence: 0 };
+        const distribution = this.getPitchClassWeights(now);
+        if (distribution.every(w => w === 0)) return { keys: [], confidence: 0 };
+
+        const scores = [];
         for (let root = 0; root < 12; root++) {
-            for (const [scaleName, scaleIntervals] of Object.entries(SCALES)) {
-                // Construct scale pitch classes
-                const scaleNotes = new Set(scaleIntervals.map(i => (root + i) % 12));
-
-                let score = 0;
-                let totalNotes = 0;
-
-                // Score against history
-                for (const chord of this.recentChords) {
-                    for (const note of chord.notes) {
-                        totalNotes++;
-                        if (scaleNotes.has(note)) {
-                            score += 1;
-                        }
-                    }
-                }
-
-                const normalizedScore = totalNotes > 0 ? score / totalNotes : 0;
-
-                // Weighting:
-                // 1. Root Match: If the chord root equals the key root, likely the tonic. (+0.1)
-
-                let finalScore = normalizedScore;
-
-                // Bonus for matching roots of recent chords
-                // If a chord root is the same as the key root, it suggests this key.
-                const lastChord = this.recentChords[this.recentChords.length - 1];
-                if (lastChord && lastChord.root === root) {
-                    finalScore += 0.15;
-                }
-
-                scores.push({
-                    root: NOTE_NAMES[root],
-                    scale: scaleName,
-                    score: finalScore
-                });
+            for (const [scale, profile] of Object.entries(KEY_PROFILES[this.profile])) {
+                scores.push({ root, scale, score: correlate(distribution, profile, root) });
             }
         }
 
-        // Sort by score descending
-        return scores.sort((a, b) => b.score - a.score).slice(0, 5); // Return top 5
+        // Sort by score descending, then spell the tonic the way the key is written (Bb, not A#)
+        const ranked = scores.sort((a, b) => b.score - a.score);
+        ranked[0] = { ...ranked[0], scale: refineScale(distribution, ranked[0].root, ranked[0].scale) };
+        const confidence = ranked.length > 1 ? ranked[0].score - ranked[1].score : 0;
+        return {
+            keys: ranked.slice(0, 5).map(({ root, scale, score }) => ({ root: preferredTonicName(root, scale), scale, score })),
+            confidence
+        };
+    }
+
+    /**
+     * Enough input to name a key: any chord, or notes covering MIN_MELODY_PITCH_CLASSES
+     * pitch classes (a bass or lead line on its own).
+     */
+    hasEvidence(now = Date.now()) {
+        if (this.recentChords.length > 0) return true;
+        const pcs = new Set(this.playedNotes.filter(n => now - n.end <= NOTE_HISTORY_MS).map(n => n.pc));
+        this.openNotes.forEach((open, note) => pcs.add(note % 12));
+        return pcs.size >= MIN_MELODY_PITCH_CLASSES;
+    }
+
+    detect() {
+        return this.analyze().keys;
     }
 
     reset() {
         this.recentChords = [];
+        this.playedNotes = [];
+        this.openNotes.clear();
+        this.melody = [];
     }
 }
 
+KeyDetector.KEY_PROFILES = KEY_PROFILES;
+
 module.exports = KeyDetector;
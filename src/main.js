@@ -62,4 +62,26 @@ ipcMain.handle('save-midi-dialog', async (event) => {
     filters: [{ name: 'MIDI Files', extensions: ['mid'] }]
   });
   return result;
-});
\ No newline at end of file
+});
+// Learned progression model: stored in the user data folder, exported/imported as JSON
+ipcMain.handle('get-user-data-path', () => app.getPath('userData'));
+
+ipcMain.handle('save-model-dialog', async (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showSaveDialog(win, {
+    title: 'Export Progression Model',
+    defaultPath: 'progression-model.json',
+    filters: [{ name: 'JSON Files', extensions: ['json'] }]
+  });
+  return result;
+});
+
+ipcMain.handle('open-model-dialog', async (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    title: 'Import Progression Model',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON Files', extensions: ['json'] }]
+  });
+  return result;
+});
@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+
+/**
+ * MIDI Clock
+ * ==========
+ * Follows an external MIDI clock and transport: tempo from 0xF8 ticks (24 per
+ * quarter note), start/continue/stop (0xFA/0xFB/0xFC) and song position pointer
+ * (0xF2, in MIDI beats = sixteenth notes). NO DOM access.
+ *
+ * Events:
+ *  - 'tempo'    { bpm }
+ *  - 'start' / 'continue' / 'stop'   position
+ *  - 'position' position (song position pointer received)
+ *  - 'beat'     position (first tick of each quarter note while running)
+ *
+ * position = { ticks, beatIndex, bar, beat, tick } — bar and beat are 1-based.
+ */
+
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+const SONG_POSITION = 0xF2;
+
+const PPQN = 24;
+const TICKS_PER_SIXTEENTH = 6;
+const TEMPO_WINDOW = PPQN;      // Average the last quarter note of tick intervals
+const TEMPO_RESET_MS = 1000;    // Longer gap: clock stopped, start a new estimate
+const TEMPO_CHANGE_BPM = 0.5;   // Smaller changes are jitter, not a new tempo
+
+class MidiClock extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.beatsPerBar=4]
+     */
+    constructor({ beatsPerBar = 4 } = {}) {
+        super();
+        this.beatsPerBar = beatsPerBar;
+        this.running = false;
+        this.ticks = 0;           // Clocks since song start
+        this.bpm = null;          // null until enough ticks arrive
+        this.lastTickTime = null;
+        this.intervals = [];
+    }
+
+    /**
+     * Is this status byte one the clock handles?
+     */
+    static isClockMessage(status) {
+        return status === CLOCK || status === START || status === CONTINUE
+            || status === STOP || status === SONG_POSITION;
+    }
+
+    /**
+     * Handle a system message.
+     * @param {number[]} data - Raw bytes
+     * @param {number} [timeStamp] - Arrival time in ms (Web MIDI timeStamp)
+     * @returns {boolean} true if handled
+     */
+    handleMessage(data, timeStamp = Date.now()) {
+        const [status, lsb, msb] = data;
+
+        switch (status) {
+            case CLOCK:
+                this.handleTick(timeStamp);
+                return true;
+            case START:
+                this.ticks = 0;
+                this.running = true;
+                this.emit('start', this.getPosition());
+                return true;
+            case CONTINUE:
+                this.running = true;
+                this.emit('continue', this.getPosition());
+                return true;
+            case STOP:
+                this.running = false;
+                this.emit('stop', this.getPosition());
+                return true;
+            case SONG_POSITION:
+                this.ticks = (((msb || 0) << 7) | (lsb || 0)) * TICKS_PER_SIXTEENTH;
+                this.emit('position', this.getPosition());
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * One clock tick: update the tempo estimate; while running, emit 'beat' on
+     * each quarter note and advance the song position.
+     */
+    handleTick(timeStamp) {
+        if (this.lastTickTime !== null) {
+            const interval = timeStamp - this.lastTickTime;
+            if (interval <= 0 || interval > TEMPO_RESET_MS) {
+                this.intervals = [];
+            } else {
+                this.intervals.push(interval);
+                if (this.intervals.length > TEMPO_WINDOW) this.intervals.shift();
+            }
+        }
+        this.lastTickTime = timeStamp;
+        this.updateTempo();
+
+        if (!this.running) return;
+        if (this.ticks % PPQN === 0) this.emit('beat', this.getPosition());
+        this.ticks++;
+    }
+
+    updateTempo() {
+        // Wait for a few ticks so the first estimate is not a single jittery interval
+        if (this.intervals.length < PPQN / 4) return;
+        const average = this.intervals.reduce((sum, i) => sum + i, 0) / this.intervals.length;
+        const bpm = Math.round(600000 / (average * PPQN)) / 10;
+        if (this.bpm === null || Math.abs(bpm - this.bpm) >= TEMPO_CHANGE_BPM) {
+            this.bpm = bpm;
+            this.emit('tempo', { bpm });
+        }
+    }
+
+    /**
+     * Current song position.
+     * @returns {{ ticks: number, beatIndex: number, bar: number, beat: number, tick: number }}
+     */
+    getPosition() {
+        const beatIndex = Math.floor(this.ticks / PPQN);
+        return {
+            ticks: this.ticks,
+            beatIndex,
+            bar: Math.floor(beatIndex / this.beatsPerBar) + 1,
+            beat: (beatIndex % this.beatsPerBar) + 1,
+            tick: this.ticks % PPQN
+        };
+    }
+
+    /**
+     * Forget tempo and position (input change).
+     */
+    reset() {
+        this.running = false;
+        this.ticks = 0;
+        this.bpm = null;
+        this.lastTickTime = null;
+        this.intervals = [];
+    }
+}
+
+MidiClock.PPQN = PPQN;
+
+module.exports = MidiClock;
@@ -6,6 +6,8 @@
  */
 
 const { getChordMetadata } = require('./suggestion-engine');
+const { getKeySignature } = require('./pitch-spelling');
+const { parseChordSymbol, spellChordName } = require('./chord-symbol');
 
 const TICKS_PER_BEAT = 480;
 
@@ -20,7 +22,9 @@ const REGISTER_MAP = {
 /**
  * Build a voicing for a chord based on the selected style.
  *
- * @param {string} chordName - e.g. "C Major", "A Minor"
+ * Slash chords ("C Major/E") keep their bass as the lowest note in every style.
+ *
+ * @param {string} chordName - e.g. "C Major", "A Minor", "C Major/E"
  * @param {string} style - "Root Only", "Root + 5th", "Root + 10th", "Triad"
  * @param {number} octave - Base octave (1-5)
  * @returns {number[]|null} - Array of MIDI note numbers, or null if invalid
@@ -29,19 +33,24 @@ function buildVoicing(chordName, style, octave) {
     const meta = getChordMetadata(chordName, octave);
     if (!meta || !meta.midiNotes || meta.midiNotes.length === 0) return null;
 
-    const root = meta.midiNotes[0];
+    const bass = meta.midiNotes[0];
+    const root = meta.rootNote !== undefined ? meta.rootNote : bass;
 
     switch (style) {
         case 'Root Only':
-            return [root];
-        case 'Root + 5th':
-            return [root, root + 7];
+            return [bass];
+        case 'Root + 5th': {
+            // Fifth of the chord, kept above the bass for inversions
+            let fifth = root + 7;
+            while (fifth - 12 > bass) fifth -= 12;
+            return bass === root ? [root, root + 7] : [bass, fifth];
+        }
         case 'Root + 10th': {
-            // Determine 10th: major chord → major 10th (+16), minor chord → minor 10th (+15)
-            const isMinor = chordName.toLowerCase().includes('minor') ||
-                chordName.toLowerCase().includes('min');
+            // Determine 10th: major third → major 10th (+16), minor third → minor 10th (+15)
+            const chord = parseChordSymbol(chordName);
+            const isMinor = chord && chord.intervals && chord.intervals.includes(3) && !chord.intervals.includes(4);
             const tenthInterval = isMinor ? 15 : 16;
-            return [root, root + tenthInterval];
+            return [bass, root + tenthInterval];
         }
         case 'Triad':
         default:
@@ -103,6 +112,32 @@ function buildTempoEvent(bpm) {
     ];
 }
 
+/**
+ * Build a key signature meta event (FF 59 02 sf mi). Returns [] for unknown keys.
+ * @param {string} key - e.g. "Eb Minor" → sf = -6, mi = 1
+ * @returns {number[]}
+ */
+function buildKeySignatureEvent(key) {
+    const signature = getKeySignature(key);
+    if (!signature) return [];
+    return [
+        0x00,       // delta time
+        0xFF, 0x59, 0x02,
+        signature.sharps & 0xFF,    // two's complement: negative = flats
+        signature.minor ? 1 : 0
+    ];
+}
+
+/**
+ * Build a marker meta event (FF 06 len text) at delta 0.
+ * @param {string} text - ASCII text, e.g. a chord name
+ * @returns {number[]}
+ */
+function buildMarkerEvent(text) {
+    const bytes = Array.from(text, ch => ch.charCodeAt(0) & 0x7F);
+    return [0x00, 0xFF, 0x06, ...writeVLQ(bytes.length), ...bytes];
+}
+
 /**
  * Build end-of-track meta event.
  * @returns {number[]}
@@ -122,6 +157,8 @@ function buildEndOfTrack() {
  * @param {string} [options.register='Mid'] - Register preset (Sub/Bass/Mid/Harmony)
  * @param {number} [options.octave] - Direct octave override (fallback if register absent)
  * @param {string} [options.voicingStyle='Triad'] - Voicing style
+ * @param {string} [options.key] - Key (e.g. "F Major"): adds a key signature and a marker per chord,
+ *   with chord names spelled in that key ("Bb Major", not "A# Major")
  * @returns {Uint8Array} - Complete MIDI file as binary buffer
  */
 function exportProgressionToMidi(progression, options = {}) {
@@ -131,7 +168,8 @@ function exportProgressionToMidi(progression, options = {}) {
         velocity = 100,
         register,
         octave,
-        voicingStyle = 'Triad'
+        voicingStyle = 'Triad',
+        key
     } = options;
 
     // Resolve octave: register takes priority, then direct octave, then default 4
@@ -151,12 +189,15 @@ function exportProgressionToMidi(progression, options = {}) {
 
     // Tempo event
     trackData.push(...buildTempoEvent(bpm));
+    if (key) trackData.push(...buildKeySignatureEvent(key));
 
     // For each chord: NoteOn (delta=0 for simultaneous), then NoteOff after duration
     for (let i = 0; i < progression.length; i++) {
         const notes = buildVoicing(progression[i], voicingStyle, resolvedOctave);
         if (!notes || notes.length === 0) continue;
 
+        if (key) trackData.push(...buildMarkerEvent(spellChordName(progression[i], key)));
+
         // NoteOn events (delta=0 for all notes — simultaneous)
         for (let n = 0; n < notes.length; n++) {
             const delta = (n === 0 && i === 0) ? 0 : (n === 0 ? 0 : 0);
@@ -1,11 +1,29 @@
 const { EventEmitter } = require('events');
+const MidiClock = require('./midi-clock');
+
+// Pedal controllers: value >= 64 is down
+const CC_SUSTAIN = 64;
+const CC_SOSTENUTO = 66;
+const PEDAL_THRESHOLD = 64;
+
+// Channel masks: bit n = MIDI channel n + 1 (status nibble n)
+const ALL_CHANNELS = 0xFFFF;
+const DRUM_CHANNEL = 9; // Channel 10
 
 class MidiManager extends EventEmitter {
     constructor() {
         super();
         this.midiAccess = null;
-        this.activeInput = null;
-        this.activeNotes = new Set(); // Stores active MIDI note numbers
+        this.activeInput = null; // Most recently routed input
+        this.routes = new Map();      // inputId → { input, channelMask, transpose, bass }
+        this.activeNotes = new Set(); // Stores active MIDI note numbers (keys held down)
+        this.heldKeys = new Map();    // "inputId:channel:rawNote" → sounding note, so note-offs survive a transpose change
+        this.bassKeys = new Map();    // Same, for bass routes: kept out of the chord notes
+        this.pedalNotes = new Map();  // Released keys still sounding: note → 'sustain' | 'sostenuto'
+        this.pedalNoteSources = new Map(); // note → "inputId:channel" whose pedal holds it
+        this.pedals = new Map();      // "inputId:channel" → { sustain, sostenuto, sostenutoNotes }: a pedal holds its own input's notes only
+        this.clock = new MidiClock();    // Host tempo and transport
+        this.clockSource = null;         // inputId to follow clock from; null = any routed input
     }
 
     async init() {
@@ -30,45 +48,339 @@ class MidiManager extends EventEmitter {
         return Array.from(this.midiAccess.inputs.values());
     }
 
+    /**
+     * Route a single input, detaching any others (all channels, no transpose).
+     */
     setInput(inputId) {
         if (!this.midiAccess) {
             console.warn('[MidiManager] Cannot set input: midiAccess not initialized');
             return;
         }
-        if (this.activeInput) {
-            this.activeInput.onmidimessage = null; // Detach previous listener
+        for (const id of Array.from(this.routes.keys())) {
+            if (id !== inputId) this.removeInput(id);
         }
+        this.resetPedals();
+        this.clock.reset();
+        this.addInput(inputId);
+    }
+
+    /**
+     * Follow MIDI clock and transport from one input only (null = any routed input).
+     * Useful when a keyboard and a DAW both send clock.
+     */
+    setClockSource(inputId) {
+        this.clockSource = inputId;
+        this.clock.reset();
+    }
 
+    /**
+     * Subscribe to an input alongside the ones already routed.
+     * Re-adding a routed input updates its options.
+     *
+     * @param {string} inputId
+     * @param {Object} [options]
+     * @param {number} [options.channelMask=ALL_CHANNELS] - Bit n accepts MIDI channel n + 1
+     * @param {number} [options.transpose=0] - Semitones added to every note
+     * @param {boolean} [options.bass=false] - Bass line (pedalboard, bass split): its notes imply
+     *   chord roots instead of joining the chord
+     * @returns {boolean} false if the input does not exist
+     */
+    addInput(inputId, options = {}) {
+        if (!this.midiAccess) {
+            console.warn('[MidiManager] Cannot add input: midiAccess not initialized');
+            return false;
+        }
         const input = this.midiAccess.inputs.get(inputId);
-        if (input) {
-            this.activeInput = input;
-            this.activeInput.onmidimessage = (msg) => this.handleMidiMessage(msg);
-            console.log(`[MidiManager] Input set to: ${input.name}`);
-        } else {
+        if (!input) {
             console.warn(`[MidiManager] Input ${inputId} not found.`);
+            return false;
+        }
+
+        const existing = this.routes.get(inputId);
+        this.routes.set(inputId, {
+            input,
+            channelMask: existing ? existing.channelMask : ALL_CHANNELS,
+            transpose: existing ? existing.transpose : 0,
+            bass: existing ? existing.bass : false
+        });
+        this.setInputRoute(inputId, options);
+
+        input.onmidimessage = (msg) => this.handleMidiMessage(msg, inputId);
+        this.activeInput = input;
+        console.log(`[MidiManager] Input routed: ${input.name}`);
+        return true;
+    }
+
+    /**
+     * Detach an input and release the keys (and pedals) it was holding.
+     */
+    removeInput(inputId) {
+        const route = this.routes.get(inputId);
+        if (!route) return;
+        route.input.onmidimessage = null; // Detach listener
+        this.routes.delete(inputId);
+
+        for (const pedalSource of Array.from(this.pedals.keys())) {
+            if (!pedalSource.startsWith(`${inputId}:`)) continue;
+            const pedal = this.pedals.get(pedalSource);
+            this.pedals.delete(pedalSource);
+            this.endPedalNotes(pedalSource, pedal.sustain ? 'sustain' : 'sostenuto', parseInt(pedalSource.split(':').pop(), 10));
         }
+        for (const source of Array.from(this.bassKeys.keys())) {
+            if (source.startsWith(`${inputId}:`)) this.bassKeys.delete(source);
+        }
+        for (const [source, note] of Array.from(this.heldKeys)) {
+            if (!source.startsWith(`${inputId}:`)) continue;
+            const channel = parseInt(source.split(':').slice(-2)[0], 10);
+            this.releaseKey(source, note, 0, channel, inputId);
+        }
+
+        if (this.activeInput === route.input) {
+            const remaining = Array.from(this.routes.values());
+            this.activeInput = remaining.length > 0 ? remaining[remaining.length - 1].input : null;
+        }
+        console.log(`[MidiManager] Input removed: ${route.input.name}`);
+    }
+
+    /**
+     * Change the channel mask, transpose and/or bass role of a routed input.
+     * @param {string} inputId
+     * @param {{ channelMask?: number, transpose?: number, bass?: boolean }} options
+     */
+    setInputRoute(inputId, { channelMask, transpose, bass } = {}) {
+        const route = this.routes.get(inputId);
+        if (!route) return;
+        if (Number.isInteger(channelMask)) route.channelMask = channelMask & ALL_CHANNELS;
+        if (Number.isInteger(transpose)) route.transpose = Math.max(-48, Math.min(48, transpose));
+        if (typeof bass === 'boolean') route.bass = bass;
+    }
+
+    /**
+     * Routed inputs and their settings.
+     * @returns {{ id: string, name: string, channelMask: number, transpose: number, bass: boolean }[]}
+     */
+    getRoutes() {
+        return Array.from(this.routes, ([id, route]) => ({
+            id, name: route.input.name, channelMask: route.channelMask, transpose: route.transpose, bass: route.bass
+        }));
     }
 
-    handleMidiMessage(message) {
+    handleMidiMessage(message, inputId = null) {
         const [status, data1, data2] = message.data;
+
+        // Clock, transport and song position have no channel: skip the channel mask
+        if (MidiClock.isClockMessage(status)) {
+            if (this.clockSource === null || this.clockSource === inputId) {
+                this.clock.handleMessage(message.data, message.timeStamp);
+            }
+            return;
+        }
+
         const command = status & 0xF0;
         const channel = status & 0x0F;
 
+        // Per-input channel mask (messages without a route pass, e.g. direct calls)
+        const route = inputId !== null ? this.routes.get(inputId) : null;
+        if (route && !((route.channelMask >> channel) & 1)) return;
+        const transpose = route ? route.transpose : 0;
+        const pedalSource = `${inputId}:${channel}`;
+        const source = `${pedalSource}:${data1}`;
+
         // Note On (144) with velocity > 0
         if (command === 144 && data2 > 0) {
-            this.activeNotes.add(data1);
-            this.emit('note-on', { note: data1, velocity: data2, channel, type: 'note-on' });
+            const note = data1 + transpose;
+            if (note < 0 || note > 127) return;
+            if (route && route.bass) {
+                this.bassKeys.set(source, note);
+                this.emit('note-on', { note, velocity: data2, channel, type: 'note-on', heldBy: 'key', inputId, bass: true });
+                return;
+            }
+            this.heldKeys.set(source, note);
+            this.activeNotes.add(note);
+            // Re-struck under the pedal: the key holds it again
+            this.pedalNotes.delete(note);
+            this.pedalNoteSources.delete(note);
+            this.emit('note-on', { note, velocity: data2, channel, type: 'note-on', heldBy: 'key', inputId });
         }
         // Note Off (128) or Note On with velocity 0
         else if (command === 128 || (command === 144 && data2 === 0)) {
-            this.activeNotes.delete(data1);
-            this.emit('note-off', { note: data1, velocity: data2, channel, type: 'note-off' });
+            if (this.bassKeys.has(source)) {
+                const note = this.bassKeys.get(source);
+                this.bassKeys.delete(source);
+                this.emit('note-off', { note, velocity: data2, channel, type: 'note-off', heldBy: null, inputId, bass: true });
+                return;
+            }
+            // Release the note this key started, even if the transpose changed since
+            const note = this.heldKeys.has(source) ? this.heldKeys.get(source) : data1 + transpose;
+            if (note < 0 || note > 127) return;
+            this.releaseKey(source, note, data2, channel, inputId);
+        }
+        // Control Change (176): sustain / sostenuto
+        else if (command === 176 && (data1 === CC_SUSTAIN || data1 === CC_SOSTENUTO)) {
+            this.handlePedal(data1, data2 >= PEDAL_THRESHOLD, channel, inputId);
         }
     }
 
+    /**
+     * Key up. The note stays active while another input or channel still holds it,
+     * and keeps sounding while the pedal of its own input and channel is down.
+     */
+    releaseKey(source, note, velocity, channel, inputId) {
+        this.heldKeys.delete(source);
+        const stillHeld = Array.from(this.heldKeys.values()).includes(note);
+        if (!stillHeld) this.activeNotes.delete(note);
+        const pedalSource = `${inputId}:${channel}`;
+        const heldBy = stillHeld ? 'key' : this.getPedalHolding(note, pedalSource);
+        if (heldBy && heldBy !== 'key') {
+            this.pedalNotes.set(note, heldBy);
+            this.pedalNoteSources.set(note, pedalSource);
+        }
+        this.emit('note-off', { note, velocity, channel, type: 'note-off', heldBy, inputId });
+    }
+
+    /**
+     * Which pedal (if any) of an input and channel keeps a released key sounding.
+     * Sostenuto wins for the notes it caught, so lifting sustain alone does not cut them.
+     * @param {number} note
+     * @param {string} pedalSource - "inputId:channel"
+     * @returns {'sustain'|'sostenuto'|null}
+     */
+    getPedalHolding(note, pedalSource) {
+        const pedal = this.pedals.get(pedalSource);
+        if (!pedal) return null;
+        if (pedal.sostenuto && pedal.sostenutoNotes.has(note)) return 'sostenuto';
+        if (pedal.sustain) return 'sustain';
+        return null;
+    }
+
+    /**
+     * Pedal down/up on one input and channel. On release, that pedal's notes no longer
+     * held by a key or the other pedal end with a 'note-off' event (velocity 0,
+     * heldBy: null, releasedBy: pedal).
+     */
+    handlePedal(controller, down, channel, inputId = null) {
+        const pedalName = controller === CC_SUSTAIN ? 'sustain' : 'sostenuto';
+        const pedalSource = `${inputId}:${channel}`;
+        const pedal = this.pedals.get(pedalSource) || { sustain: false, sostenuto: false, sostenutoNotes: new Set() };
+        if (pedal[pedalName] === down) return;
+        pedal[pedalName] = down;
+        if (pedalName === 'sostenuto') {
+            // Sostenuto catches only the keys of its input and channel held at the moment it goes down
+            pedal.sostenutoNotes = new Set();
+            if (down) {
+                for (const [source, note] of this.heldKeys) {
+                    if (source.startsWith(`${pedalSource}:`)) pedal.sostenutoNotes.add(note);
+                }
+            }
+        }
+        if (pedal.sustain || pedal.sostenuto) this.pedals.set(pedalSource, pedal);
+        else this.pedals.delete(pedalSource);
+
+        this.emit('pedal', { pedal: pedalName, down, channel, type: 'pedal', inputId });
+        if (!down) this.endPedalNotes(pedalSource, pedalName, channel);
+    }
+
+    /**
+     * End the notes an input and channel's pedals no longer hold.
+     */
+    endPedalNotes(pedalSource, releasedBy, channel) {
+        for (const [note, source] of Array.from(this.pedalNoteSources)) {
+            if (source !== pedalSource) continue;
+            const heldBy = this.getPedalHolding(note, pedalSource);
+            if (heldBy) {
+                this.pedalNotes.set(note, heldBy);
+                continue;
+            }
+            this.pedalNotes.delete(note);
+            this.pedalNoteSources.delete(note);
+            this.emit('note-off', { note, velocity: 0, channel, type: 'note-off', heldBy: null, releasedBy });
+        }
+    }
+
+    /**
+     * Clear pedal state and pedal-held notes (input change, panic).
+     */
+    resetPedals() {
+        this.pedalNotes.clear();
+        this.pedalNoteSources.clear();
+        this.pedals.clear();
+    }
+
+    /** Is a sustain pedal down on any input? */
+    get sustainDown() {
+        return Array.from(this.pedals.values()).some(pedal => pedal.sustain);
+    }
+
+    /** Is a sostenuto pedal down on any input? */
+    get sostenutoDown() {
+        return Array.from(this.pedals.values()).some(pedal => pedal.sostenuto);
+    }
+
+    /**
+     * Keys physically held down.
+     */
     getActiveNotes() {
         return Array.from(this.activeNotes).sort((a, b) => a - b);
     }
+
+    /**
+     * Lowest key held on a bass route, or null. Bass keys are not pedal-held.
+     * @returns {number|null}
+     */
+    getBassNote() {
+        return this.bassKeys.size > 0 ? Math.min(...this.bassKeys.values()) : null;
+    }
+
+    /**
+     * Every sounding note: held keys plus notes kept by the sustain or sostenuto pedal.
+     */
+    getSoundingNotes() {
+        return Array.from(new Set([...this.activeNotes, ...this.pedalNotes.keys()])).sort((a, b) => a - b);
+    }
+}
+
+/**
+ * Channel list text → mask: "1-9, 11-16" → all but channel 10. Empty or "all" → ALL_CHANNELS.
+ * Returns null if the text is not a channel list.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseChannelList(text) {
+    const trimmed = (text || '').trim().toLowerCase();
+    if (trimmed === '' || trimmed === 'all') return ALL_CHANNELS;
+
+    let mask = 0;
+    for (const part of trimmed.split(/\s*,\s*/)) {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) return null;
+        const from = parseInt(match[1], 10);
+        const to = match[2] ? parseInt(match[2], 10) : from;
+        if (from < 1 || to > 16 || from > to) return null;
+        for (let ch = from; ch <= to; ch++) mask |= 1 << (ch - 1);
+    }
+    return mask;
 }
 
+/**
+ * Mask → channel list text: ALL_CHANNELS → "all", all but 10 → "1-9, 11-16".
+ * @param {number} mask
+ * @returns {string}
+ */
+function formatChannelMask(mask) {
+    if ((mask & ALL_CHANNELS) === ALL_CHANNELS) return 'all';
+    const ranges = [];
+    for (let ch = 1; ch <= 16; ch++) {
+        if (!((mask >> (ch - 1)) & 1)) continue;
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === ch - 1) last[1] = ch;
+        else ranges.push([ch, ch]);
+    }
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+MidiManager.ALL_CHANNELS = ALL_CHANNELS;
+MidiManager.DRUM_CHANNEL = DRUM_CHANNEL;
+MidiManager.parseChannelList = parseChannelList;
+MidiManager.formatChannelMask = formatChannelMask;
+
 module.exports = MidiManager;
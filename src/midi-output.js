@@ -4,6 +4,7 @@ let midiAccess = null;
 let activeOutput = null;
 let isPlaying = false;
 let activeTimeouts = [];
+let activeSync = null; // { clock, listeners, sounding } while following an external clock
 
 /**
  * Initialize MIDI Access (Sysex false)
@@ -45,6 +46,18 @@ function setOutput(id) {
     }
 }
 
+/**
+ * Map a register name to the octave chords are voiced in.
+ * @param {string} register "Sub", "Bass", "Mid", "Harmony" (default octave 4)
+ */
+function registerToOctave(register) {
+    if (register === 'Sub') return 1;
+    if (register === 'Bass') return 2;
+    if (register === 'Mid') return 3;
+    if (register === 'Harmony') return 5;
+    return 4;
+}
+
 /**
  * Play a progression of chord names
  * @param {Array<string>} progression ["C Major", "G Major", ...]
@@ -52,11 +65,19 @@ function setOutput(id) {
  * @param {number} beatsPerChord Duration in beats
  * @param {string} register "Mid", "Bass", etc (affects octave)
  * @param {Function} onComplete Callback when done
+ * @param {Object} [options]
+ * @param {MidiClock} [options.clock] Follow this external clock instead of `bpm`:
+ *   start on the next bar once the host transport runs, change chords on its beats
  */
-function playProgression(progression, bpm, beatsPerChord, register, onComplete) {
+function playProgression(progression, bpm, beatsPerChord, register, onComplete, options = {}) {
     if (isPlaying) stopPlayback();
     if (!activeOutput || !progression || progression.length === 0) return;
 
+    if (options.clock) {
+        playProgressionSynced(progression, options.clock, beatsPerChord, register, onComplete);
+        return;
+    }
+
     isPlaying = true;
 
     // Timing calculation
@@ -68,15 +89,8 @@ function playProgression(progression, bpm, beatsPerChord, register, onComplete)
     let currentTime = 0;
 
     progression.forEach((chordName, index) => {
-        // Map register to octave
-        let baseOctave = 4;
-        if (register === 'Sub') baseOctave = 1;
-        else if (register === 'Bass') baseOctave = 2;
-        else if (register === 'Mid') baseOctave = 3;
-        else if (register === 'Harmony') baseOctave = 5;
-
         // Use engine to calculate notes
-        const metadata = getChordMetadata(chordName, baseOctave);
+        const metadata = getChordMetadata(chordName, registerToOctave(register));
         if (!metadata || !metadata.midiNotes) return;
 
         const notes = metadata.midiNotes;
@@ -118,11 +132,83 @@ function playProgression(progression, bpm, beatsPerChord, register, onComplete)
     activeTimeouts.push(completeTimer);
 }
 
+/**
+ * Clock-locked playback. Chords change on the host's beats, so tempo changes and
+ * song-position jumps are followed; the chord is derived from the song position
+ * each beat. A jump back before the first chord re-anchors the progression on the
+ * next downbeat. Transport stop ends playback.
+ */
+function playProgressionSynced(progression, clock, beatsPerChord, register, onComplete) {
+    isPlaying = true;
+
+    const chords = progression.map(chordName => {
+        const metadata = getChordMetadata(chordName, registerToOctave(register));
+        return metadata && metadata.midiNotes ? metadata.midiNotes : [];
+    });
+    const sync = { clock, listeners: {}, sounding: [], chordIndex: -1, startBeat: null };
+    activeSync = sync;
+
+    const releaseSounding = () => {
+        sync.sounding.forEach(note => activeOutput && activeOutput.send([0x80, note, 64]));
+        sync.sounding = [];
+    };
+
+    const finish = () => {
+        releaseSounding();
+        detachSync();
+        isPlaying = false;
+        if (onComplete) onComplete();
+    };
+
+    sync.listeners.beat = ({ beatIndex }) => {
+        // Host jumped back before the start: begin again from the next downbeat
+        if (sync.startBeat !== null && beatIndex < sync.startBeat) {
+            releaseSounding();
+            sync.chordIndex = -1;
+            sync.startBeat = null;
+        }
+
+        // Start on a downbeat
+        if (sync.startBeat === null) {
+            if (beatIndex % clock.beatsPerBar !== 0) return;
+            sync.startBeat = beatIndex;
+        }
+
+        const relative = beatIndex - sync.startBeat;
+        const chordIndex = relative < 0 ? -1 : Math.floor(relative / beatsPerChord);
+        if (chordIndex === sync.chordIndex) return;
+
+        releaseSounding();
+        sync.chordIndex = chordIndex;
+        if (chordIndex >= chords.length) {
+            finish();
+            return;
+        }
+        if (chordIndex < 0 || !activeOutput) return;
+
+        chords[chordIndex].forEach(note => activeOutput.send([0x90, note, 96]));
+        sync.sounding = chords[chordIndex].slice();
+    };
+    sync.listeners.stop = finish;
+
+    clock.on('beat', sync.listeners.beat);
+    clock.on('stop', sync.listeners.stop);
+}
+
+function detachSync() {
+    if (!activeSync) return;
+    const { clock, listeners } = activeSync;
+    clock.removeListener('beat', listeners.beat);
+    clock.removeListener('stop', listeners.stop);
+    activeSync = null;
+}
+
 /**
  * Stop playback and clear pending events
  */
 function stopPlayback() {
     isPlaying = false;
+    detachSync();
     activeTimeouts.forEach(id => clearTimeout(id));
     activeTimeouts = [];
 
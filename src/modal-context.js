@@ -6,11 +6,27 @@
  */
 
 const SCALES = require('./scale-dictionary');
-const { CHORD_INTERVALS } = require('./chord-dictionary');
+const { getChordName } = require('./chord-dictionary');
+const { noteToPC, preferredTonicName, getKeySpelling, SHARP_NAMES } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+const { romanNumeral } = require('./harmonic-function');
+const { harmonizeDegree, STACK_PENALTY } = require('./scale-harmonizer');
+const { getStyle } = require('./style-profiles');
 
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+// 7-note parent scales and their modes, in rotation order (mode n starts on degree n)
+const PARENT_SCALES = {
+    'Major': ['Ionian', 'Dorian', 'Phrygian', 'Lydian', 'Mixolydian', 'Aeolian', 'Locrian'],
+    'Harmonic Minor': ['Harmonic Minor', 'Locrian #6', 'Ionian #5', 'Dorian #4', 'Phrygian Dominant', 'Lydian #2', 'Altered bb7'],
+    'Melodic Minor': ['Melodic Minor', 'Dorian b2', 'Lydian Augmented', 'Lydian Dominant', 'Mixolydian b6', 'Locrian #2', 'Altered'],
+    'Harmonic Major': ['Harmonic Major', 'Dorian b5', 'Phrygian b4', 'Lydian b3', 'Mixolydian b2', 'Lydian Augmented #2', 'Locrian bb7'],
+    'Double Harmonic Major': ['Double Harmonic Major', 'Lydian #2 #6', 'Ultraphrygian', 'Hungarian Minor', 'Oriental', 'Ionian Augmented #2', 'Locrian bb3 bb7']
+};
+
+// Church modes first: on a tie, the more common reading wins
+const MODES = Object.values(PARENT_SCALES).flat();
 
-const MODES = ['Ionian', 'Dorian', 'Phrygian', 'Lydian', 'Mixolydian', 'Aeolian', 'Locrian'];
+// Scales without seven-note diatonic chords (pentatonic, blues, symmetric): lockable, never detected
+const OTHER_SCALES = Object.keys(SCALES).filter(name => SCALES[name].length !== 7);
 
 const DEGREE_NAMES_BY_MODE = {
     'Ionian': ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'],
@@ -22,50 +38,231 @@ const DEGREE_NAMES_BY_MODE = {
     'Locrian': ['i°', 'II', 'iii', 'iv', 'V', 'VI', 'vii']
 };
 
+// Characteristic tones of the major and minor references themselves; other modes
+// use the tones that set them apart from Ionian or Aeolian (Dorian: 6, Lydian: #4)
+const REFERENCE_CHARACTERISTIC_TONES = {
+    'Ionian': [5, 11],
+    'Aeolian': [8]
+};
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Detection tie-break: a mode whose tonic opens or closes the history reads better
+const TONIC_CHORD_BONUS = 0.25;
+
+// Suggestions ranked by modal colour: the tonic, then chords holding a characteristic
+// tone (Dorian IV, Lydian II, Mixolydian bVII), then the rest (confidences: the style's
+// `modal`). The tonic of the relative centre (C in D Dorian) and a dominant seventh
+// onto it pull away from the mode.
+const RELATIVE_PULL_PENALTY = 0.15;
+const REPEAT_PENALTY = 0.4;         // Same degree as the last chord
+
+// Drift: recent chords weigh the relative centre (its tonic, a cadence onto it, ending
+// on it) against the mode (its tonic, chords holding a characteristic tone)
+const DRIFT_WINDOW = 4;
+const MIN_DRIFT_CHORDS = 3;
+const DRIFT_CADENCE_WEIGHT = 1;
+const DRIFT_ENDING_WEIGHT = 0.5;
+const DRIFT_COLOUR_WEIGHT = 0.5;
+
+// Modal interchange ranking
+const INTERCHANGE_BASE = 0.7;
+const INTERCHANGE_MODE_DISTANCE = 0.04; // Per extra tone the source mode changes (Mixolydian 1, Aeolian 3)
+const INTERCHANGE_COLOUR = 0.02;        // Per extra chord tone outside the home mode
+const INTERCHANGE_UNSTABLE = 0.15;      // Diminished/augmented triads: passing colour, rarely a destination
+const INTERCHANGE_EXOTIC = 0.15;        // Source outside the church modes
+const INTERCHANGE_MOTION = 0.02;        // Per semitone of voice motion from the last chord
+const INTERCHANGE_COMMON = 0.12;        // Stock borrowings from the parallel major/minor
+const INTERCHANGE_LIMIT = 8;
+const UNSTABLE_QUALITIES = ['Diminished', 'Augmented'];
+
+// Stock borrowings as root offset → third (3 minor, 4 major); the source mode's distance
+// alone would rank the Dorian i and Lydian vii above them
+const COMMON_BORROWINGS = {
+    major: new Map([[5, 3], [8, 4], [10, 4], [3, 4]]), // iv, bVI, bVII, bIII
+    minor: new Map([[5, 4], [7, 4], [0, 4]])           // IV, V, I (Picardy)
+};
+
+// Diatonic chord sizes: stacked thirds per degree
+const TRIAD = 3;
+const SEVENTH = 4;
+const NINTH = 5;
+const ELEVENTH = 6;
+const DETECTION_SIZES = [TRIAD, SEVENTH, NINTH, ELEVENTH];
+
+// Numeral suffix per chord quality ("ii" + "7", "IV" + "maj7"); half-diminished replaces the °
+const QUALITY_SUFFIXES = {
+    'Maj7': 'maj7', 'Dom7': '7', 'Min7': '7', 'MinMaj7': '(maj7)',
+    'm7b5 (Half-Dim)': 'ø7', 'Dim7': '°7',
+    'Maj9': 'maj9', 'Dom9': '9', 'Min9': '9',
+    'Dom11': '11', 'Min11': '11'
+};
+
 /**
- * Parse chord name → { root, quality, rootPC }
+ * Parse chord name → { root, quality, rootPC, pcs }
+ * The bass of a slash chord ("C Major/E") does not change its modal function,
+ * but it is one of the chord's tones (pcs).
  */
 function parseChord(str) {
-    if (!str || typeof str !== 'string') return null;
-    const parts = str.trim().split(/\s+/);
-    if (parts.length < 2) return null;
-    const root = parts[0];
-    const quality = parts.slice(1).join(' ');
-    const rootPC = NOTE_NAMES.indexOf(root);
-    if (rootPC === -1) return null;
-    return { root, quality, rootPC };
+    const chord = parseChordSymbol(str);
+    if (!chord) return null;
+    const pcs = new Set((chord.intervals || [0]).map(i => (chord.rootPC + i) % 12));
+    if (chord.bassPC !== null) pcs.add(chord.bassPC);
+    return { root: chord.root, quality: chord.quality, rootPC: chord.rootPC, pcs: [...pcs] };
 }
 
 /**
- * Build a triad on a given degree of a scale.
- * Returns { rootPC, quality } or null.
+ * Build a chord of `size` stacked thirds on a degree of a scale (3 = triad, 4 = seventh,
+ * 5 = ninth, 6 = eleventh). Returns { rootPC, quality, name, size } or null when the
+ * stack has no name in the chord dictionary. `spelling` names the 12 pitch classes (getKeySpelling).
  */
-function buildTriadOnDegree(scaleIntervals, tonicPC, degreeIndex) {
+function buildChordOnDegree(scaleIntervals, tonicPC, degreeIndex, size = TRIAD, spelling = SHARP_NAMES) {
     const len = scaleIntervals.length;
     if (len < 7) return null;
 
     const rootInterval = scaleIntervals[degreeIndex];
-    const thirdInterval = scaleIntervals[(degreeIndex + 2) % len];
-    const fifthInterval = scaleIntervals[(degreeIndex + 4) % len];
-
-    const intervals = [
-        0,
-        (thirdInterval - rootInterval + 12) % 12,
-        (fifthInterval - rootInterval + 12) % 12
-    ].sort((a, b) => a - b);
+    const intervals = [];
+    for (let k = 0; k < size; k++) {
+        const tone = (scaleIntervals[(degreeIndex + 2 * k) % len] - rootInterval + 12) % 12;
+        intervals.push(k >= 4 ? tone + 12 : tone); // 9th and 11th are compound
+    }
+    intervals.sort((a, b) => a - b);
 
-    const key = intervals.join(',');
-    const quality = CHORD_INTERVALS[key] || null;
+    const quality = getChordName(intervals);
     const rootPC = (tonicPC + rootInterval) % 12;
 
-    return quality ? { rootPC, quality, name: `${NOTE_NAMES[rootPC]} ${quality}` } : null;
+    return quality ? { rootPC, quality, name: `${spelling[rootPC]} ${quality}`, size } : null;
+}
+
+/**
+ * Build a triad on a given degree of a scale.
+ * Returns { rootPC, quality, name } or null. `spelling` names the 12 pitch classes (getKeySpelling).
+ */
+function buildTriadOnDegree(scaleIntervals, tonicPC, degreeIndex, spelling = SHARP_NAMES) {
+    return buildChordOnDegree(scaleIntervals, tonicPC, degreeIndex, TRIAD, spelling);
+}
+
+/**
+ * Degree numeral with the quality's suffix: "ii" + Min7 → "ii7", "vi°" + m7b5 → "viø7".
+ */
+function degreeLabel(numeral, quality) {
+    const suffix = QUALITY_SUFFIXES[quality];
+    if (!suffix) return numeral;
+    return suffix.startsWith('ø') || suffix.startsWith('°') ? numeral.replace('°', '') + suffix : numeral + suffix;
+}
+
+/**
+ * Plain numeral for a triad quality: "ii", "V", "vii°", "III+".
+ */
+function triadNumeral(degree, quality) {
+    const numeral = ROMAN[degree];
+    if (quality === 'Minor') return numeral.toLowerCase();
+    if (quality === 'Diminished') return `${numeral.toLowerCase()}°`;
+    if (quality === 'Augmented') return `${numeral}+`;
+    return numeral;
+}
+
+// Church-mode names are written out above; the other modes are named from their triads.
+// A degree without a triad takes the harmonizer's sus or quartal stack ("IVsus2"), and
+// with none of those the bare scale degree ("7\u0302"): a numeral would claim a quality
+for (const mode of MODES) {
+    if (DEGREE_NAMES_BY_MODE[mode]) continue;
+    DEGREE_NAMES_BY_MODE[mode] = SCALES[mode].map((_, degree) => {
+        const triad = buildTriadOnDegree(SCALES[mode], 0, degree);
+        if (triad) return triadNumeral(degree, triad.quality);
+        const stack = harmonizeDegree(SCALES[mode], 0, degree)[0];
+        if (!stack) return `${degree + 1}\u0302`;
+        return stack.type === 'sus' ? ROMAN[degree] + stack.function.replace(/^[b#]?[IV]+/, '') : `${ROMAN[degree]} quartal`;
+    });
 }
 
+/**
+ * Tones (tonic-relative) that set a mode apart from its nearest major/minor reference.
+ */
+function characteristicTones(mode) {
+    if (REFERENCE_CHARACTERISTIC_TONES[mode]) return REFERENCE_CHARACTERISTIC_TONES[mode];
+    const intervals = SCALES[mode];
+    const differences = reference => intervals.filter(i => !SCALES[reference].includes(i));
+    const major = differences('Ionian');
+    const minor = differences('Aeolian');
+    if (major.length !== minor.length) return major.length < minor.length ? major : minor;
+    return intervals.includes(4) ? major : minor;
+}
+
+/**
+ * Tonal centres a mode can slide into: the relative Ionian and Aeolian for the church
+ * modes (C Ionian / A Aeolian from D Dorian), the parent scale's own tonic for the others
+ * (A Harmonic Minor from E Phrygian Dominant). The reference modes have none.
+ * @returns {Array<{ offset: number, mode: string }>} offset: centre tonic relative to the mode's tonic
+ */
+function relativeCentres(parent, rotation) {
+    const parentIntervals = SCALES[PARENT_SCALES[parent][0]];
+    const centreRotations = parent === 'Major' ? [0, 5] : [0];
+    if (centreRotations.includes(rotation)) return [];
+    return centreRotations.map(r => ({
+        offset: (parentIntervals[r] - parentIntervals[rotation] + 12) % 12,
+        mode: PARENT_SCALES[parent][r]
+    }));
+}
+
+/**
+ * Describe a mode: its parent scale, degree names, characteristic tones/degrees and
+ * the relative centres it can drift toward.
+ *
+ * @param {string} mode - e.g. "Dorian", "Lydian Dominant", "Altered"
+ * @returns {{
+ *   mode: string, parent: string, rotation: number, intervals: number[],
+ *   degreeNames: string[], characteristicTones: number[], characteristicDegrees: number[],
+ *   relativeCentres: Array<{ offset: number, mode: string }>
+ * }|null} characteristicDegrees: degrees whose triad holds a characteristic tone
+ */
+function getModeInfo(mode) {
+    const parent = Object.keys(PARENT_SCALES).find(name => PARENT_SCALES[name].includes(mode));
+    if (!parent) return null;
+    const intervals = SCALES[mode];
+    const tones = characteristicTones(mode);
+    const rotation = PARENT_SCALES[parent].indexOf(mode);
+    const characteristicDegrees = intervals
+        .map((_, degree) => degree)
+        .filter(degree => [0, 2, 4].some(k => tones.includes(intervals[(degree + k) % 7])));
+
+    return {
+        mode,
+        parent,
+        rotation,
+        intervals,
+        degreeNames: DEGREE_NAMES_BY_MODE[mode],
+        characteristicTones: tones,
+        characteristicDegrees,
+        relativeCentres: relativeCentres(parent, rotation)
+    };
+}
+
+// Tie-break order: church modes, then the other parent scales in the order above, then their modes
+const MODE_RANKS = new Map(Object.values(PARENT_SCALES).flatMap((modes, parentIndex) =>
+    modes.map((mode, rotation) => [mode, parentIndex === 0 ? 0 : rotation === 0 ? parentIndex : 10 + parentIndex])));
+
+// Diatonic chord tables per mode, relative to a C tonic (transposed during detection)
+const MODE_TABLES = new Map(MODES.map(mode => {
+    const chords = [];
+    for (let degree = 0; degree < 7; degree++) {
+        for (const size of DETECTION_SIZES) {
+            const chord = buildChordOnDegree(SCALES[mode], 0, degree, size);
+            if (chord) chords.push(chord);
+        }
+    }
+    return [mode, chords];
+}));
+
 /**
  * Detect the most likely mode from a chord history.
  *
- * Scores each tonic (0–11) × mode (7 modes) combo by checking
- * how many chords in history are diatonic to that tonic+mode.
+ * Scores each tonic (0–11) × mode (every rotation of the 7-note parent scales)
+ * combo by counting the chords in history that are consistent with it: a triad, seventh, ninth or eleventh
+ * built on one of its degrees, or any chord whose tones all lie in the mode
+ * (Dm7, C6/9, Gsus4 and power chords count even though no table holds them).
+ * Ties go to the mode whose tonic chord opens or closes the history, then to
+ * the church modes, then to the parent scales over their rotations.
  *
  * @param {string[]} chordHistory - Array of chord names
  * @returns {{ tonic: string, mode: string, confidence: number } | null}
@@ -77,37 +274,42 @@ function detectModeFromChords(chordHistory) {
     if (parsedChords.length === 0) return null;
 
     let bestScore = -1;
+    let bestRank = Infinity;
     let bestResult = null;
+    const first = parsedChords[0];
+    const last = parsedChords[parsedChords.length - 1];
 
-    // Try all 12 tonics × 7 modes
+    // Try all 12 tonics × every mode of every parent scale
     for (let tonicPC = 0; tonicPC < 12; tonicPC++) {
         for (const mode of MODES) {
             const scaleIntervals = SCALES[mode];
-            if (!scaleIntervals || scaleIntervals.length < 7) continue;
-
-            // Build diatonic triads for this tonic+mode
-            const diatonicChords = [];
-            for (let degree = 0; degree < 7; degree++) {
-                const triad = buildTriadOnDegree(scaleIntervals, tonicPC, degree);
-                if (triad) diatonicChords.push(triad);
-            }
+            const diatonicChords = MODE_TABLES.get(mode);
+            const modePCs = scaleIntervals.map(i => (tonicPC + i) % 12);
 
-            // Score: how many input chords match diatonic chords?
-            let score = 0;
+            // Count input chords consistent with the mode
+            let consistent = 0;
             for (const chord of parsedChords) {
-                const match = diatonicChords.find(dc =>
-                    dc.rootPC === chord.rootPC && dc.quality === chord.quality
+                const match = diatonicChords.some(dc =>
+                    (dc.rootPC + tonicPC) % 12 === chord.rootPC && dc.quality === chord.quality
                 );
-                if (match) score++;
+                if (match || chord.pcs.every(pc => modePCs.includes(pc))) consistent++;
             }
+            if (consistent === 0) continue;
+
+            // Tie-break: the tonic chord opens or closes the phrase
+            let score = consistent;
+            if (first.rootPC === tonicPC) score += TONIC_CHORD_BONUS;
+            if (last.rootPC === tonicPC) score += TONIC_CHORD_BONUS;
 
             // Normalize by total chords
-            const confidence = parsedChords.length > 0 ? score / parsedChords.length : 0;
+            const confidence = consistent / parsedChords.length;
 
-            if (score > bestScore || (score === bestScore && bestResult && confidence > bestResult.confidence)) {
+            const rank = MODE_RANKS.get(mode);
+            if (score > bestScore || (score === bestScore && rank < bestRank)) {
                 bestScore = score;
+                bestRank = rank;
                 bestResult = {
-                    tonic: NOTE_NAMES[tonicPC],
+                    tonic: preferredTonicName(tonicPC, mode),
                     mode,
                     confidence: Math.round(confidence * 100) / 100
                 };
@@ -115,49 +317,79 @@ function detectModeFromChords(chordHistory) {
         }
     }
 
-    return bestResult && bestScore > 0 ? bestResult : null;
+    return bestResult;
 }
 
 /**
  * Suggest next chords based on the detected mode.
+ * Chord size follows the last chord: seventh chords in, seventh chords out
+ * (Dm7 → G7, Cmaj7), ninths after a ninth, never below the style's modal size;
+ * degrees without a chord of that size fall back to the next smaller one. Ranked by modal colour: the tonic, then
+ * chords holding a characteristic tone (`characteristic`), then the rest; chords
+ * pulling toward the relative centre (C or G7 in D Dorian) rank lower.
  *
  * @param {string} mode - e.g. "Dorian", "Ionian"
- * @param {string} tonic - e.g. "C", "D"
+ * @param {string} tonic - e.g. "C", "D", "Bb" (suggestions are spelled from it)
  * @param {string} [lastChord] - Last played chord to deprioritize
- * @returns {Array<{name: string, function: string, confidence: number}>}
+ * @param {Object} [options]
+ * @param {number} [options.size] - 3 triads, 4 sevenths, 5 ninths (default: from lastChord)
+ * @param {Object} [options.style] - A style-profiles style (default: Standard)
+ * @returns {Array<{name: string, function: string, confidence: number, characteristic: boolean}>}
  */
-function suggestModalNextChords(mode, tonic, lastChord) {
+function suggestModalNextChords(mode, tonic, lastChord, options = {}) {
     if (!mode || !tonic) return [];
 
     const scaleIntervals = SCALES[mode];
-    if (!scaleIntervals || scaleIntervals.length < 7) return [];
+    if (!scaleIntervals) return [];
 
-    const tonicPC = NOTE_NAMES.indexOf(tonic);
+    const tonicPC = noteToPC(tonic);
     if (tonicPC === -1) return [];
+    const spelling = getKeySpelling(`${tonic} ${mode}`);
 
     const degreeNames = DEGREE_NAMES_BY_MODE[mode] || [];
+    const modeInfo = getModeInfo(mode);
     const parsedLast = lastChord ? parseChord(lastChord) : null;
+    const style = options.style || getStyle();
+    const lastSize = parsedLast ? parsedLast.pcs.length : TRIAD;
+    const size = Math.min(NINTH, Math.max(TRIAD, options.size || Math.max(lastSize, style.modal.size)));
+
+    if (scaleIntervals.length !== 7) {
+        return suggestHarmonizedChords(scaleIntervals, tonicPC, parsedLast, size, spelling, style.scaleDegrees);
+    }
 
     const suggestions = [];
 
     for (let degree = 0; degree < 7; degree++) {
-        const triad = buildTriadOnDegree(scaleIntervals, tonicPC, degree);
-        if (!triad) continue;
+        let chord = null;
+        for (let s = size; s >= TRIAD && !chord; s--) {
+            chord = buildChordOnDegree(scaleIntervals, tonicPC, degree, s, spelling);
+        }
+        if (!chord) continue;
 
-        // Base confidence by degree importance
-        let confidence = 0.5;
-        if (degree === 0) confidence = 0.9;  // Tonic
-        if (degree === 3 || degree === 4) confidence = 0.7; // IV, V equivalents
+        // Modal colour: chords holding a characteristic tone (Dorian IV, Lydian II) come forward
+        const chordTones = [0, 2, 4, 6, 8].slice(0, chord.size).map(k => scaleIntervals[(degree + k) % 7]);
+        const characteristic = modeInfo ? chordTones.some(t => modeInfo.characteristicTones.includes(t)) : false;
+        let confidence = degree === 0 ? style.modal.tonic : characteristic ? style.modal.colour : style.modal.neutral;
 
-        // Deprioritize last chord
-        if (parsedLast && triad.rootPC === parsedLast.rootPC && triad.quality === parsedLast.quality) {
-            confidence -= 0.2;
+        // Chords that pull toward the relative centre: its tonic, or a dominant seventh onto it
+        const offset = scaleIntervals[degree];
+        const dominantSeventh = chordTones.includes((offset + 4) % 12) && chordTones.includes((offset + 10) % 12);
+        const pulls = modeInfo && modeInfo.relativeCentres.some(centre =>
+            offset === centre.offset || (dominantSeventh && offset === (centre.offset + 7) % 12));
+        if (pulls) confidence -= RELATIVE_PULL_PENALTY;
+
+        // Deprioritize last chord (any size on the same degree: Dm7 after Dm)
+        if (parsedLast && chord.rootPC === parsedLast.rootPC) {
+            const degreeTones = [0, 2, 4, 6, 8, 10].map(k => (tonicPC + scaleIntervals[(degree + k) % 7]) % 12);
+            if (parsedLast.pcs.every(pc => degreeTones.includes(pc))) confidence -= REPEAT_PENALTY;
         }
 
+        const numeral = degreeNames[degree];
         suggestions.push({
-            name: triad.name,
-            function: degreeNames[degree] || `deg${degree + 1}`,
-            confidence: Math.max(0, Math.min(1, confidence))
+            name: chord.name,
+            function: numeral ? degreeLabel(numeral, chord.quality) : `deg${degree + 1}`,
+            confidence: Math.max(0, Math.min(1, confidence)),
+            characteristic
         });
     }
 
@@ -165,4 +397,178 @@ function suggestModalNextChords(mode, tonic, lastChord) {
     return suggestions;
 }
 
-module.exports = { detectModeFromChords, suggestModalNextChords };
+/**
+ * Is a progression sliding from the mode toward its relative centre (D Dorian → C Ionian)?
+ * Over the last few chords, the centre's tonic chords, a dominant cadence onto it and
+ * ending on it are weighed against the mode's tonic chords and chords holding a
+ * characteristic tone.
+ *
+ * @param {string} mode - e.g. "Dorian"
+ * @param {string} tonic - e.g. "D"
+ * @param {string[]} chordHistory - Chord names, most recent last
+ * @returns {{ drifting: boolean, centre: string, pull: number, anchor: number }|null}
+ *   centre: the strongest relative centre ("C Ionian"); null for too few chords or
+ *   for modes without relative centres (Ionian, Aeolian, the parent scales, non-modal scales)
+ */
+function detectModalDrift(mode, tonic, chordHistory) {
+    const modeInfo = getModeInfo(mode);
+    const tonicPC = noteToPC(tonic);
+    if (!modeInfo || modeInfo.relativeCentres.length === 0 || tonicPC === -1 || !Array.isArray(chordHistory)) return null;
+
+    const recent = chordHistory.slice(-DRIFT_WINDOW).map(parseChord).filter(Boolean);
+    if (recent.length < MIN_DRIFT_CHORDS) return null;
+
+    const colourPCs = modeInfo.characteristicTones.map(t => (tonicPC + t) % 12);
+    const anchor = recent.filter(c => c.rootPC === tonicPC).length +
+        DRIFT_COLOUR_WEIGHT * recent.filter(c => c.pcs.some(pc => colourPCs.includes(pc))).length;
+
+    const last = recent[recent.length - 1];
+    const beforeLast = recent[recent.length - 2];
+    const spelling = getKeySpelling(`${tonic} ${mode}`);
+    const [strongest] = modeInfo.relativeCentres.map(centre => {
+        const centrePC = (tonicPC + centre.offset) % 12;
+        let pull = recent.filter(c => c.rootPC === centrePC).length;
+        if (last.rootPC === centrePC) {
+            pull += DRIFT_ENDING_WEIGHT;
+            const dominantPC = (centrePC + 7) % 12;
+            if (beforeLast.rootPC === dominantPC && beforeLast.pcs.includes((dominantPC + 4) % 12)) pull += DRIFT_CADENCE_WEIGHT;
+        }
+        return { centre: `${spelling[centrePC]} ${centre.mode}`, pull };
+    }).sort((a, b) => b.pull - a.pull);
+
+    return { drifting: strongest.pull > anchor, centre: strongest.centre, pull: strongest.pull, anchor };
+}
+
+/**
+ * suggestModalNextChords for scales without diatonic triads: tertian, sus and quartal
+ * chords from the scale's own notes (scale-harmonizer), tonic, fourth and fifth first.
+ * `weights`: the style's scaleDegrees { tonic, fourthFifth, other }.
+ */
+function suggestHarmonizedChords(scaleIntervals, tonicPC, parsedLast, size, spelling, weights) {
+    const suggestions = scaleIntervals.flatMap((_, degree) =>
+        harmonizeDegree(scaleIntervals, tonicPC, degree, { size, spelling }).map(chord => {
+            const offset = scaleIntervals[degree];
+            let confidence = offset === 0 ? weights.tonic : offset === 5 || offset === 7 ? weights.fourthFifth : weights.other;
+            confidence -= STACK_PENALTY[chord.type];
+
+            const parsed = parseChord(chord.name);
+            if (parsedLast && parsed.rootPC === parsedLast.rootPC && parsed.quality === parsedLast.quality) confidence -= REPEAT_PENALTY;
+
+            return {
+                name: chord.name,
+                function: chord.function,
+                confidence: parseFloat(Math.max(0, Math.min(1, confidence)).toFixed(2)),
+                characteristic: false
+            };
+        }));
+
+    suggestions.sort((a, b) => b.confidence - a.confidence);
+    return suggestions;
+}
+
+/**
+ * Semitones each tone of `from` moves to reach the nearest tone of `to`
+ * (pitch classes, so voicing-independent).
+ */
+function pitchClassMotion(from, to) {
+    return from.reduce((sum, pc) => sum + Math.min(...to.map(target => {
+        const d = Math.abs(pc - target) % 12;
+        return Math.min(d, 12 - d);
+    })), 0);
+}
+
+/**
+ * Suggest chords borrowed from the parallel modes of the current tonic (modal interchange):
+ * bVI, bVII and iv in major, IV and I in minor, Lydian II, Phrygian bII...
+ *
+ * Every mode on the tonic is harmonized; chords that already belong to the home mode are
+ * skipped. Each chord is credited to the nearest source mode (church modes first) and ranked
+ * by how far that mode is from home, how many of its tones are foreign (colour) and how far
+ * the voices move from the last chord. The stock borrowings from the parallel major/minor
+ * (iv, bVI, bVII, bIII in major; IV, V, I in minor) rank first.
+ *
+ * @param {string} mode - Home mode, e.g. "Ionian", "Aeolian", "Dorian"
+ * @param {string} tonic - e.g. "C"
+ * @param {string} [lastChord] - Voice-leading reference; also sets triads vs. sevenths
+ * @param {Object} [options]
+ * @param {number} [options.size] - 3 triads, 4 sevenths (default: from lastChord)
+ * @param {number} [options.limit=8]
+ * @returns {Array<{
+ *   name: string, function: string, confidence: number,
+ *   borrowedFrom: string, numeral: string, colour: number, voiceCost: number
+ * }>} function: "bVI (Aeolian)"; colour: chord tones outside the home mode
+ */
+function suggestModalInterchange(mode, tonic, lastChord, options = {}) {
+    const homeScale = SCALES[mode];
+    if (!homeScale || !MODE_RANKS.has(mode)) return [];
+    const tonicPC = noteToPC(tonic);
+    if (tonicPC === -1) return [];
+
+    const parsedLast = lastChord ? parseChord(lastChord) : null;
+    const size = Math.min(SEVENTH, Math.max(TRIAD, options.size || (parsedLast ? parsedLast.pcs.length : TRIAD)));
+    const minorHome = homeScale.includes(3) && !homeScale.includes(4);
+
+    // Nearest source per chord: church modes first, then fewest changed tones
+    const borrowed = new Map();
+    for (const source of MODES) {
+        if (source === mode) continue;
+        const scale = SCALES[source];
+        const distance = scale.filter(i => !homeScale.includes(i)).length;
+        const exotic = MODE_RANKS.get(source) > 0;
+        // Church modes spell their own notes (Ab in C Aeolian); others follow the home key
+        const spelling = getKeySpelling(`${tonic} ${exotic ? mode : source}`);
+
+        for (let degree = 0; degree < 7; degree++) {
+            let chord = null;
+            for (let s = size; s >= TRIAD && !chord; s--) {
+                chord = buildChordOnDegree(scale, tonicPC, degree, s, spelling);
+            }
+            if (!chord) continue;
+            const tones = [0, 2, 4, 6].slice(0, chord.size).map(k => scale[(degree + k) % 7]);
+            const colour = tones.filter(t => !homeScale.includes(t)).length;
+            if (colour === 0) continue; // Already in the home mode
+            if (parsedLast && parsedLast.rootPC === chord.rootPC && parsedLast.quality === chord.quality) continue;
+
+            const id = `${chord.rootPC}:${chord.quality}`;
+            const existing = borrowed.get(id);
+            if (existing && (existing.exotic < exotic || (existing.exotic === exotic && existing.distance <= distance))) continue;
+            const root = scale[degree];
+            const intervals = tones.map(t => (t - root + 12) % 12);
+            const common = (minorHome ? COMMON_BORROWINGS.minor : COMMON_BORROWINGS.major).get(root);
+            borrowed.set(id, {
+                chord, source, distance, exotic, colour,
+                common: intervals.includes(common) && intervals.includes(7),
+                pcs: tones.map(t => (tonicPC + t) % 12),
+                numeral: romanNumeral(root, intervals, minorHome)
+            });
+        }
+    }
+
+    const suggestions = [...borrowed.values()].map(b => {
+        const voiceCost = parsedLast ? pitchClassMotion(parsedLast.pcs, b.pcs) : 0;
+        const confidence = INTERCHANGE_BASE
+            + (b.common ? INTERCHANGE_COMMON : 0)
+            - INTERCHANGE_MODE_DISTANCE * (b.distance - 1)
+            - INTERCHANGE_COLOUR * (b.colour - 1)
+            - (b.exotic ? INTERCHANGE_EXOTIC : 0)
+            - (UNSTABLE_QUALITIES.includes(b.chord.quality) ? INTERCHANGE_UNSTABLE : 0)
+            - INTERCHANGE_MOTION * voiceCost;
+        return {
+            name: b.chord.name,
+            function: `${b.numeral} (${b.source})`,
+            confidence: Math.round(Math.max(0.05, Math.min(1, confidence)) * 100) / 100,
+            borrowedFrom: b.source,
+            numeral: b.numeral,
+            colour: b.colour,
+            voiceCost
+        };
+    });
+
+    suggestions.sort((a, b) => b.confidence - a.confidence || a.voiceCost - b.voiceCost);
+    return suggestions.slice(0, options.limit || INTERCHANGE_LIMIT);
+}
+
+module.exports = {
+    detectModeFromChords, suggestModalNextChords, suggestModalInterchange, detectModalDrift, getModeInfo,
+    MODES, PARENT_SCALES, OTHER_SCALES
+};
@@ -0,0 +1,255 @@
+/**
+ * Modulation Tracker
+ * ==================
+ * Segments the session's chord history into key regions. NO DOM access.
+ *
+ * Every chord is scored against the 24 major/minor keys (scale fit plus bonuses
+ * for tonic and dominant roots and cadences); a Viterbi pass picks the key path with a penalty
+ * per key change, so one out-of-key chord does not flip the key but a phrase in a
+ * new key does. Region boundaries are labelled:
+ *  - pivot:  a chord at the boundary is diatonic in both keys (Am = vi in C → ii in G)
+ *  - direct: no common chord (truck-driver modulations, abrupt shifts)
+ * Secondary dominants resolving inside a region are recorded as tonicizations.
+ */
+
+const SCALES = require('./scale-dictionary');
+const { preferredTonicName } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+const { romanNumeral } = require('./harmonic-function');
+
+const KEY_SCALES = {
+    'Major': SCALES['Major'],
+    'Minor': [...SCALES['Minor'], 11] // Natural minor + leading tone (harmonic V)
+};
+
+const CHANGE_PENALTY = 1.0;  // Cost of a key change in the Viterbi path
+const TONIC_BONUS = 0.5;
+const DOMINANT_BONUS = 0.2;
+const CADENCE_BONUS = 0.5;   // V7 → I arriving on the key's tonic confirms the key
+const TRIAD_CADENCE_BONUS = 0.25; // Plain V → I counts less: it is also I → IV of the old key
+const PREDOMINANT_BONUS = 0.25;   // ii/IV before the V completes the cadence
+const MIN_REGION_CHORDS = 2; // Shorter excursions fold back into the surrounding key
+const MAX_HISTORY = 256;
+const TRIAD_INTERVALS = [0, 3, 4, 6, 7, 8];
+
+// ---- Helpers (internal) ----
+
+/** The 24 keys as { tonic, scale, name } */
+const KEYS = [];
+for (let tonic = 0; tonic < 12; tonic++) {
+    for (const scale of Object.keys(KEY_SCALES)) {
+        KEYS.push({ tonic, scale, name: `${preferredTonicName(tonic, scale)} ${scale}` });
+    }
+}
+
+function chordPitchClasses(chord) {
+    const pcs = new Set(chord.intervals.map(i => (chord.rootPC + i) % 12));
+    if (chord.bassPC !== null) pcs.add(chord.bassPC);
+    return [...pcs];
+}
+
+function scalePCs(key) {
+    return KEY_SCALES[key.scale].map(i => (key.tonic + i) % 12);
+}
+
+/** Fraction of chord tones in the key's scale */
+function scaleFit(pcs, key) {
+    const scale = scalePCs(key);
+    return pcs.filter(pc => scale.includes(pc)).length / pcs.length;
+}
+
+/** How well chord i belongs to a key: scale fit, tonic/dominant root, and (ii/IV →) V(7) → I arrival */
+function chordKeyFit(history, i, key) {
+    const entry = history[i];
+    let fit = scaleFit(entry.pcs, key);
+    if (entry.rootPC === key.tonic) {
+        fit += TONIC_BONUS;
+        const prev = history[i - 1];
+        if (prev && prev.rootPC === (key.tonic + 7) % 12 && prev.intervals.includes(4)) {
+            fit += prev.intervals.includes(10) ? CADENCE_BONUS : TRIAD_CADENCE_BONUS;
+            const before = history[i - 2];
+            const predominant = before && [2, 5].includes((before.rootPC - key.tonic + 12) % 12);
+            if (predominant) fit += PREDOMINANT_BONUS;
+        }
+    } else if (entry.rootPC === (key.tonic + 7) % 12) {
+        fit += DOMINANT_BONUS;
+    }
+    return fit;
+}
+
+function isDiatonic(entry, key) {
+    return scaleFit(entry.pcs, key) === 1;
+}
+
+/**
+ * Roman numeral of a chord in a key, with quality marks: "vi", "vii°", "V7", "bVII".
+ * @param {boolean} [triadOnly=false] - Drop sevenths and extensions (targets of "V/ii")
+ */
+function keyNumeral(entry, key, triadOnly = false) {
+    const offset = (entry.rootPC - key.tonic + 12) % 12;
+    const intervals = triadOnly ? entry.intervals.filter(i => TRIAD_INTERVALS.includes(i)) : entry.intervals;
+    return romanNumeral(offset, intervals, key.scale === 'Minor');
+}
+
+/** Dominant-function chord (major third, or diminished) a fifth above / leading tone below its target */
+function isSecondaryDominantOf(entry, target) {
+    const majorThird = entry.intervals.includes(4);
+    const diminished = entry.intervals.includes(3) && entry.intervals.includes(6);
+    if (majorThird && (entry.rootPC - target.rootPC + 12) % 12 === 7) return true;
+    if (diminished && (target.rootPC - entry.rootPC + 12) % 12 === 1) return true;
+    return false;
+}
+
+// ---- Public API ----
+
+class ModulationTracker {
+    constructor() {
+        this.history = []; // { name, rootPC, bassPC, intervals, pcs, time }
+    }
+
+    /**
+     * Add a chord to the session history. Repeats of the previous chord are ignored.
+     * @param {string} chordName - Any chord spelling ("C Major", "Am7", "G/B")
+     * @param {number} [time=Date.now()]
+     * @returns {boolean} true if the chord was recorded
+     */
+    addChord(chordName, time = Date.now()) {
+        const chord = parseChordSymbol(chordName);
+        if (!chord || !chord.intervals) return false;
+        const last = this.history[this.history.length - 1];
+        if (last && last.name === chordName) return false;
+
+        const entry = {
+            name: chordName,
+            rootPC: chord.rootPC,
+            bassPC: chord.bassPC,
+            intervals: chord.intervals.map(i => i % 12),
+            time
+        };
+        entry.pcs = chordPitchClasses({ ...chord, intervals: entry.intervals });
+        this.history.push(entry);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+        return true;
+    }
+
+    /**
+     * Most likely key per chord (Viterbi over the 24 keys).
+     * @returns {number[]} Index into KEYS for each chord
+     */
+    getKeyPath() {
+        const n = this.history.length;
+        if (n === 0) return [];
+
+        let scores = KEYS.map(key => chordKeyFit(this.history, 0, key));
+        const back = [];
+        for (let i = 1; i < n; i++) {
+            const bestPrev = scores.indexOf(Math.max(...scores));
+            const next = [];
+            const pointers = [];
+            KEYS.forEach((key, k) => {
+                const stay = scores[k];
+                const change = scores[bestPrev] - CHANGE_PENALTY;
+                pointers.push(stay >= change ? k : bestPrev);
+                next.push(Math.max(stay, change) + chordKeyFit(this.history, i, key));
+            });
+            back.push(pointers);
+            scores = next;
+        }
+
+        const path = new Array(n);
+        path[n - 1] = scores.indexOf(Math.max(...scores));
+        for (let i = n - 1; i > 0; i--) path[i - 1] = back[i - 1][path[i]];
+        return path;
+    }
+
+    /**
+     * Key regions over the session.
+     * @returns {Array<{
+     *   key: string, start: number, end: number, startTime: number,
+     *   change: 'start'|'pivot'|'direct',
+     *   pivot: { index: number, chord: string, from: string, to: string }|null,
+     *   tonicizations: { index: number, chord: string, target: string, label: string }[]
+     * }>} start/end are chord indices (inclusive). pivot.from/to are Roman numerals in the old/new key.
+     */
+    getTimeline() {
+        const path = this.getKeyPath();
+        if (path.length === 0) return [];
+
+        // Runs of the same key
+        let regions = [];
+        path.forEach((k, i) => {
+            const last = regions[regions.length - 1];
+            if (last && last.k === k) last.end = i;
+            else regions.push({ k, start: i, end: i });
+        });
+
+        // Fold short excursions into the preceding region (they are tonicizations, not modulations)
+        regions = regions.reduce((merged, region) => {
+            const prev = merged[merged.length - 1];
+            const short = region.end - region.start + 1 < MIN_REGION_CHORDS;
+            const isLast = region.end === path.length - 1;
+            if (prev && (prev.k === region.k || (short && !isLast))) {
+                prev.end = region.end;
+            } else {
+                merged.push({ ...region });
+            }
+            return merged;
+        }, []);
+
+        return regions.map((region, r) => {
+            const key = KEYS[region.k];
+            const prevKey = r > 0 ? KEYS[regions[r - 1].k] : null;
+            let change = 'start';
+            let pivot = null;
+
+            if (prevKey) {
+                // Pivot: the last chord diatonic in both keys before the first chord outside the old key
+                // (Am in C F G C Am | D G: vi → ii). When every new chord fits the old key too, the boundary chord.
+                let firstForeign = region.start;
+                while (firstForeign <= region.end && isDiatonic(this.history[firstForeign], prevKey)) firstForeign++;
+                const index = firstForeign > region.end ? region.start - 1 : firstForeign - 1;
+                const entry = this.history[index];
+                if (entry && isDiatonic(entry, prevKey) && isDiatonic(entry, key)) {
+                    change = 'pivot';
+                    pivot = { index, chord: entry.name, from: keyNumeral(entry, prevKey), to: keyNumeral(entry, key) };
+                } else {
+                    change = 'direct';
+                }
+            }
+
+            const tonicizations = [];
+            for (let i = region.start; i <= region.end; i++) {
+                const entry = this.history[i];
+                const target = this.history[i + 1];
+                if (!target || isDiatonic(entry, key) || !isDiatonic(target, key)) continue;
+                if (target.rootPC === key.tonic || !isSecondaryDominantOf(entry, target)) continue;
+                const label = entry.intervals.includes(4) ? 'V' : 'vii°';
+                tonicizations.push({ index: i, chord: entry.name, target: target.name, label: `${label}/${keyNumeral(target, key, true)}` });
+            }
+
+            return {
+                key: key.name,
+                start: region.start,
+                end: region.end,
+                startTime: this.history[region.start].time,
+                change,
+                pivot,
+                tonicizations
+            };
+        });
+    }
+
+    /**
+     * Key of the latest region, or null.
+     */
+    getCurrentKey() {
+        const timeline = this.getTimeline();
+        return timeline.length > 0 ? timeline[timeline.length - 1].key : null;
+    }
+
+    reset() {
+        this.history = [];
+    }
+}
+
+module.exports = ModulationTracker;
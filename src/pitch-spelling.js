@@ -0,0 +1,259 @@
+/**
+ * Pitch Spelling
+ * ==============
+ * Shared note-name parsing and key-aware enharmonic spelling. NO DOM access.
+ * Pitch classes are 0-11 (C = 0). Parsers accept sharps, flats, doubles and
+ * unicode accidentals ("Db", "F##", "Bbb", "Cx", "E♭", "G♯", "B𝄫").
+ * Output uses ASCII accidentals: "#", "b", "##", "bb".
+ */
+
+const SCALES = require('./scale-dictionary');
+
+const SHARP_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const FLAT_NAMES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11];
+
+const ACCIDENTAL_OFFSETS = {
+    '#': 1, '♯': 1, 'x': 2, '𝄪': 2,
+    'b': -1, '♭': -1, '𝄫': -2,
+    '♮': 0
+};
+
+// Note name: letter + any run of accidentals. Shared with the chord-symbol parser.
+const NOTE_NAME_PATTERN = '[A-G](?:#|♯|x|𝄪|b|♭|𝄫|♮)*';
+const NOTE_NAME_REGEX = new RegExp(`^(${NOTE_NAME_PATTERN})$`, 'u');
+
+// Chromatic notes in a key, relative to the tonic: b2, b3, b6, b7 are spelled flat
+// (borrowed chords), #4, major 3rd in minor, raised 6th and leading tone sharp.
+const FLAT_CHROMATIC_DEGREES = [1, 3, 8, 10];
+
+const MAJOR_INTERVALS = SCALES['Major'];
+
+// ---- Helpers (internal) ----
+
+function mod12(n) {
+    return ((n % 12) + 12) % 12;
+}
+
+function accidentalText(offset) {
+    return offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset);
+}
+
+/**
+ * Spell a pitch class on a given letter (index into LETTERS).
+ * Returns null when that would need more than a double accidental.
+ */
+function spellOnLetter(pc, letterIndex) {
+    const letter = ((letterIndex % 7) + 7) % 7;
+    const offset = mod12(pc - LETTER_PCS[letter] + 6) - 6;
+    if (Math.abs(offset) > 2) return null;
+    return LETTERS[letter] + accidentalText(offset);
+}
+
+function countAccidentals(names) {
+    return names.reduce((sum, name) => sum + name.length - 1, 0);
+}
+
+/**
+ * Is this 7-note scale a rotation of the major scale (a church mode)?
+ */
+function isDiatonicMode(intervals) {
+    if (intervals.length !== 7) return false;
+    return intervals.some(shift => {
+        const rotated = intervals.map(i => mod12(i - shift)).sort((a, b) => a - b);
+        return rotated.every((i, idx) => i === MAJOR_INTERVALS[idx]);
+    });
+}
+
+/**
+ * Scale used to pick the letters of a key: the scale itself when it has seven
+ * notes, otherwise natural minor (minor third, no major third) or major.
+ */
+function referenceIntervals(intervals) {
+    if (intervals.length === 7) return intervals;
+    return intervals.includes(3) && !intervals.includes(4) ? SCALES['Minor'] : MAJOR_INTERVALS;
+}
+
+/**
+ * Letter-by-letter spelling of a 7-note scale from a spelled tonic.
+ * @returns {string[]|null} e.g. ("Eb", Minor) → ["Eb", "F", "Gb", "Ab", "Bb", "Cb", "Db"]
+ */
+function spellHeptatonic(tonicName, intervals) {
+    const tonic = parseNoteName(tonicName);
+    if (!tonic || intervals.length !== 7) return null;
+    const names = intervals.map((interval, degree) =>
+        spellOnLetter(tonic.pc + interval, tonic.letterIndex + degree));
+    return names.every(Boolean) ? names : null;
+}
+
+// ---- Public API ----
+
+/**
+ * Parse a note name → { letter, letterIndex, offset, pc }. Returns null if invalid.
+ * @param {string} name - e.g. "C", "Db", "F##", "B𝄫", "E♭"
+ */
+function parseNoteName(name) {
+    if (!name || typeof name !== 'string') return null;
+    const match = name.trim().match(NOTE_NAME_REGEX);
+    if (!match) return null;
+
+    const letter = match[1][0];
+    const letterIndex = LETTERS.indexOf(letter);
+    let offset = 0;
+    for (const symbol of match[1].slice(1)) {
+        offset += ACCIDENTAL_OFFSETS[symbol];
+    }
+    return { letter, letterIndex, offset, pc: mod12(LETTER_PCS[letterIndex] + offset) };
+}
+
+/**
+ * Note name → pitch class (0-11). Returns -1 if invalid.
+ */
+function noteToPC(name) {
+    const parsed = parseNoteName(name);
+    return parsed ? parsed.pc : -1;
+}
+
+/**
+ * Rewrite a note name with ASCII accidentals: "E♭" → "Eb", "Cx" → "C##". Returns null if invalid.
+ */
+function normalizeNoteName(name) {
+    const parsed = parseNoteName(name);
+    return parsed ? `${parsed.letter}${accidentalText(parsed.offset)}` : null;
+}
+
+/**
+ * Conventional tonic spelling for a key: the enharmonic with fewer accidentals
+ * in its scale (Db Major, not C# Major; G# Minor, not Ab Minor).
+ * Ties go to the flat spelling, except F# (F# Major over Gb Major).
+ *
+ * @param {number} pc - Tonic pitch class
+ * @param {string} [scale='Major'] - Scale name from SCALES
+ * @returns {string}
+ */
+function preferredTonicName(pc, scale = 'Major') {
+    const tonicPC = mod12(pc);
+    if (SHARP_NAMES[tonicPC] === FLAT_NAMES[tonicPC]) return SHARP_NAMES[tonicPC];
+
+    const intervals = referenceIntervals(SCALES[scale] || MAJOR_INTERVALS);
+    const cost = name => {
+        const names = spellHeptatonic(name, intervals);
+        return names ? countAccidentals(names) : Infinity;
+    };
+    const sharpCost = cost(SHARP_NAMES[tonicPC]);
+    const flatCost = cost(FLAT_NAMES[tonicPC]);
+
+    if (sharpCost === flatCost) return tonicPC === 6 ? SHARP_NAMES[tonicPC] : FLAT_NAMES[tonicPC];
+    return sharpCost < flatCost ? SHARP_NAMES[tonicPC] : FLAT_NAMES[tonicPC];
+}
+
+const keySpellingCache = new Map();
+
+/**
+ * Names for all 12 pitch classes in a key. Scale tones are spelled letter by
+ * letter from the tonic (F Major → Bb, Eb Minor → Gb/Cb/Db); chromatic tones
+ * follow FLAT_CHROMATIC_DEGREES. Unknown or missing keys fall back to sharps.
+ *
+ * @param {string|null} key - e.g. "F Major", "Eb Minor", "D Dorian"
+ * @returns {string[]} 12 names indexed by pitch class
+ */
+function getKeySpelling(key) {
+    if (!key || typeof key !== 'string') return SHARP_NAMES;
+    if (keySpellingCache.has(key)) return keySpellingCache.get(key);
+
+    const parts = key.trim().split(/\s+/);
+    const tonic = parseNoteName(parts[0]);
+    const intervals = SCALES[parts.slice(1).join(' ')];
+    if (!tonic || !intervals) return SHARP_NAMES;
+
+    const names = SHARP_NAMES.map((sharp, pc) =>
+        FLAT_CHROMATIC_DEGREES.includes(mod12(pc - tonic.pc)) ? FLAT_NAMES[pc] : sharp);
+
+    // Letter spelling from the scale (or its major/minor reference for 5/6/8-note scales)
+    const reference = referenceIntervals(intervals);
+    const letterNames = spellHeptatonic(parts[0], reference);
+    if (letterNames) {
+        reference.forEach((interval, degree) => { names[mod12(tonic.pc + interval)] = letterNames[degree]; });
+    }
+    names[tonic.pc] = normalizeNoteName(parts[0]);
+
+    keySpellingCache.set(key, names);
+    return names;
+}
+
+/**
+ * Spell a pitch class in a key. e.g. (10, "F Major") → "Bb", (10, "B Major") → "A#"
+ */
+function spellPitchClass(pc, key) {
+    return getKeySpelling(key)[mod12(pc)];
+}
+
+/**
+ * Spell a MIDI note in a key with its octave. Octaves follow the letter,
+ * so B#3 and Cb4 sound as MIDI 60 and 59.
+ * @param {number} midiNumber - 0-127
+ * @param {string|null} [key]
+ * @returns {string} e.g. (70, "F Major") → "Bb4"
+ */
+function spellMidiNote(midiNumber, key) {
+    const name = spellPitchClass(midiNumber, key);
+    const { letterIndex, offset } = parseNoteName(name);
+    const octave = Math.floor((midiNumber - LETTER_PCS[letterIndex] - offset) / 12) - 1;
+    return `${name}${octave}`;
+}
+
+// Letter steps above the root for each (compound) chord interval:
+// 3rds on the 3rd letter, b5/#5 on the 5th, #9 on the 2nd, #11 on the 4th.
+const CHORD_TONE_LETTER_STEPS = {
+    0: 0, 1: 1, 2: 1, 3: 2, 4: 2, 5: 3, 6: 4, 7: 4, 8: 4, 9: 5, 10: 6, 11: 6,
+    12: 0, 13: 1, 14: 1, 15: 1, 17: 3, 18: 3, 20: 5, 21: 5
+};
+
+/**
+ * Spell a chord tone relative to its spelled root: ("C", 10) → "Bb", ("C", 18) → "F#",
+ * ("C", 9, "Dim7") → "Bbb". Falls back to sharps when the letter would need a triple accidental.
+ *
+ * @param {string} rootName - Spelled chord root
+ * @param {number} interval - Semitones above the root (compound allowed)
+ * @param {string} [quality] - Chord quality, for the diminished 7th
+ */
+function spellChordTone(rootName, interval, quality) {
+    const root = parseNoteName(rootName);
+    if (!root) return SHARP_NAMES[mod12(interval)];
+    const pc = root.pc + interval;
+    const steps = quality === 'Dim7' && interval === 9
+        ? 6
+        : (CHORD_TONE_LETTER_STEPS[interval] ?? CHORD_TONE_LETTER_STEPS[mod12(interval)]);
+    return spellOnLetter(pc, root.letterIndex + steps) || SHARP_NAMES[mod12(pc)];
+}
+
+/**
+ * MIDI key signature for a key: { sharps (-7…7, negative = flats), minor }.
+ * Church modes use their parent major scale's signature; other scales the
+ * tonic's major or natural minor signature.
+ *
+ * @param {string} key - e.g. "Eb Minor", "D Dorian"
+ * @returns {{ sharps: number, minor: boolean }|null}
+ */
+function getKeySignature(key) {
+    if (!key || typeof key !== 'string') return null;
+    const parts = key.trim().split(/\s+/);
+    const intervals = SCALES[parts.slice(1).join(' ')];
+    if (!intervals || !parseNoteName(parts[0])) return null;
+
+    const minor = intervals.includes(3) && !intervals.includes(4);
+    const signatureScale = isDiatonicMode(intervals) ? intervals : (minor ? SCALES['Minor'] : MAJOR_INTERVALS);
+    const names = spellHeptatonic(parts[0], signatureScale);
+    if (!names) return null;
+
+    const sharps = names.reduce((sum, name) => sum + (parseNoteName(name).offset), 0);
+    return { sharps: Math.max(-7, Math.min(7, sharps)), minor };
+}
+
+module.exports = {
+    parseNoteName, noteToPC, normalizeNoteName, preferredTonicName, getKeySpelling,
+    spellPitchClass, spellMidiNote, spellChordTone, getKeySignature,
+    SHARP_NAMES, FLAT_NAMES, NOTE_NAME_PATTERN
+};
@@ -0,0 +1,190 @@
+/**
+ * Progression Analysis
+ * ====================
+ * Whole-progression analysis of a progression bank in a key. NO DOM access.
+ *
+ * Per chord: Roman numeral with inversion figures (V65, ii6, I64) and a function:
+ *  - T   tonic:        I, iii, vi (and their borrowed forms)
+ *  - PD  predominant:  ii, IV, N6, augmented sixths, V/V
+ *  - D   dominant:     V, vii°, bVII, the cadential I64, secondary dominants of other degrees
+ * Across the progression:
+ *  - cadences:  authentic (V/vii° → I; perfect when V → I are both in root position),
+ *               plagal (IV → I ending a phrase), deceptive (V → vi/bVI), half (ending on V)
+ *  - phrases:   a cadence closes a phrase once it spans MIN_PHRASE_CHORDS chords
+ *               (shorter V → I motions prolong the tonic); the last chord always closes one
+ */
+
+const SCALES = require('./scale-dictionary');
+const { parseChordSymbol } = require('./chord-symbol');
+const { analyzeHarmonicFunction } = require('./harmonic-function');
+
+const MIN_PHRASE_CHORDS = 3;
+
+// Function by scale degree (0-6) for diatonic, borrowed and chromatic chords
+const FUNCTION_BY_DEGREE = ['T', 'PD', 'T', 'PD', 'D', 'T', 'D'];
+
+// Inversion figures: root position, bass on the third, fifth, seventh
+const TRIAD_FIGURES = ['', '6', '64'];
+const SEVENTH_FIGURES = ['7', '65', '43', '42'];
+
+// ---- Helpers (internal) ----
+
+// Bass tones outside the triad and seventh, named by their interval above the root
+const BASS_INTERVAL_NAMES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
+
+/**
+ * Inversion from the bass: 0 root position, 1 third, 2 fifth, 3 seventh.
+ * null when the bass is another tone (an added sixth or ninth, a foreign bass).
+ */
+function inversionOf(chord, intervals) {
+    if (chord.bassPC === null || chord.bassPC === undefined) return 0;
+    const bass = (chord.bassPC - chord.rootPC + 12) % 12;
+    if (bass === 0) return 0;
+    if (!intervals.includes(bass)) return null;
+    if (bass === 3 || bass === 4) return 1;
+    if ([6, 7, 8].includes(bass)) return 2;
+    if (bass === 10 || bass === 11) return 3;
+    // Diminished seventh: the bb7 is the seventh, not an added sixth
+    const diminishedSeventh = intervals.includes(3) && intervals.includes(6) && !intervals.includes(10) && !intervals.includes(11);
+    if (bass === 9 && diminishedSeventh) return 3;
+    return null;
+}
+
+/**
+ * Numeral with figured-bass inversion: "V7" in first inversion → "V65",
+ * "ii" over its fifth → "ii64", "V7/V" over its seventh → "V42/V".
+ * Other bass tones keep a slash: C6/A → "I/6", Cmaj9/D → "Imaj7/2".
+ */
+function figuredNumeral(fn, chord) {
+    const intervals = [...new Set(chord.intervals.map(i => i % 12))];
+    const inversion = inversionOf(chord, intervals);
+    // Augmented sixths and the Neapolitan carry their own figures
+    if (fn.type === 'augmented-sixth' || fn.type === 'neapolitan') return { numeral: fn.label, figure: '' };
+    if (inversion === null) {
+        const figure = `/${BASS_INTERVAL_NAMES[(chord.bassPC - chord.rootPC + 12) % 12]}`;
+        return { numeral: fn.label + figure, figure };
+    }
+
+    const [head, ...target] = fn.label.split('/');
+    const suffix = target.length ? `/${target.join('/')}` : '';
+    if (head.endsWith('7')) {
+        const figure = SEVENTH_FIGURES[inversion];
+        return { numeral: head.slice(0, -1) + figure + suffix, figure };
+    }
+    const figure = TRIAD_FIGURES[inversion] || '';
+    return { numeral: head + figure + suffix, figure };
+}
+
+function harmonicFunction(fn) {
+    if (fn.type === 'neapolitan' || fn.type === 'augmented-sixth') return 'PD';
+    if (fn.type === 'secondary') return fn.target === 4 ? 'PD' : 'D';
+    return FUNCTION_BY_DEGREE[fn.degree] || null;
+}
+
+/** Root offset from the tonic and chord-tone flags used by the cadence rules */
+function describe(chord, tonicPC) {
+    if (!chord) return null;
+    const intervals = chord.intervals.map(i => i % 12);
+    return {
+        offset: (chord.rootPC - tonicPC + 12) % 12,
+        majorThird: intervals.includes(4) && !intervals.includes(3),
+        diminished: intervals.includes(3) && intervals.includes(6) && !intervals.includes(7),
+        rootPosition: chord.bassPC === null || chord.bassPC === chord.rootPC,
+        secondInversion: chord.bassPC !== null && (chord.bassPC - chord.rootPC + 12) % 12 === 7
+    };
+}
+
+const isDominant = c => c && c.offset === 7 && c.majorThird;
+const isLeadingTone = c => c && c.offset === 11 && c.diminished;
+const isTonic = c => c && c.offset === 0 && !c.diminished;
+// I64 before V is a cadential six-four: dominant function, not an arrival
+const isCadentialSixFour = (c, next) => isTonic(c) && c.secondInversion && isDominant(next);
+
+/**
+ * Cadence arriving on chord i, or null.
+ * @param {boolean} phraseEnd - Chord i ends the bank, or the opening chord comes back after it
+ * @returns {{ type: string, strength?: string }|null}
+ */
+function cadenceAt(described, i, phraseEnd) {
+    const current = described[i];
+    const prev = described[i - 1];
+    if (!current) return null;
+
+    if (isCadentialSixFour(current, described[i + 1])) return null;
+    if (isTonic(current) && (isDominant(prev) || isLeadingTone(prev))) {
+        const perfect = isDominant(prev) && prev.rootPosition && current.rootPosition;
+        return { type: 'authentic', strength: perfect ? 'perfect' : 'imperfect' };
+    }
+    // IV → I inside a loop is just harmony; it is a cadence where the phrase stops
+    if (isTonic(current) && prev && prev.offset === 5 && !prev.diminished && phraseEnd) return { type: 'plagal' };
+
+    // vi in major, VI in minor and the borrowed bVI
+    const submediant = (current.offset === 9 && !current.majorThird) || (current.offset === 8 && current.majorThird);
+    if (isDominant(prev) && submediant) return { type: 'deceptive' };
+
+    if (isDominant(current) && phraseEnd) return { type: 'half' };
+    return null;
+}
+
+// ---- Public API ----
+
+/**
+ * Analyze a progression bank in a key.
+ *
+ * @param {string[]} chords - Chord names in order (a progression bank)
+ * @param {string} key - e.g. "C Major", "A Minor" (7-note scales)
+ * @returns {{
+ *   key: string,
+ *   chords: Array<{ chord: string, numeral: string, figure: string, label: string,
+ *                   type: string|null, degree: number|null, function: 'T'|'PD'|'D'|null }>,
+ *   cadences: Array<{ type: 'authentic'|'half'|'plagal'|'deceptive', strength?: 'perfect'|'imperfect',
+ *                     index: number, from: string, to: string }>,
+ *   phrases: Array<{ start: number, end: number, cadence: string|null }>
+ * }|null} chords[].figure: "6", "65", or "/6" for a bass outside the triad and seventh;
+ *   cadences[].index: the arrival chord (the V itself for half cadences);
+ *   phrases: chord indices (inclusive). null for an empty bank or an unsupported key.
+ */
+function analyzeProgression(chords, key) {
+    if (!Array.isArray(chords) || chords.length === 0) return null;
+    const parsedKey = parseChordSymbol(key);
+    if (!parsedKey || !SCALES[parsedKey.quality] || SCALES[parsedKey.quality].length !== 7) return null;
+
+    const parsed = chords.map(name => {
+        const chord = parseChordSymbol(name);
+        return chord && chord.intervals ? chord : null;
+    });
+
+    const described = parsed.map(chord => describe(chord, parsedKey.rootPC));
+    const entries = chords.map((name, i) => {
+        const chord = parsed[i];
+        const fn = chord ? analyzeHarmonicFunction(name, key, { next: chords[i + 1] }) : null;
+        if (!fn) return { chord: name, numeral: '?', figure: '', label: '?', type: null, degree: null, function: null };
+        const { numeral, figure } = figuredNumeral(fn, chord);
+        const cadential = isCadentialSixFour(described[i], described[i + 1]);
+        return {
+            chord: name, numeral, figure, label: fn.label, type: fn.type, degree: fn.degree,
+            function: cadential ? 'D' : harmonicFunction(fn)
+        };
+    });
+    const cadences = [];
+    const phrases = [];
+    let start = 0;
+    for (let i = 0; i < chords.length; i++) {
+        const isLast = i === chords.length - 1;
+        // A phrase also ends where the opening chord (not the tonic) comes back: vi IV I V | vi ...
+        const restarts = !isLast && chords[i + 1] === chords[0] && !isTonic(described[0]);
+        const cadence = i > 0 ? cadenceAt(described, i, isLast || restarts) : null;
+        const long = i - start + 1 >= MIN_PHRASE_CHORDS;
+        if (cadence && (long || isLast)) {
+            cadences.push({ ...cadence, index: i, from: chords[i - 1], to: chords[i] });
+            phrases.push({ start, end: i, cadence: cadence.type });
+            start = i + 1;
+        } else if (isLast) {
+            phrases.push({ start, end: i, cadence: null });
+        }
+    }
+
+    return { key, chords: entries, cadences, phrases };
+}
+
+module.exports = { analyzeProgression };
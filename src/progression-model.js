@@ -0,0 +1,171 @@
+/**
+ * Progression Model
+ * =================
+ * Learned next-chord model: n-gram counts of chord-function transitions from the
+ * progressions a user builds and exports. NO DOM access (the renderer stores it on disk).
+ *
+ * Chords are counted as key-relative function tokens, so a ii–V–I learned in C
+ * applies in Eb: the Roman numeral of harmonic-function without seventh marks
+ * ("V7/V" → "V/V", "viiø7" → "vii°", "IVmaj7" → "IV").
+ * Prediction interpolates the trigram, bigram and unigram estimates, using each
+ * order only once its context has been seen.
+ * Learned progressions are remembered (key and chords), so the caller can skip
+ * re-training one that has not changed.
+ */
+
+const { analyzeHarmonicFunction } = require('./harmonic-function');
+
+const MODEL_VERSION = 1;
+const ORDER = 2;    // Chords of context (trigrams)
+const ORDER_WEIGHTS = [0.1, 0.3, 0.6]; // Unigram, bigram, trigram
+const START = '^';  // Context before the first chord of a progression
+
+// ---- Helpers (internal) ----
+
+/** Function token of a Roman-numeral label: seventh marks dropped, ø7/°7 → ° */
+function functionToken(label) {
+    return label.replace(/[ø°]7/g, '°').replace(/\(maj7\)|maj7|7/g, '');
+}
+
+class ProgressionModel {
+    constructor() {
+        this.counts = {};     // Context ("ii|V", "V", "" for unigrams) → { token: count }
+        this.progressions = 0;
+        this.learned = new Set(); // Fingerprints of trained progressions
+    }
+
+    /** Identity of a progression in a key: "C Major|C Major,A Minor,..." */
+    static fingerprint(chords, key) {
+        return `${key}|${chords.join(',')}`;
+    }
+
+    /**
+     * Has this exact progression been trained in this key?
+     * @param {string[]} chords
+     * @param {string} key
+     */
+    hasLearned(chords, key) {
+        return Array.isArray(chords) && this.learned.has(ProgressionModel.fingerprint(chords, key));
+    }
+
+    /**
+     * Function token of a chord in a key, or null when it has no Roman numeral there.
+     * @param {string} chordName
+     * @param {string} key - e.g. "C Major"
+     * @param {string} [next] - Following chord (tells Ger+6 from V7/bII)
+     */
+    static token(chordName, key, next) {
+        const fn = analyzeHarmonicFunction(chordName, key, { next });
+        return fn ? functionToken(fn.label) : null;
+    }
+
+    /**
+     * Count the transitions of a progression.
+     * @param {string[]} chords - Chord names in order
+     * @param {string} key - Key the progression is in
+     * @returns {number} Transitions learned (0 when the key or chords cannot be read)
+     */
+    train(chords, key) {
+        if (!Array.isArray(chords)) return 0;
+        const tokens = chords.map((chord, i) => ProgressionModel.token(chord, key, chords[i + 1])).filter(Boolean);
+        if (tokens.length === 0) return 0;
+
+        const sequence = [START, ...tokens];
+        for (let i = 1; i < sequence.length; i++) {
+            for (let order = 0; order <= ORDER && order <= i; order++) {
+                const context = sequence.slice(i - order, i).join('|');
+                const row = this.counts[context] || (this.counts[context] = {});
+                row[sequence[i]] = (row[sequence[i]] || 0) + 1;
+            }
+        }
+        this.progressions++;
+        this.learned.add(ProgressionModel.fingerprint(chords, key));
+        return tokens.length;
+    }
+
+    /**
+     * Probability of each next function token after a chord history.
+     * @param {string[]} history - Chord names, most recent last
+     * @param {string} key
+     * @returns {Object<string, number>} token → probability (empty before training)
+     */
+    predict(history, key) {
+        const tokens = (history || []).map((chord, i) => ProgressionModel.token(chord, key, history[i + 1])).filter(Boolean);
+        const sequence = [START, ...tokens];
+        const probabilities = {};
+        let totalWeight = 0;
+
+        for (let order = 0; order <= Math.min(ORDER, sequence.length); order++) {
+            const context = order === 0 ? '' : sequence.slice(-order).join('|');
+            const row = this.counts[context];
+            if (!row) continue;
+            const total = Object.values(row).reduce((sum, n) => sum + n, 0);
+            for (const [token, count] of Object.entries(row)) {
+                if (token === START) continue;
+                probabilities[token] = (probabilities[token] || 0) + ORDER_WEIGHTS[order] * count / total;
+            }
+            totalWeight += ORDER_WEIGHTS[order];
+        }
+
+        if (totalWeight === 0) return {};
+        for (const token of Object.keys(probabilities)) probabilities[token] /= totalWeight;
+        return probabilities;
+    }
+
+    /**
+     * Probability that `candidate` follows the history.
+     * @returns {number} 0-1
+     */
+    score(history, key, candidate) {
+        const token = ProgressionModel.token(candidate, key);
+        return token ? this.predict(history, key)[token] || 0 : 0;
+    }
+
+    /**
+     * @returns {{ progressions: number, chords: number, transitions: number }}
+     *   chords: chords counted; transitions: chord-to-chord moves (one fewer per progression)
+     */
+    getStats() {
+        const total = row => Object.values(row || {}).reduce((sum, n) => sum + n, 0);
+        // Bigram rows: one chord of context, the progression start excluded
+        const transitions = Object.entries(this.counts)
+            .filter(([context]) => context !== '' && context !== START && !context.includes('|'))
+            .reduce((sum, [, row]) => sum + total(row), 0);
+        return { progressions: this.progressions, chords: total(this.counts['']), transitions };
+    }
+
+    reset() {
+        this.counts = {};
+        this.progressions = 0;
+        this.learned.clear();
+    }
+
+    toJSON() {
+        return { version: MODEL_VERSION, progressions: this.progressions, counts: this.counts, learned: [...this.learned] };
+    }
+
+    /**
+     * Rebuild a model from toJSON() output (a saved or imported file).
+     * @throws {Error} When the data is not a progression model
+     */
+    static fromJSON(data) {
+        if (!data || data.version !== MODEL_VERSION || typeof data.counts !== 'object' || data.counts === null) {
+            throw new Error('Not a progression model file');
+        }
+        const model = new ProgressionModel();
+        for (const [context, row] of Object.entries(data.counts)) {
+            if (!row || typeof row !== 'object') continue;
+            model.counts[context] = {};
+            for (const [token, count] of Object.entries(row)) {
+                if (Number.isFinite(count) && count > 0) model.counts[context][token] = count;
+            }
+        }
+        model.progressions = Number.isFinite(data.progressions) ? data.progressions : 0;
+        if (Array.isArray(data.learned)) model.learned = new Set(data.learned.filter(f => typeof f === 'string'));
+        return model;
+    }
+}
+
+ProgressionModel.functionToken = functionToken;
+
+module.exports = ProgressionModel;
@@ -0,0 +1,195 @@
+/**
+ * Progression Transform
+ * =====================
+ * Whole-bank transformations for generating ideas. NO DOM access.
+ *
+ *  - negative:   negative harmony, every tone mirrored around the tonic–dominant axis
+ *                (C E G → G Eb C: C → Cm, G7 → Dm7b5, Am → Eb in C)
+ *  - retrograde: the chords in reverse order
+ *  - rotate:     start the loop `steps` chords later
+ *  - transpose:  every tone moved `steps` scale degrees in the key, so qualities follow
+ *                the scale (C Am F G → Dm Bdim G Am)
+ *  - remap:      each degree played in another mode on the same tonic (I vi IV V in C
+ *                Dorian → Cm Adim F Gm)
+ * Chords are renamed from their new tones. Under transpose and remap, chords with tones
+ * outside the key (A7 in C) move by their root and keep their quality. Extensions the
+ * chord dictionary cannot name are dropped to the triad; unreadable chords are kept as is.
+ */
+
+const SCALES = require('./scale-dictionary');
+const { getChordName } = require('./chord-dictionary');
+const { getKeySpelling } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+
+// ---- Helpers (internal) ----
+
+/** Tonic pitch class and scale of a key, or null */
+function parseKey(key) {
+    const parsed = parseChordSymbol(key);
+    const scale = parsed ? SCALES[parsed.quality] : null;
+    return scale ? { tonicPC: parsed.rootPC, scale } : null;
+}
+
+/** Chord tones (pitch classes) in stacking order, root first */
+function chordTones(chord) {
+    return [...new Set(chord.intervals.map(i => (chord.rootPC + i) % 12))];
+}
+
+/**
+ * Name a set of pitch classes, trying roots in the given order. Seconds and fourths
+ * over a third are read as ninths and elevenths ("D F A E" → D mAdd9).
+ * Returns "Root Quality" or null.
+ */
+function nameTones(pcs, roots, spelling) {
+    for (const rootPC of roots) {
+        const intervals = pcs.map(pc => (pc - rootPC + 12) % 12).sort((a, b) => a - b);
+        const hasThird = intervals.includes(3) || intervals.includes(4);
+        const compound = intervals
+            .map(i => (hasThird && (i === 1 || i === 2 || (i === 5 && intervals.includes(7)))) ? i + 12 : i)
+            .sort((a, b) => a - b);
+        const quality = getChordName(intervals) || getChordName(compound);
+        if (quality) return `${spelling[rootPC]} ${quality}`;
+    }
+    return null;
+}
+
+/** Re-attach a moved bass when it is not the new root */
+function withBass(name, bassPC, spelling) {
+    if (bassPC === null) return name;
+    const root = parseChordSymbol(name);
+    return root && root.rootPC !== bassPC ? `${name}/${spelling[bassPC]}` : name;
+}
+
+/**
+ * Move every tone of a chord with `mapPC` and rename it. The new root is the moved
+ * root, or the first nameable of `rootOrder(movedTones)` when given.
+ * @param {Object} [options]
+ * @param {number[]} [options.scalePCs] - Chords with tones outside these move by their root only
+ */
+function mapChord(chordName, mapPC, spelling, { rootOrder, scalePCs } = {}) {
+    const chord = parseChordSymbol(chordName);
+    if (!chord || !chord.intervals) return chordName;
+    const bassPC = chord.bassPC !== null && chord.bassPC !== undefined ? mapPC(chord.bassPC) : null;
+    const tones = chordTones(chord);
+
+    if (scalePCs && !tones.every(pc => scalePCs.includes(pc))) {
+        return withBass(`${spelling[mapPC(chord.rootPC)]} ${chord.quality}`, bassPC, spelling);
+    }
+
+    const order = moved => (rootOrder ? rootOrder(moved) : moved);
+    const moved = tones.map(mapPC);
+    // Unnamed extended chords: the triad (root, third, fifth) alone
+    const triad = tones.filter(pc => [0, 3, 4, 6, 7, 8].includes((pc - chord.rootPC + 12) % 12)).map(mapPC);
+    const name = nameTones(moved, order(moved), spelling) || nameTones(triad, order(triad), spelling);
+    return name ? withBass(name, bassPC, spelling) : chordName;
+}
+
+/** Pitch classes of a parsed key's scale */
+function scalePitchClasses(parsedKey) {
+    return parsedKey.scale.map(interval => (parsedKey.tonicPC + interval) % 12);
+}
+
+/**
+ * Pitch class → the same scale degree `steps` degrees on, in `to` (chromatic tones
+ * keep their alteration from the degree below).
+ */
+function degreeMapper(from, to, steps) {
+    const len = from.scale.length;
+    return pc => {
+        const offset = (pc - from.tonicPC + 12) % 12;
+        let degree = 0;
+        from.scale.forEach((interval, d) => { if (interval <= offset) degree = d; });
+        const alteration = offset - from.scale[degree];
+        const target = ((degree + steps) % len + len) % len;
+        return (to.tonicPC + to.scale[target] + alteration + 12) % 12;
+    };
+}
+
+// ---- Public API ----
+
+/**
+ * Negative harmony: mirror every tone around the axis between the tonic and the dominant.
+ * @param {string[]} chords
+ * @param {string} key - e.g. "C Major"
+ * @returns {string[]|null} null for an unknown key
+ */
+function negativeHarmony(chords, key) {
+    const parsedKey = parseKey(key);
+    if (!parsedKey || !Array.isArray(chords)) return null;
+    const axis = 2 * parsedKey.tonicPC + 7;
+    const spelling = getKeySpelling(key);
+    // The mirror turns the stack upside down: the old fifth becomes the new root
+    const mirror = pc => ((axis - pc) % 12 + 12) % 12;
+    return chords.map(chord => mapChord(chord, mirror, spelling, { rootOrder: moved => [...moved].reverse() }));
+}
+
+/**
+ * @param {string[]} chords
+ * @returns {string[]} Reversed copy
+ */
+function retrograde(chords) {
+    return Array.isArray(chords) ? [...chords].reverse() : [];
+}
+
+/**
+ * @param {string[]} chords
+ * @param {number} [steps=1] - Chords to move from the front to the back (negative: back to front)
+ * @returns {string[]}
+ */
+function rotate(chords, steps = 1) {
+    if (!Array.isArray(chords) || chords.length === 0) return [];
+    const shift = ((steps % chords.length) + chords.length) % chords.length;
+    return [...chords.slice(shift), ...chords.slice(0, shift)];
+}
+
+/**
+ * Diatonic transposition: every tone moved `steps` scale degrees within the key.
+ * @param {string[]} chords
+ * @param {string} key - e.g. "C Major", "A Pentatonic Minor"
+ * @param {number} steps - Scale degrees up (negative: down)
+ * @returns {string[]|null} null for an unknown key
+ */
+function transposeByDegree(chords, key, steps) {
+    const parsedKey = parseKey(key);
+    if (!parsedKey || !Array.isArray(chords)) return null;
+    const spelling = getKeySpelling(key);
+    const scalePCs = scalePitchClasses(parsedKey);
+    return chords.map(chord => mapChord(chord, degreeMapper(parsedKey, parsedKey, steps), spelling, { scalePCs }));
+}
+
+/**
+ * Modal re-mapping: each scale degree of the key played in `mode` on the same tonic.
+ * @param {string[]} chords
+ * @param {string} key - e.g. "C Major"
+ * @param {string} mode - A scale with as many notes as the key's, e.g. "Dorian"
+ * @returns {string[]|null} null for an unknown key or mode, or a different scale size
+ */
+function remapMode(chords, key, mode) {
+    const parsedKey = parseKey(key);
+    if (!parsedKey || !Array.isArray(chords)) return null;
+    const target = { tonicPC: parsedKey.tonicPC, scale: SCALES[mode] };
+    if (!target.scale || target.scale.length !== parsedKey.scale.length) return null;
+    const spelling = getKeySpelling(`${parseChordSymbol(key).root} ${mode}`);
+    const scalePCs = scalePitchClasses(parsedKey);
+    return chords.map(chord => mapChord(chord, degreeMapper(parsedKey, target, 0), spelling, { scalePCs }));
+}
+
+/**
+ * Apply a transform by name (the progression builder's transform menu).
+ * @param {string[]} chords
+ * @param {string} key
+ * @param {{ type: 'negative'|'retrograde'|'rotate'|'transpose'|'remap', steps?: number, mode?: string }} transform
+ * @returns {string[]|null} null when the transform does not apply
+ */
+function transformProgression(chords, key, transform) {
+    switch (transform.type) {
+        case 'negative': return negativeHarmony(chords, key);
+        case 'retrograde': return retrograde(chords);
+        case 'rotate': return rotate(chords, transform.steps);
+        case 'transpose': return transposeByDegree(chords, key, transform.steps);
+        case 'remap': return remapMode(chords, key, transform.mode);
+        default: return null;
+    }
+}
+
+module.exports = { negativeHarmony, retrograde, rotate, transposeByDegree, remapMode, transformProgression };
@@ -7,13 +7,23 @@ const fs = require('fs');
 const srcDir = __dirname.endsWith('src') ? __dirname : path.join(__dirname, 'src');
 
 const MidiManager = require(path.join(srcDir, 'midi-manager.js'));
-const { detectChord } = require(path.join(srcDir, 'harmonic-analyzer.js'));
+const { analyzeChordCandidates, analyzeDyad } = require(path.join(srcDir, 'harmonic-analyzer.js'));
 const { midiToNoteName } = require(path.join(srcDir, 'note-utils.js'));
+const { noteToPC, getKeySpelling } = require(path.join(srcDir, 'pitch-spelling.js'));
+const { parseChordSymbol, formatChordSymbol } = require(path.join(srcDir, 'chord-symbol.js'));
 const KeyDetector = require(path.join(srcDir, 'key-detector.js'));
+const ModulationTracker = require(path.join(srcDir, 'modulation-tracker.js'));
+const CaptureWindow = require(path.join(srcDir, 'capture-window.js'));
+const { analyzeHarmonicFunction, suggestChromaticChords } = require(path.join(srcDir, 'harmonic-function.js'));
+const { analyzeProgression } = require(path.join(srcDir, 'progression-analysis.js'));
+const { suggestSubstitutions } = require(path.join(srcDir, 'substitution-engine.js'));
+const { transformProgression } = require(path.join(srcDir, 'progression-transform.js'));
 const { suggestDiatonicChords, suggestScales, suggestExtensions, suggestIntervals, suggestNextChords, getChordMetadata, applyExtension } = require(path.join(srcDir, 'suggestion-engine.js'));
 const { exportProgressionToMidi } = require(path.join(srcDir, 'midi-exporter.js'));
+const ProgressionModel = require(path.join(srcDir, 'progression-model.js'));
+const { getStyle, listStyles } = require(path.join(srcDir, 'style-profiles.js'));
 const { initMidiOutput, getOutputs, setOutput, playProgression, stopPlayback } = require(path.join(srcDir, 'midi-output.js'));
-const { detectModeFromChords, suggestModalNextChords } = require(path.join(srcDir, 'modal-context.js'));
+const { detectModeFromChords, suggestModalNextChords, suggestModalInterchange, detectModalDrift, getModeInfo, PARENT_SCALES, OTHER_SCALES } = require(path.join(srcDir, 'modal-context.js'));
 const SCALES = require(path.join(srcDir, 'scale-dictionary.js'));
 
 console.log('[Renderer] All modules loaded.');
@@ -28,30 +38,45 @@ document.addEventListener('DOMContentLoaded', async () => {
         const ui = {
             select: document.getElementById('midiInputSelect'),
             refreshBtn: document.getElementById('refreshMidiBtn'),
+            routingBtn: document.getElementById('midiRoutingBtn'),
+            routingPanel: document.getElementById('midiRoutingPanel'),
+            routingList: document.getElementById('midiRoutingList'),
             activeNotes: document.getElementById('activeNotesDisplay'),
             liveChordDisplay: document.getElementById('liveChordDisplay'),
             liveKeyDisplay: document.getElementById('liveKeyDisplay'),
             liveNotesDisplay: document.getElementById('liveNotesDisplay'),
+            keyTimeline: document.getElementById('keyTimeline'),
+            resetKeyTimelineBtn: document.getElementById('resetKeyTimelineBtn'),
             log: document.getElementById('midiLog'),
             debugSection: document.getElementById('debugSection'),
             toggleDebugBtn: document.getElementById('toggleDebugBtn'),
             logLimitInput: document.getElementById('logLimitInput'),
             logPauseBtn: document.getElementById('logPauseBtn'),
             suggestionDetail: document.getElementById('suggestion-detail'),
+            substitutionMenu: document.getElementById('substitution-menu'),
             // Unified Candidate Panel
             candidatePanel: document.getElementById('candidatePanel'),
             functionalChords: document.getElementById('functionalChords'),
             modalChords: document.getElementById('modalChords'),
+            borrowedChords: document.getElementById('borrowedChords'),
             voicingChords: document.getElementById('voicingChords'),
             intervalChords: document.getElementById('intervalChords'),
             // Help & Backgrounds
             helpToggleBtn: document.getElementById('helpToggleBtn'),
             helpPanel: document.getElementById('helpPanel'),
             bgSelect: document.getElementById('bgSelect'),
+            dyadModeToggle: document.getElementById('dyadModeToggle'),
+            chordStyleSelect: document.getElementById('chordStyleSelect'),
+            keyProfileSelect: document.getElementById('keyProfileSelect'),
+            suggestionStyleSelect: document.getElementById('suggestionStyleSelect'),
+            pedalHoldToggle: document.getElementById('pedalHoldToggle'),
+            captureWindowSelect: document.getElementById('captureWindowSelect'),
             // Playback
             midiOutputSelect: document.getElementById('midiOutputSelect'),
             progressionBpmInput: document.getElementById('progressionBpmInput'),
             playProgressionBtn: document.getElementById('playProgressionBtn'),
+            clockSyncToggle: document.getElementById('clockSyncToggle'),
+            transportDisplay: document.getElementById('transportDisplay'),
             stopProgressionBtn: document.getElementById('stopProgressionBtn'),
             // Progression Builder
             progressionMemoryInput: document.getElementById('progressionMemoryInput'),
@@ -67,15 +92,28 @@ document.addEventListener('DOMContentLoaded', async () => {
             beatsPerChordSelect: document.getElementById('beatsPerChordSelect'),
             registerSelect: document.getElementById('registerSelect'),
             voicingStyleSelect: document.getElementById('voicingStyleSelect'),
-            progressionBankSelect: document.getElementById('progressionBankSelect')
+            progressionBankSelect: document.getElementById('progressionBankSelect'),
+            // Transforms
+            transformSelect: document.getElementById('transformSelect'),
+            transformStepsInput: document.getElementById('transformStepsInput'),
+            transformTargetSelect: document.getElementById('transformTargetSelect'),
+            applyTransformBtn: document.getElementById('applyTransformBtn'),
+            // Learned Model
+            modelStatus: document.getElementById('modelStatus'),
+            learnBankBtn: document.getElementById('learnBankBtn'),
+            resetModelBtn: document.getElementById('resetModelBtn'),
+            exportModelBtn: document.getElementById('exportModelBtn'),
+            importModelBtn: document.getElementById('importModelBtn')
         };
 
         const midiManager = new MidiManager();
         const keyDetector = new KeyDetector();
+        const modulationTracker = new ModulationTracker();
 
         // ---- Persistent Suggestion State ----
         let lastValidChord = null;
         let lastValidKey = null;
+        let lastChordCandidates = []; // Ranked readings of the current notes (top pick first)
         let lastSuggestions = {
             chord: [],
             scale: [],
@@ -88,10 +126,118 @@ document.addEventListener('DOMContentLoaded', async () => {
         const progressionBanks = { A: [], B: [], C: [], D: [] };
         const bankLockState = { A: false, B: false, C: false, D: false };
         const bankSeedState = { A: true, B: true, C: true, D: true };
+        let progressionModel = new ProgressionModel(); // Learned transitions (see Learned Progression Model)
 
         // ---- Backgrounds & Help ----
         let previewActive = true;
 
+        // ---- 2-Note Chord Mode ----
+        let dyadMode = localStorage.getItem('dyadMode') === 'true';
+        if (ui.dyadModeToggle) {
+            ui.dyadModeToggle.checked = dyadMode;
+            ui.dyadModeToggle.addEventListener('change', () => {
+                dyadMode = ui.dyadModeToggle.checked;
+                localStorage.setItem('dyadMode', String(dyadMode));
+                updateAnalysis();
+            });
+        }
+
+        // ---- Chord Symbol Style ----
+        // Display only: history, banks and data-chord attributes keep the verbose names
+        let chordStyle = localStorage.getItem('chordStyle') || 'verbose';
+        const displayChord = name => formatChordSymbol(name, chordStyle) || name;
+        if (ui.chordStyleSelect) {
+            ui.chordStyleSelect.value = chordStyle;
+            ui.chordStyleSelect.addEventListener('change', () => {
+                chordStyle = ui.chordStyleSelect.value;
+                localStorage.setItem('chordStyle', chordStyle);
+                if (lastValidChord) ui.liveChordDisplay.innerText = displayChord(lastValidChord);
+                renderCurrentProgression();
+                updateProgressionSuggestions();
+                renderCandidatePanel();
+                renderKeyTimeline();
+            });
+        }
+
+        // ---- Key Profile ----
+        if (ui.keyProfileSelect) {
+            const savedProfile = localStorage.getItem('keyProfile') || 'krumhansl';
+            keyDetector.setProfile(savedProfile);
+            ui.keyProfileSelect.value = keyDetector.profile;
+            ui.keyProfileSelect.addEventListener('change', () => {
+                keyDetector.setProfile(ui.keyProfileSelect.value);
+                localStorage.setItem('keyProfile', keyDetector.profile);
+                updateAnalysis();
+            });
+        }
+
+        // ---- Suggestion Style ----
+        // Genre weighting for next-chord and modal suggestions (src/styles/*.json)
+        let suggestionStyle = getStyle(localStorage.getItem('suggestionStyle'));
+        if (ui.suggestionStyleSelect) {
+            ui.suggestionStyleSelect.innerHTML = listStyles()
+                .map(s => `<option value="${s.id}" title="${s.description}">Style: ${s.name}</option>`)
+                .join('');
+            ui.suggestionStyleSelect.value = suggestionStyle.id;
+            ui.suggestionStyleSelect.addEventListener('change', () => {
+                suggestionStyle = getStyle(ui.suggestionStyleSelect.value);
+                localStorage.setItem('suggestionStyle', suggestionStyle.id);
+                updateModalContext(lastValidChord);
+                updateProgressionSuggestions();
+                renderCandidatePanel();
+                logMessage(`Suggestion style: ${suggestionStyle.name}`);
+            });
+        }
+
+        // ---- Pedal Hold ----
+        // On: analyze every sounding note (keys + sustain/sostenuto). Off: keys only.
+        let pedalHold = localStorage.getItem('pedalHold') !== 'false';
+        if (ui.pedalHoldToggle) {
+            ui.pedalHoldToggle.checked = pedalHold;
+            ui.pedalHoldToggle.addEventListener('change', () => {
+                pedalHold = ui.pedalHoldToggle.checked;
+                localStorage.setItem('pedalHold', String(pedalHold));
+                updateAnalysis();
+            });
+        }
+
+        // ---- Capture Window ----
+        // Notes played within the window analyze as one chord (strums, arpeggios).
+        // Setting is "off", "time:<ms>" or "beats:<n>"; beats follow the playback BPM.
+        const captureWindow = new CaptureWindow();
+        let captureSetting = localStorage.getItem('captureWindow') || 'off';
+        let captureExpiryTimeout = null;
+
+        function applyCaptureSetting(setting) {
+            const [mode, amount] = setting.split(':');
+            const value = parseFloat(amount);
+            const bpm = parseInt(ui.progressionBpmInput?.value) || 120;
+            captureWindow.configure(mode === 'time' ? { mode, windowMs: value }
+                : mode === 'beats' ? { mode, beats: value, bpm }
+                    : { mode: 'off' });
+        }
+
+        applyCaptureSetting(captureSetting);
+        if (ui.captureWindowSelect) {
+            ui.captureWindowSelect.value = captureSetting;
+            ui.captureWindowSelect.addEventListener('change', () => {
+                captureSetting = ui.captureWindowSelect.value;
+                localStorage.setItem('captureWindow', captureSetting);
+                applyCaptureSetting(captureSetting);
+                updateAnalysis();
+            });
+        }
+        if (ui.progressionBpmInput) {
+            ui.progressionBpmInput.addEventListener('change', () => applyCaptureSetting(captureSetting));
+        }
+
+        // Re-analyze when the last onset leaves the window, so released notes drop out
+        function scheduleCaptureExpiry() {
+            if (captureExpiryTimeout) clearTimeout(captureExpiryTimeout);
+            if (!captureWindow.isEnabled()) return;
+            captureExpiryTimeout = setTimeout(updateAnalysis, captureWindow.getWindowMs() + 1);
+        }
+
         function initBackgroundSelector() {
             const savedBg = localStorage.getItem('backgroundStyle') || 'Calendar';
             applyBackground(savedBg);
@@ -160,15 +306,53 @@ document.addEventListener('DOMContentLoaded', async () => {
             // But `midi-output.js` `playProgression` accepts (progression, bpm, beatsPerChord, register).
             // It implements rudimentary voicing.
 
+            // Clock sync: wait for the host transport and change chords on its beats
+            const options = clockSync ? { clock: midiManager.clock } : {};
+            if (clockSync && !midiManager.clock.running) logMessage('Waiting for host transport to start...');
+
             playProgression(prog, bpm, beats, register, () => {
                 console.log('[Renderer] Playback complete');
-            });
+            }, options);
         });
 
         ui.stopProgressionBtn.addEventListener('click', () => {
             stopPlayback();
         });
 
+        // ---- Host Clock & Transport ----
+        // Incoming MIDI clock sets the BPM; Sync locks progression playback to the host transport.
+        let clockSync = localStorage.getItem('clockSync') === 'true';
+        if (ui.clockSyncToggle) {
+            ui.clockSyncToggle.checked = clockSync;
+            ui.clockSyncToggle.addEventListener('change', () => {
+                clockSync = ui.clockSyncToggle.checked;
+                localStorage.setItem('clockSync', String(clockSync));
+            });
+        }
+
+        function renderTransport() {
+            if (!ui.transportDisplay) return;
+            const clock = midiManager.clock;
+            const { bar, beat } = clock.getPosition();
+            const state = clock.running ? '\u25B6' : '\u25A0';
+            const tempo = clock.bpm !== null ? ` \u00B7 ${clock.bpm} BPM` : '';
+            ui.transportDisplay.innerText = `${state} ${bar}.${beat}${tempo}`;
+            ui.transportDisplay.style.color = clock.running ? '#88cc88' : '#666';
+        }
+
+        midiManager.clock.on('tempo', ({ bpm }) => {
+            ui.progressionBpmInput.value = Math.round(bpm);
+            applyCaptureSetting(captureSetting); // Beat-based capture follows the host tempo
+            renderTransport();
+        });
+        ['start', 'continue', 'stop', 'position'].forEach(event => {
+            midiManager.clock.on(event, () => {
+                logMessage(`Transport: ${event}`);
+                renderTransport();
+            });
+        });
+        midiManager.clock.on('beat', renderTransport);
+
         // Call Inits
         setupMidiOutput();
         let activeBank = 'A';
@@ -244,6 +428,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 midiManager.removeAllListeners('state-change');
                 midiManager.removeAllListeners('note-on');
                 midiManager.removeAllListeners('note-off');
+                midiManager.removeAllListeners('pedal');
 
                 midiManager.on('state-change', (e) => {
                     logMessage(`State Change: ${e.port.name} (${e.port.state})`);
@@ -252,6 +437,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                 midiManager.on('note-on', handleNoteEvent);
                 midiManager.on('note-off', handleNoteEvent);
+                midiManager.on('pedal', handlePedalEvent);
                 logMessage('MIDI listeners attached.');
 
             } else {
@@ -293,14 +479,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
 
             // Restore selection: prefer current in-session selection, then localStorage
+            // then saved routing, then the single saved device
             const savedDevice = localStorage.getItem('lastMidiDevice');
+            const savedRoutes = loadSavedRoutes().filter(r => inputs.find(i => i.id === r.id));
             if (currentSelection && inputs.find(i => i.id === currentSelection)) {
                 ui.select.value = currentSelection;
+            } else if (savedRoutes.length > 0) {
+                savedRoutes.forEach(r => midiManager.addInput(r.id, { channelMask: r.channelMask, transpose: r.transpose, bass: !!r.bass }));
+                ui.select.value = midiManager.activeInput ? midiManager.activeInput.id : '';
+                logMessage(`Restored routing: ${midiManager.getRoutes().map(r => r.name).join(', ')}`);
             } else if (savedDevice && inputs.find(i => i.id === savedDevice)) {
                 ui.select.value = savedDevice;
                 midiManager.setInput(savedDevice);
                 logMessage(`Auto-selected saved device: ${midiManager.activeInput ? midiManager.activeInput.name : savedDevice}`);
             }
+            renderRoutingPanel();
 
             const debugContainer = document.getElementById('debugDeviceList');
             if (debugContainer) {
@@ -313,11 +506,142 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (e.target.value) {
                 midiManager.setInput(e.target.value);
                 localStorage.setItem('lastMidiDevice', e.target.value);
+                saveRoutes();
+                renderRoutingPanel();
                 logMessage(`Selected input: ${midiManager.activeInput.name}`);
                 updateAnalysis();
             }
         });
 
+        // ---- MIDI Routing ----
+        // Several inputs at once, each with a channel mask and transpose.
+        // Saved as [{ id, channelMask, transpose, bass }]; the device select routes a single input.
+        // A bass route (pedalboard, bass split) supplies the root for shell and rootless voicings.
+        function loadSavedRoutes() {
+            try {
+                const routes = JSON.parse(localStorage.getItem('midiRoutes'));
+                return Array.isArray(routes) ? routes : [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function saveRoutes() {
+            const routes = midiManager.getRoutes().map(({ id, channelMask, transpose, bass }) => ({ id, channelMask, transpose, bass }));
+            localStorage.setItem('midiRoutes', JSON.stringify(routes));
+        }
+
+        function renderRoutingPanel() {
+            if (!ui.routingList) return;
+            const inputs = midiManager.getInputs();
+            if (inputs.length === 0) {
+                ui.routingList.innerHTML = '<span style="color:#666;">No MIDI devices</span>';
+                return;
+            }
+            const routes = midiManager.getRoutes();
+            const fieldStyle = 'padding:3px 6px;background:#333;color:#eee;border:1px solid #444;border-radius:4px;';
+            const text = (content, style) => {
+                const span = document.createElement('span');
+                span.style.cssText = style;
+                span.textContent = content;
+                return span;
+            };
+
+            // Device names come from other programs: built with textContent, never as HTML
+            ui.routingList.innerHTML = '';
+            inputs.forEach(input => {
+                const route = routes.find(r => r.id === input.id);
+                const row = document.createElement('div');
+                row.dataset.inputId = input.id;
+                row.style.cssText = 'display:flex;gap:8px;align-items:center;';
+
+                const label = document.createElement('label');
+                label.style.cssText = 'flex:1;color:#ccc;cursor:pointer;';
+                const enabled = document.createElement('input');
+                enabled.type = 'checkbox';
+                enabled.className = 'route-enabled';
+                enabled.checked = !!route;
+                label.append(enabled, ` ${input.name}`);
+
+                const channels = document.createElement('input');
+                channels.type = 'text';
+                channels.className = 'route-channels';
+                channels.disabled = !route;
+                channels.value = MidiManager.formatChannelMask(route ? route.channelMask : MidiManager.ALL_CHANNELS);
+                channels.style.cssText = `width:90px;${fieldStyle}`;
+
+                const transpose = document.createElement('input');
+                transpose.type = 'number';
+                transpose.className = 'route-transpose';
+                transpose.disabled = !route;
+                transpose.min = '-48';
+                transpose.max = '48';
+                transpose.value = route ? route.transpose : 0;
+                transpose.style.cssText = `width:55px;${fieldStyle}`;
+
+                const bassLabel = document.createElement('label');
+                bassLabel.style.cssText = 'color:#888;cursor:pointer;';
+                bassLabel.title = 'Bass line: its notes imply chord roots';
+                const bass = document.createElement('input');
+                bass.type = 'checkbox';
+                bass.className = 'route-bass';
+                bass.disabled = !route;
+                bass.checked = !!(route && route.bass);
+                bassLabel.append(bass, ' Bass');
+
+                row.append(label, text('Ch', 'color:#888;'), channels, text('Transpose', 'color:#888;'), transpose, bassLabel);
+                ui.routingList.appendChild(row);
+            });
+
+            ui.routingList.querySelectorAll('[data-input-id]').forEach(row => {
+                const inputId = row.dataset.inputId;
+                const channelsInput = row.querySelector('.route-channels');
+                const transposeInput = row.querySelector('.route-transpose');
+                const bassInput = row.querySelector('.route-bass');
+
+                row.querySelector('.route-enabled').addEventListener('change', (e) => {
+                    if (e.target.checked) {
+                        const channelMask = MidiManager.parseChannelList(channelsInput.value) ?? MidiManager.ALL_CHANNELS;
+                        midiManager.addInput(inputId, { channelMask, transpose: parseInt(transposeInput.value) || 0, bass: bassInput.checked });
+                    } else {
+                        midiManager.removeInput(inputId);
+                    }
+                    ui.select.value = midiManager.activeInput ? midiManager.activeInput.id : '';
+                    saveRoutes();
+                    renderRoutingPanel();
+                    logMessage(`Routing: ${midiManager.getRoutes().map(r => r.name).join(', ') || 'none'}`);
+                    updateAnalysis();
+                });
+
+                channelsInput.addEventListener('change', () => {
+                    const channelMask = MidiManager.parseChannelList(channelsInput.value);
+                    channelsInput.style.borderColor = channelMask === null ? '#aa3333' : '#444';
+                    if (channelMask === null) return;
+                    midiManager.setInputRoute(inputId, { channelMask });
+                    channelsInput.value = MidiManager.formatChannelMask(channelMask);
+                    saveRoutes();
+                });
+
+                transposeInput.addEventListener('change', () => {
+                    midiManager.setInputRoute(inputId, { transpose: parseInt(transposeInput.value) || 0 });
+                    saveRoutes();
+                });
+
+                bassInput.addEventListener('change', () => {
+                    midiManager.setInputRoute(inputId, { bass: bassInput.checked });
+                    saveRoutes();
+                    updateAnalysis();
+                });
+            });
+        }
+
+        if (ui.routingBtn && ui.routingPanel) {
+            ui.routingBtn.addEventListener('click', () => {
+                ui.routingPanel.classList.toggle('visible');
+                renderRoutingPanel();
+            });
+        }
+
         // ---- Refresh Button ----
         ui.refreshBtn.addEventListener('click', () => {
             logMessage('Refreshing MIDI devices...');
@@ -367,6 +691,32 @@ document.addEventListener('DOMContentLoaded', async () => {
                 `<span style="color:#88bbff;">Fingering (RH):</span> ${meta.fingering.join(' - ')}`;
         }
 
+        function buildCandidatesHTML(candidates) {
+            const describe = c => {
+                const implied = c.impliedTones && c.impliedTones.length > 0
+                    ? ` <span style="color:#ccaa66;">(implied: ${c.impliedTones.join(', ')})</span>`
+                    : '';
+                return `${displayChord(c.slashName)}${implied} <span style="color:#666;">${Math.round(c.confidence * 100)}%</span>`;
+            };
+            const [top, ...alternatives] = candidates;
+            if (alternatives.length === 0) return `<strong>${describe(top)}</strong>`;
+            return `<strong>${describe(top)}</strong><br>` +
+                `<span style="color:#88bbff;">Also:</span><br>` +
+                alternatives.slice(0, 6).map(describe).join('<br>');
+        }
+
+        // Live chord hover → alternative readings of the same notes
+        if (ui.liveChordDisplay) {
+            ui.liveChordDisplay.addEventListener('mouseover', () => {
+                const [top] = lastChordCandidates;
+                if (!top || (lastChordCandidates.length === 1 && !top.impliedTones)) return;
+                showSuggestionDetail(ui.liveChordDisplay, buildCandidatesHTML(lastChordCandidates));
+            });
+            ui.liveChordDisplay.addEventListener('mouseout', () => {
+                hideSuggestionDetail();
+            });
+        }
+
         function attachInteraction(container) {
             if (!container) return;
             container.querySelectorAll('[data-chord]').forEach(chip => {
@@ -465,6 +815,94 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        // Right-click a slot → substitutions leading into the next chord (the first chord, for the last slot)
+        if (ui.currentProgression) {
+            ui.currentProgression.addEventListener('contextmenu', (e) => {
+                const chip = e.target.closest('[data-prog-index]');
+                if (!chip) return;
+                e.preventDefault();
+                clearHoverPreview();
+                showSubstitutionMenu(parseInt(chip.dataset.progIndex, 10), e.clientX, e.clientY);
+            });
+        }
+
+        // ---- Substitution Menu ----
+        let substitutionTarget = null; // { bank, index, chord, next, options }
+
+        function hideSubstitutionMenu() {
+            substitutionTarget = null;
+            if (ui.substitutionMenu) ui.substitutionMenu.style.display = 'none';
+        }
+
+        function showSubstitutionMenu(index, x, y) {
+            if (!ui.substitutionMenu) return;
+            const bank = progressionBanks[activeBank];
+            const chord = bank[index];
+            const next = bank[index + 1] || (bank.length > 1 ? bank[0] : null);
+            const options = suggestSubstitutions(chord, { next, key: lastValidKey });
+            if (options.length === 0) {
+                logMessage(`No substitutions for ${chord}`);
+                return;
+            }
+            substitutionTarget = { bank: activeBank, index, chord, next, options };
+
+            const header = `<div style="padding:2px 12px 6px;color:#888;font-size:0.85em;border-bottom:1px solid #3a3a3a;">Substitute ${displayChord(chord)}${next ? ` → ${displayChord(next)}` : ''}</div>`;
+            ui.substitutionMenu.innerHTML = header + options.map((sub, i) => {
+                const fn = sub.function ? `<span style="color:#bb88ff;font-size:0.8em;"> ${sub.function}</span>` : '';
+                return `<div data-sub-index="${i}" style="display:flex;justify-content:space-between;align-items:center;gap:8px;padding:4px 12px;cursor:pointer;" title="Click to apply">` +
+                    `<span><span style="color:#888;font-size:0.8em;">${sub.label}</span><br>${sub.chords.map(displayChord).join(' → ')}${fn}</span>` +
+                    `<button data-sub-preview="${i}" title="Preview in context" style="padding:2px 8px;background:#333;color:#8899cc;border:1px solid #444;border-radius:3px;cursor:pointer;font-size:0.8em;">&#9654;</button></div>`;
+            }).join('');
+
+            ui.substitutionMenu.style.display = 'block';
+            const rect = ui.substitutionMenu.getBoundingClientRect();
+            ui.substitutionMenu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+            ui.substitutionMenu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+        }
+
+        if (ui.substitutionMenu) {
+            ui.substitutionMenu.addEventListener('mouseover', (e) => {
+                ui.substitutionMenu.querySelectorAll('[data-sub-index]').forEach(row => { row.style.background = ''; });
+                const row = e.target.closest('[data-sub-index]');
+                if (row) row.style.background = '#3a2a5a';
+            });
+            ui.substitutionMenu.addEventListener('click', (e) => {
+                if (!substitutionTarget) return;
+                const { bank, index, chord, next, options } = substitutionTarget;
+
+                // ▶ Preview: the previous chord, the substitution, then the chord it leads into
+                const preview = e.target.closest('[data-sub-preview]');
+                if (preview) {
+                    const sub = options[parseInt(preview.dataset.subPreview, 10)];
+                    const prev = index > 0 ? progressionBanks[bank][index - 1] : null;
+                    const bpm = parseInt(ui.progressionBpmInput?.value, 10) || 120;
+                    playProgression([prev, ...sub.chords, next].filter(Boolean), bpm, 2, ui.registerSelect?.value || 'Mid', () => {});
+                    return;
+                }
+
+                const row = e.target.closest('[data-sub-index]');
+                if (!row) return;
+                const sub = options[parseInt(row.dataset.subIndex, 10)];
+                hideSubstitutionMenu();
+                if (progressionBanks[bank][index] !== chord) {
+                    logMessage('Progression changed — substitution not applied.');
+                    return;
+                }
+                progressionBanks[bank].splice(index, 1, ...sub.chords);
+                bankLockState[bank] = true;
+                bankSeedState[bank] = false;
+                logMessage(`Slot ${index}: ${sub.label} → ${sub.chords.join(', ')}`);
+                renderCurrentProgression();
+                updateProgressionSuggestions();
+            });
+            document.addEventListener('mousedown', (e) => {
+                if (substitutionTarget && !ui.substitutionMenu.contains(e.target)) hideSubstitutionMenu();
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') hideSubstitutionMenu();
+            });
+        }
+
         function updateProgressionSuggestions() {
             if (!ui.progressionSuggestions) return;
 
@@ -476,7 +914,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
 
-            const suggestions = suggestNextChords(sourceHistory, lastValidKey, progressionMemoryLength);
+            const suggestions = suggestNextChords(sourceHistory, lastValidKey, progressionMemoryLength, {
+                model: progressionModel,
+                style: suggestionStyle
+            });
             if (!suggestions || suggestions.length === 0) {
                 ui.progressionSuggestions.innerHTML = '\u2014';
                 return;
@@ -485,7 +926,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             ui.progressionSuggestions.innerHTML = suggestions.map(s => {
                 const badge = s.function ? `<span style="color:#bb88ff;font-size:0.75em;"> ${s.function}</span>` : '';
                 const conf = s.confidence ? `<span style="color:#666;font-size:0.65em;"> ${Math.round(s.confidence * 100)}%</span>` : '';
-                return `<span data-chord="${s.name}" draggable="true" data-drag-type="chord" style="display:inline-block;background:#2a2a3a;padding:4px 10px;border-radius:4px;margin:2px 4px 2px 0;border:1px solid #3a3a4a;cursor:grab;" title="Drag to slot or click to add">${s.name}${badge}${conf}</span>`;
+                const learned = s.learned ? ` — you follow with this ${Math.round(s.learned * 100)}% of the time` : '';
+                return `<span data-chord="${s.name}" draggable="true" data-drag-type="chord" style="display:inline-block;background:#2a2a3a;padding:4px 10px;border-radius:4px;margin:2px 4px 2px 0;border:1px solid #3a3a4a;cursor:grab;" title="Drag to slot or click to add${learned}">${displayChord(s.name)}${badge}${conf}</span>`;
             }).join('');
 
             // Make progression suggestion chips draggable
@@ -499,6 +941,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        const FUNCTION_COLORS = { T: '#66aacc', PD: '#ccaa66', D: '#ee8899' };
+        // Perfect/imperfect authentic, half, plagal, deceptive
+        const CADENCE_ABBREVIATIONS = { perfect: 'PAC', imperfect: 'IAC', half: 'HC', plagal: 'PC', deceptive: 'DC' };
+
         function renderCurrentProgression() {
             if (!ui.currentProgression) return;
 
@@ -507,9 +953,28 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
 
-            ui.currentProgression.innerHTML = progressionBanks[activeBank].map((chord, i) => {
-                const sep = i < progressionBanks[activeBank].length - 1 ? ' <span style="color:#555;">→</span> ' : '';
-                return `<span data-chord="${chord}" data-prog-index="${i}" data-slot-index="${i}" class="progression-slot" style="display:inline-block;background:#2a223a;padding:4px 10px;border-radius:4px;margin:2px 3px;border:1px solid #3a2a4a;cursor:pointer;transition:border-color 0.2s;" title="Click to remove · Drop chord to replace · Drop extension to transform">${chord}</span>${sep}`;
+            const bank = progressionBanks[activeBank];
+            // Numerals with inversion figures, T/PD/D function, cadences and phrase boundaries in the current key
+            const analysis = lastValidKey ? analyzeProgression(bank, lastValidKey) : null;
+            const phraseEnds = new Set(analysis ? analysis.phrases.map(p => p.end) : []);
+            const cadences = new Map(analysis ? analysis.cadences.map(c => [c.index, c]) : []);
+            ui.currentProgression.innerHTML = bank.map((chord, i) => {
+                const phraseEnd = phraseEnds.has(i) && i < bank.length - 1;
+                const sep = i < bank.length - 1
+                    ? (phraseEnd ? ' <span style="color:#8866cc;" title="Phrase boundary">‖</span> ' : ' <span style="color:#555;">→</span> ')
+                    : '';
+                const entry = analysis ? analysis.chords[i] : null;
+                let details = '';
+                if (entry) {
+                    const fnColor = entry.type && entry.type !== 'diatonic' ? '#ff9966' : '#9988bb';
+                    const cadence = cadences.get(i);
+                    const cadenceLabel = cadence
+                        ? ` <span style="color:#66cc66;" title="${cadence.strength ? `${cadence.strength} ` : ''}${cadence.type} cadence">${CADENCE_ABBREVIATIONS[cadence.strength || cadence.type]}</span>`
+                        : '';
+                    const fnLabel = entry.function ? ` <span style="color:${FUNCTION_COLORS[entry.function]};">${entry.function}</span>` : '';
+                    details = `<div style="font-size:0.7em;color:${fnColor};">${entry.numeral}${fnLabel}${cadenceLabel}</div>`;
+                }
+                return `<span data-chord="${chord}" data-prog-index="${i}" data-slot-index="${i}" class="progression-slot" style="display:inline-block;text-align:center;vertical-align:top;background:#2a223a;padding:4px 10px;border-radius:4px;margin:2px 3px;border:1px solid #3a2a4a;cursor:pointer;transition:border-color 0.2s;" title="Click to remove · Right-click for substitutions · Drop chord to replace · Drop extension to transform">${displayChord(chord)}${details}</span>${sep}`;
             }).join('');
 
             // Attach drop target handlers to each slot
@@ -536,7 +1001,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                     if (dragType === 'voicing' || dragType === 'extension') {
                         // Voicing drop → apply to slot
-                        const extType = e.dataTransfer.getData('text/extension-type') || chordName.split(' ')[1];
+                        const extType = e.dataTransfer.getData('text/extension-type') || parseChordSymbol(chordName)?.quality;
                         const baseChord = progressionBanks[activeBank][slotIndex];
                         const transformed = applyExtension(baseChord, extType);
                         if (transformed) {
@@ -618,7 +1083,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 } else {
                     const lastIdx = bank.length - 1;
                     const baseChord = bank[lastIdx];
-                    const extType = extension || name.split(' ')[1];
+                    const extType = extension || parseChordSymbol(name)?.quality;
                     const transformed = applyExtension(baseChord, extType);
                     if (transformed) {
                         bank[lastIdx] = transformed;
@@ -640,17 +1105,87 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // ---- Note Events ----
-        function handleNoteEvent({ note, velocity, channel, type }) {
+        function handleNoteEvent({ note, velocity, channel, type, heldBy, releasedBy, inputId, bass }) {
             console.log(`[Renderer] MIDI Event: ${type} Note: ${note}`);
+            if (type === 'note-on') {
+                // Bass-route notes imply the root; they stay out of the chord's capture window
+                if (!bass) {
+                    captureWindow.addOnset(note);
+                    scheduleCaptureExpiry();
+                }
+                keyDetector.noteOn(note, velocity);
+            } else if (!heldBy) {
+                keyDetector.noteOff(note); // Stopped sounding (not held by a pedal or another key)
+            }
             updateAnalysis();
-            const name = midiToNoteName(note);
+            const name = midiToNoteName(note, lastValidKey);
             const velStr = velocity > 0 ? ` Vel:${velocity}` : '';
-            logMessage(`${type === 'note-on' ? 'Note On' : 'Note Off'}: ${name} (${note})${velStr}`);
+            // Key released under a pedal, or pedal lifted
+            const pedalStr = type === 'note-off' && heldBy ? ` (held by ${heldBy})` : (releasedBy ? ` (${releasedBy} up)` : '');
+            const bassStr = bass ? ' (bass)' : '';
+            // Several inputs routed: say which one and the channel
+            const routes = midiManager.getRoutes();
+            const route = routes.length > 1 ? routes.find(r => r.id === inputId) : null;
+            const sourceStr = route ? ` [${route.name} ch${channel + 1}]` : '';
+            logMessage(`${type === 'note-on' ? 'Note On' : 'Note Off'}: ${name} (${note})${velStr}${pedalStr}${bassStr}${sourceStr}`);
         }
 
-        // ---- Live Detection Renderer ----
-        const CHROMATIC_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        function handlePedalEvent({ pedal, down, channel, inputId }) {
+            // Pedals hold their own input's notes: say which one when several are routed
+            const routes = midiManager.getRoutes();
+            const route = routes.length > 1 ? routes.find(r => r.id === inputId) : null;
+            const sourceStr = route ? ` [${route.name} ch${channel + 1}]` : '';
+            logMessage(`Pedal: ${pedal} ${down ? 'down' : 'up'}${sourceStr}`);
+        }
+
+        // ---- Key Timeline ----
+        // Key regions over the session; boundaries show pivot chords or direct changes.
+        let lastTimelineKey = null;
+
+        function renderKeyTimeline() {
+            if (!ui.keyTimeline) return;
+            const timeline = modulationTracker.getTimeline();
+            if (timeline.length === 0) {
+                ui.keyTimeline.innerHTML = '\u2014';
+                lastTimelineKey = null;
+                return;
+            }
+
+            // Log each new modulation once
+            const current = timeline[timeline.length - 1];
+            if (lastTimelineKey && current.key !== lastTimelineKey && current.change !== 'start') {
+                const how = current.pivot ? `pivot ${displayChord(current.pivot.chord)}: ${current.pivot.from} \u2192 ${current.pivot.to}` : 'direct';
+                logMessage(`Modulation: ${lastTimelineKey} \u2192 ${current.key} (${how})`);
+            }
+            lastTimelineKey = current.key;
+
+            ui.keyTimeline.innerHTML = timeline.map((region, i) => {
+                const isCurrent = i === timeline.length - 1;
+                const chordCount = region.end - region.start + 1;
+                let marker = '';
+                if (region.change === 'pivot') {
+                    marker = `<span style="color:#aa88cc;" title="Pivot chord: ${region.pivot.from} in the old key, ${region.pivot.to} in the new">\u21c4 ${displayChord(region.pivot.chord)} (${region.pivot.from}\u2192${region.pivot.to})</span>`;
+                } else if (region.change === 'direct') {
+                    marker = '<span style="color:#cc8866;" title="Direct modulation: no common chord">\u21a0 direct</span>';
+                }
+                const tonicizations = region.tonicizations.map(t => `${displayChord(t.chord)} = ${t.label}`).join(', ');
+                const tonicTitle = tonicizations ? ` \u2014 tonicizations: ${tonicizations}` : '';
+                const tonicBadge = region.tonicizations.length > 0 ? `<sup style="color:#88aacc;">${region.tonicizations.length}</sup>` : '';
+                const style = isCurrent
+                    ? 'background:#2a3344;color:#ddeeff;border:1px solid #445577;'
+                    : 'background:#2a2a2a;color:#999;border:1px solid #3a3a3a;';
+                return `${marker}<span style="display:inline-block;padding:1px 8px;border-radius:4px;${style}" title="${region.key}: ${chordCount} chord(s)${tonicTitle}">${region.key}${tonicBadge}</span>`;
+            }).join(' ');
+        }
+
+        if (ui.resetKeyTimelineBtn) {
+            ui.resetKeyTimelineBtn.addEventListener('click', () => {
+                modulationTracker.reset();
+                renderKeyTimeline();
+            });
+        }
 
+        // ---- Live Detection Renderer ----
         function renderLiveDetection(chordName) {
             const modeResult = lastModalContext;
             if (!modeResult || !modeResult.tonic || !modeResult.mode) {
@@ -665,13 +1200,21 @@ document.addEventListener('DOMContentLoaded', async () => {
                 ui.liveKeyDisplay.innerText = `${lockIcon}${modeResult.tonic} ${modeResult.mode}`;
             }
 
-            // Compute scale note names from tonic + mode intervals
+            // Compute scale note names from tonic + mode intervals, spelled letter by letter (F Dorian → Ab, Eb)
             const intervals = SCALES[modeResult.mode];
             if (intervals && ui.liveNotesDisplay) {
-                const tonicIndex = CHROMATIC_NOTES.indexOf(modeResult.tonic);
+                const tonicIndex = noteToPC(modeResult.tonic);
                 if (tonicIndex >= 0) {
-                    const scaleNotes = intervals.map(i => CHROMATIC_NOTES[(tonicIndex + i) % 12]);
-                    ui.liveNotesDisplay.innerText = scaleNotes.join(' ');
+                    const spelling = getKeySpelling(`${modeResult.tonic} ${modeResult.mode}`);
+                    // Characteristic tones (Lydian #4, Mixolydian b7) stand out
+                    const modeInfo = getModeInfo(modeResult.mode);
+                    const colourTones = modeInfo ? modeInfo.characteristicTones : [];
+                    ui.liveNotesDisplay.innerHTML = intervals.map(i => {
+                        const note = spelling[(tonicIndex + i) % 12];
+                        return colourTones.includes(i)
+                            ? `<span style="color:#bb99ee;font-weight:bold;" title="Characteristic tone of ${modeResult.mode}">${note}</span>`
+                            : note;
+                    }).join(' ');
                 } else {
                     ui.liveNotesDisplay.innerText = '-';
                 }
@@ -704,7 +1247,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const dragAttr = draggable ? `draggable="true" data-drag-type="${dragType}"` : '';
                 const extAttr = (dragType === 'extension' && s.quality) ? `data-extension-type="${s.quality}"` : '';
                 const cursor = draggable ? 'cursor:grab;' : 'cursor:pointer;';
-                return `<span data-chord="${s.name}" ${dragAttr} ${extAttr} style="display:inline-block;background:#333;padding:2px 8px;border-radius:4px;margin:2px 4px 2px 0;border:1px solid #444;${cursor}" title="${draggable ? 'Drag to slot' : 'Click for details'}">${s.name}${badge}</span>`;
+                return `<span data-chord="${s.name}" ${dragAttr} ${extAttr} style="display:inline-block;background:#333;padding:2px 8px;border-radius:4px;margin:2px 4px 2px 0;border:1px solid #444;${cursor}" title="${draggable ? 'Drag to slot' : 'Click for details'}">${displayChord(s.name)}${badge}</span>`;
             }).join('');
 
             // Attach drag handlers
@@ -749,14 +1292,45 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // ---- Core Analysis ----
+        /**
+         * Re-rank keys from chords and played notes. Melody and bass lines alone
+         * name a key once enough pitch classes have sounded.
+         * @returns {boolean} true if a key was found
+         */
+        function updateDetectedKey() {
+            const { keys, confidence } = keyDetector.analyze();
+            if (keys.length === 0) return false;
+            const bestKey = keys[0];
+            const previousKey = lastValidKey;
+            lastValidKey = `${bestKey.root} ${bestKey.scale}`;
+            if (lastValidKey !== previousKey) renderCurrentProgression(); // Function labels follow the key
+            // Profile correlation and margin over the runner-up key
+            if (ui.liveKeyDisplay) {
+                const runnerUp = keys[1] ? `, next: ${keys[1].root} ${keys[1].scale}` : '';
+                ui.liveKeyDisplay.title = `${lastValidKey} r=${bestKey.score.toFixed(2)} (margin ${confidence.toFixed(2)}${runnerUp})`;
+            }
+            return true;
+        }
+
+        /** Single notes and intervals: update the key from the line when no chord has set a mode */
+        function updateKeyFromNotes() {
+            if (updateDetectedKey() && !lastModalContext && ui.liveKeyDisplay) {
+                ui.liveKeyDisplay.innerText = `Key: ${lastValidKey}`;
+            }
+        }
+
         function performAnalysis() {
-            const activeNotes = midiManager.getActiveNotes();
+            // Pedal hold: notes kept by sustain/sostenuto count as played
+            const heldNotes = pedalHold ? midiManager.getSoundingNotes() : midiManager.getActiveNotes();
+            // Capture window: recent onsets count too, so strummed/arpeggiated chords analyze whole
+            const activeNotes = captureWindow.getNotes(heldNotes);
 
             // No notes active → show cached suggestions or clear
             if (activeNotes.length === 0) {
+                updateKeyFromNotes(); // A released melody note now counts with its full length
                 ui.activeNotes.innerText = "-";
                 ui.activeNotes.style.color = "#555";
-                ui.liveChordDisplay.innerText = lastValidChord || "-";
+                ui.liveChordDisplay.innerText = lastValidChord ? displayChord(lastValidChord) : "-";
                 ui.liveChordDisplay.style.color = lastValidChord ? "#997700" : "#555";
                 ui.liveChordDisplay.style.textShadow = "none";
 
@@ -766,11 +1340,22 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
 
             // Update active notes display
-            const noteNames = activeNotes.map(n => midiToNoteName(n)).join("  ");
+            const noteNames = activeNotes.map(n => midiToNoteName(n, lastValidKey)).join("  ");
             ui.activeNotes.innerText = noteNames;
             ui.activeNotes.style.color = "#4db8ff";
 
-            const chordName = detectChord(activeNotes);
+            // Ranked readings: the top pick drives the app, alternatives show on hover.
+            // Slash name keeps the inversion ("C Major/E") through history, key and progression.
+            // Partial readings keep shell and rootless voicings from dropping to "?";
+            // a held bass-route note supplies their missing root.
+            const analysisContext = { key: lastValidKey, history: chordHistory };
+            lastChordCandidates = analyzeChordCandidates(activeNotes, { ...analysisContext, partial: true, bass: midiManager.getBassNote() });
+            // 2-note mode: dyads become real chords (history, key, progression), ranked with guide-tone shells
+            if (dyadMode) {
+                lastChordCandidates = [...lastChordCandidates, ...analyzeDyad(activeNotes, analysisContext)]
+                    .sort((a, b) => b.confidence - a.confidence);
+            }
+            const chordName = lastChordCandidates.length > 0 ? lastChordCandidates[0].slashName : null;
 
             if (chordName) {
                 // ---- Valid chord detected: update everything ----
@@ -796,18 +1381,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // LOCKED: do NOT overwrite progression[0]
 
                 keyDetector.addChord(chordName);
-                const keys = keyDetector.detect();
-                if (keys.length > 0) {
-                    const bestKey = keys[0];
-                    lastValidKey = `${bestKey.root} ${bestKey.scale}`;
-                }
+                if (modulationTracker.addChord(chordName)) renderKeyTimeline();
+                updateDetectedKey();
 
-                ui.liveChordDisplay.innerText = chordName;
+                ui.liveChordDisplay.innerText = displayChord(chordName);
                 ui.liveChordDisplay.style.color = "#ffcc00";
                 ui.liveChordDisplay.style.textShadow = "0 0 15px rgba(255, 204, 0, 0.5)";
 
                 // Regenerate and cache all suggestions
-                lastSuggestions.chord = suggestDiatonicChords(lastValidKey, chordName);
+                lastSuggestions.chord = [
+                    ...suggestDiatonicChords(lastValidKey, chordName),
+                    ...suggestChromaticChords(lastValidKey, chordName)
+                ];
                 lastSuggestions.scale = suggestScales(lastValidKey, chordName);
                 lastSuggestions.extension = suggestExtensions(chordName);
                 lastSuggestions.interval = [];
@@ -827,7 +1412,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 ui.liveChordDisplay.style.color = "#888";
                 ui.liveChordDisplay.style.textShadow = "none";
 
-                const intervalSugs = suggestIntervals(activeNotes);
+                updateKeyFromNotes();
+                const intervalSugs = suggestIntervals(activeNotes, lastValidKey);
                 lastSuggestions.interval = intervalSugs;
 
                 renderCandidatePanel(intervalSugs);
@@ -838,11 +1424,12 @@ document.addEventListener('DOMContentLoaded', async () => {
                 ui.liveChordDisplay.style.color = "#888";
                 ui.liveChordDisplay.style.textShadow = "none";
 
-                const noteNames2 = activeNotes.map(n => midiToNoteName(n)).join("  ");
+                updateKeyFromNotes();
+                const noteNames2 = activeNotes.map(n => midiToNoteName(n, lastValidKey)).join("  ");
                 ui.activeNotes.innerText = noteNames2;
                 ui.activeNotes.style.color = "#4db8ff";
 
-                const intervalSugs = suggestIntervals(activeNotes);
+                const intervalSugs = suggestIntervals(activeNotes, lastValidKey);
                 lastSuggestions.interval = intervalSugs;
 
                 renderCandidatePanel(intervalSugs);
@@ -867,7 +1454,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                         beatsPerChord,
                         velocity: 100,
                         register,
-                        voicingStyle
+                        voicingStyle,
+                        key: lastValidKey
                     });
 
                     if (buffer.length === 0) {
@@ -885,20 +1473,123 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                     fs.writeFileSync(result.filePath, Buffer.from(buffer));
                     logMessage(`Exported ${progressionBanks[activeBank].length} chords to ${result.filePath}`);
+                    learnActiveBank();
                 } catch (err) {
                     logMessage(`Export error: ${err.message}`);
                 }
             });
         }
 
+        // ---- Learned Progression Model ----
+        // Trained on exported banks (and the Learn button); saved in the app's user data folder
+        let modelPath = null;
+
+        function renderModelStatus() {
+            if (!ui.modelStatus) return;
+            const { progressions, transitions } = progressionModel.getStats();
+            ui.modelStatus.innerText = progressions === 0
+                ? 'nothing yet'
+                : `${progressions} progression${progressions === 1 ? '' : 's'}, ${transitions} transitions`;
+        }
+
+        function saveProgressionModel() {
+            if (!modelPath) return;
+            try {
+                fs.writeFileSync(modelPath, JSON.stringify(progressionModel.toJSON()));
+            } catch (err) {
+                logMessage(`Could not save learned model: ${err.message}`);
+            }
+        }
+
+        function learnActiveBank() {
+            // Re-exporting or re-learning an unchanged bank would count its transitions twice
+            if (progressionModel.hasLearned(progressionBanks[activeBank], lastValidKey)) {
+                logMessage(`Bank ${activeBank} is already learned in ${lastValidKey}.`);
+                return;
+            }
+            const learned = progressionModel.train(progressionBanks[activeBank], lastValidKey);
+            if (learned === 0) return;
+            saveProgressionModel();
+            renderModelStatus();
+            updateProgressionSuggestions();
+            logMessage(`Learned ${learned} chords from bank ${activeBank} in ${lastValidKey}`);
+        }
+
+        (async () => {
+            try {
+                const { ipcRenderer } = require('electron');
+                modelPath = path.join(await ipcRenderer.invoke('get-user-data-path'), 'progression-model.json');
+                if (fs.existsSync(modelPath)) {
+                    progressionModel = ProgressionModel.fromJSON(JSON.parse(fs.readFileSync(modelPath, 'utf8')));
+                    updateProgressionSuggestions();
+                }
+            } catch (err) {
+                logMessage(`Learned model not loaded: ${err.message}`);
+            }
+            renderModelStatus();
+        })();
+
+        if (ui.learnBankBtn) {
+            ui.learnBankBtn.addEventListener('click', () => {
+                if (progressionBanks[activeBank].length === 0 || !lastValidKey) {
+                    logMessage('Nothing to learn — build a progression in a key first.');
+                    return;
+                }
+                learnActiveBank();
+            });
+        }
+
+        if (ui.resetModelBtn) {
+            ui.resetModelBtn.addEventListener('click', () => {
+                if (!confirm('Forget every progression the model has learned?')) return;
+                progressionModel.reset();
+                saveProgressionModel();
+                renderModelStatus();
+                updateProgressionSuggestions();
+                logMessage('Learned model reset.');
+            });
+        }
+
+        if (ui.exportModelBtn) {
+            ui.exportModelBtn.addEventListener('click', async () => {
+                try {
+                    const { ipcRenderer } = require('electron');
+                    const result = await ipcRenderer.invoke('save-model-dialog');
+                    if (result.canceled || !result.filePath) return;
+                    fs.writeFileSync(result.filePath, JSON.stringify(progressionModel.toJSON(), null, 2));
+                    logMessage(`Exported learned model to ${result.filePath}`);
+                } catch (err) {
+                    logMessage(`Model export error: ${err.message}`);
+                }
+            });
+        }
+
+        if (ui.importModelBtn) {
+            ui.importModelBtn.addEventListener('click', async () => {
+                try {
+                    const { ipcRenderer } = require('electron');
+                    const result = await ipcRenderer.invoke('open-model-dialog');
+                    if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+                    progressionModel = ProgressionModel.fromJSON(JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8')));
+                    saveProgressionModel();
+                    renderModelStatus();
+                    updateProgressionSuggestions();
+                    logMessage(`Imported learned model from ${result.filePaths[0]}`);
+                } catch (err) {
+                    logMessage(`Model import error: ${err.message}`);
+                }
+            });
+        }
+
         // ---- Modal Context ----
         let lastModalContext = null;
         let lastModalSuggestions = [];
+        let lastBorrowedSuggestions = [];
 
         function getEffectiveMode() {
             if (modeLockValue !== 'Auto') {
                 // User-locked mode — derive tonic from key if available
-                const tonic = lastValidKey ? lastValidKey.split(' ')[0] : 'C';
+                const tonic = parseChordSymbol(lastValidKey)?.root || 'C';
                 return { tonic, mode: modeLockValue, confidence: 1.0 };
             }
             return detectModeFromChords(chordHistory);
@@ -910,6 +1601,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             const modeResult = getEffectiveMode();
             if (!modeResult) {
                 lastModalSuggestions = [];
+                lastBorrowedSuggestions = [];
                 return;
             }
 
@@ -922,8 +1614,17 @@ document.addEventListener('DOMContentLoaded', async () => {
                 `${lockIcon}<span style="color:#bb99ee;font-weight:bold;">${modeResult.tonic} ${modeResult.mode}</span>` +
                 `<span style="color:#666;margin-left:8px;">(${confPct}%)</span>`;
 
+            // Warn when the progression slides toward the relative Ionian/Aeolian centre
+            const drift = detectModalDrift(modeResult.mode, modeResult.tonic, chordHistory);
+            if (drift && drift.drifting) {
+                ui.modalContextDisplay.innerHTML +=
+                    `<span style="color:#ee8899;margin-left:8px;" title="Recent chords lean on ${drift.centre}; play the tonic or a chord with the characteristic tone to stay modal">⚠ drifting to ${drift.centre}</span>`;
+            }
+
             // Cache modal suggestions for candidate panel
-            lastModalSuggestions = suggestModalNextChords(modeResult.mode, modeResult.tonic, chordName);
+            lastModalSuggestions = suggestModalNextChords(modeResult.mode, modeResult.tonic, chordName, { style: suggestionStyle });
+            // Modal interchange: chords of the parallel modes on the same tonic
+            lastBorrowedSuggestions = suggestModalInterchange(modeResult.mode, modeResult.tonic, chordName);
         }
 
         // ---- Unified Candidate Panel Renderer ----
@@ -951,6 +1652,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             addCandidates(lastSuggestions.chord, 'functional', 0.5);
             addCandidates(lastModalSuggestions, 'modal', 0.6);
+            addCandidates(lastBorrowedSuggestions, 'borrowed', 0.5);
 
             // Interval suggestions
             const intList = intervalOverrides || lastSuggestions.interval || [];
@@ -967,6 +1669,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             const groups = {
                 functional: [],
                 modal: [],
+                borrowed: [],
                 voicing: [],
                 interval: []
             };
@@ -974,14 +1677,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             candidateMap.forEach(chord => {
                 const name = chord.name;
                 // Priority categorization logic from requirements
-                if (name.includes('Sus') || name.includes('5')) {
+                if (chord.source === 'borrowed') {
+                    groups.borrowed.push(chord);
+                } else if (name.includes('Sus') || name.includes('5')) {
                     groups.interval.push(chord);
                 } else if (name.includes('add') || name.includes('no')) {
                     groups.voicing.push(chord);
                 } else if (chord.source === 'modal') {
                     groups.modal.push(chord);
                 } else {
-                    groups.functional.push(chord);
+                    // Roman-numeral function in the current key (V7/V, bVII, N6...)
+                    const fn = lastValidKey ? analyzeHarmonicFunction(name, lastValidKey) : null;
+                    groups.functional.push(fn ? { ...chord, function: fn.label } : chord);
                 }
             });
 
@@ -995,12 +1702,26 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             renderGroup(ui.functionalChords, groups.functional, '#66cc66', 'functional');
             renderGroup(ui.modalChords, groups.modal, '#bb99ee', 'modal');
+            renderGroup(ui.borrowedChords, groups.borrowed, '#ee8899', 'borrowed');
             renderGroup(ui.voicingChords, groups.voicing, '#ccaa66', 'voicing');
             renderGroup(ui.intervalChords, groups.interval, '#66aacc', 'interval');
         }
 
         // ---- ModeLock Dropdown ----
         if (ui.modeLockSelect) {
+            // Every mode of every parent scale, grouped by parent; pentatonic, blues and
+            // symmetric scales last (lock-only, harmonized from their own notes)
+            Object.entries({ ...PARENT_SCALES, 'Other scales': OTHER_SCALES }).forEach(([parent, modes]) => {
+                const group = document.createElement('optgroup');
+                group.label = parent;
+                modes.forEach(mode => {
+                    const option = document.createElement('option');
+                    option.value = mode;
+                    option.textContent = mode;
+                    group.appendChild(option);
+                });
+                ui.modeLockSelect.appendChild(group);
+            });
             ui.modeLockSelect.addEventListener('change', () => {
                 modeLockValue = ui.modeLockSelect.value;
                 updateModalContext(lastValidChord);
@@ -1010,6 +1731,63 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        // ---- Progression Transforms ----
+        // Negative harmony, retrograde, rotation, degree transposition and modal re-mapping
+        // of the active bank, written into another bank so the original is kept
+        if (ui.transformSelect) {
+            // Re-map targets: the seven-note modes, grouped by parent scale
+            Object.entries(PARENT_SCALES).forEach(([parent, modes]) => {
+                const group = document.createElement('optgroup');
+                group.label = `Re-map to ${parent} modes`;
+                modes.forEach(mode => {
+                    const option = document.createElement('option');
+                    option.value = `remap:${mode}`;
+                    option.textContent = `In ${mode}`;
+                    group.appendChild(option);
+                });
+                ui.transformSelect.appendChild(group);
+            });
+        }
+
+        if (ui.applyTransformBtn) {
+            ui.applyTransformBtn.addEventListener('click', () => {
+                const source = progressionBanks[activeBank];
+                const target = ui.transformTargetSelect?.value;
+                if (source.length === 0) {
+                    logMessage('Nothing to transform — build a progression first.');
+                    return;
+                }
+                if (!target || target === activeBank) {
+                    logMessage('Choose another bank for the result — the original is kept.');
+                    return;
+                }
+
+                const [type, mode] = ui.transformSelect.value.split(':');
+                const steps = parseInt(ui.transformStepsInput?.value, 10) || 1;
+                if (type !== 'retrograde' && type !== 'rotate' && !lastValidKey) {
+                    logMessage('No key detected yet — play a few chords first.');
+                    return;
+                }
+                const result = transformProgression(source, lastValidKey, { type, steps, mode });
+                if (!result || result.length === 0) {
+                    logMessage(`Cannot apply ${ui.transformSelect.selectedOptions[0].textContent} in ${lastValidKey}.`);
+                    return;
+                }
+                if (progressionBanks[target].length > 0 && !confirm(`Replace the progression in bank ${target}?`)) return;
+
+                progressionBanks[target] = result;
+                bankLockState[target] = true;
+                bankSeedState[target] = false;
+                logMessage(`${ui.transformSelect.selectedOptions[0].textContent} of bank ${activeBank} → bank ${target}: ${result.join(', ')}`);
+
+                // Show the result
+                activeBank = target;
+                if (ui.progressionBankSelect) ui.progressionBankSelect.value = target;
+                renderCurrentProgression();
+                updateProgressionSuggestions();
+            });
+        }
+
         // ---- Bank Selector ----
         if (ui.progressionBankSelect) {
             ui.progressionBankSelect.addEventListener('change', () => {
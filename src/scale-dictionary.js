@@ -14,6 +14,27 @@ const SCALES = {
     'Mixolydian': [0, 2, 4, 5, 7, 9, 10],
     'Aeolian': [0, 2, 3, 5, 7, 8, 10],          // = Natural Minor
     'Locrian': [0, 1, 3, 5, 6, 8, 10],
+    // Modes of melodic minor
+    'Dorian b2': [0, 1, 3, 5, 7, 9, 10],
+    'Lydian Augmented': [0, 2, 4, 6, 8, 9, 11],
+    'Lydian Dominant': [0, 2, 4, 6, 7, 9, 10],
+    'Mixolydian b6': [0, 2, 4, 5, 7, 8, 10],
+    'Locrian #2': [0, 2, 3, 5, 6, 8, 10],
+    'Altered': [0, 1, 3, 4, 6, 8, 10],
+    // Modes of harmonic minor (Phrygian Dominant below)
+    'Locrian #6': [0, 1, 3, 5, 6, 9, 10],
+    'Ionian #5': [0, 2, 4, 5, 8, 9, 11],
+    'Dorian #4': [0, 2, 3, 6, 7, 9, 10],
+    'Lydian #2': [0, 3, 4, 6, 7, 9, 11],
+    'Altered bb7': [0, 1, 3, 4, 6, 8, 9],
+    // Modes of harmonic major
+    'Harmonic Major': [0, 2, 4, 5, 7, 8, 11],
+    'Dorian b5': [0, 2, 3, 5, 6, 9, 10],
+    'Phrygian b4': [0, 1, 3, 4, 7, 8, 10],
+    'Lydian b3': [0, 2, 3, 6, 7, 9, 11],
+    'Mixolydian b2': [0, 1, 4, 5, 7, 9, 10],
+    'Lydian Augmented #2': [0, 3, 4, 6, 8, 9, 11],
+    'Locrian bb7': [0, 1, 3, 5, 6, 8, 9],
     'Pentatonic Major': [0, 2, 4, 7, 9],
     'Pentatonic Minor': [0, 3, 5, 7, 10],
     'Blues': [0, 3, 5, 6, 7, 10],
@@ -24,6 +45,12 @@ const SCALES = {
     'Double Harmonic Major': [0, 1, 4, 5, 7, 8, 11],
     'Phrygian Dominant': [0, 1, 4, 5, 7, 8, 10],
     'Hungarian Minor': [0, 2, 3, 6, 7, 8, 11],
+    // Other modes of double harmonic major
+    'Lydian #2 #6': [0, 3, 4, 6, 7, 10, 11],
+    'Ultraphrygian': [0, 1, 3, 4, 7, 8, 9],
+    'Oriental': [0, 1, 4, 5, 6, 9, 10],
+    'Ionian Augmented #2': [0, 3, 4, 5, 8, 9, 11],
+    'Locrian bb3 bb7': [0, 1, 2, 5, 6, 8, 9],
     // Symmetric
     'Whole Tone': [0, 2, 4, 6, 8, 10],
     'Diminished HW': [0, 1, 3, 4, 6, 7, 9, 10],
@@ -0,0 +1,160 @@
+/**
+ * Scale Harmonizer
+ * ================
+ * Chords built from any scale's own notes, including scales that have no
+ * seven-note diatonic triads (pentatonics, blues, whole tone, diminished, Insen). NO DOM access.
+ *
+ * On each scale degree, the first stack of each kind whose tones all lie in the scale:
+ *  - tertian:  triad (major, minor, diminished, augmented), or its seventh/sixth at size 4
+ *  - sus:      sus4 or sus2 (7sus4 at size 4)
+ *  - quartal:  two stacked perfect fourths (C F Bb), named by the sus chord it spells ("F Sus4/C")
+ * Degrees with none of these are left out.
+ */
+
+const SCALES = require('./scale-dictionary');
+const { getChordName, getChordIntervals } = require('./chord-dictionary');
+const { getKeySpelling } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+const { romanNumeral } = require('./harmonic-function');
+
+const TRIAD = 3;
+const SEVENTH = 4;
+
+// Triads in order of preference, each with the four-note chords that extend it
+const TERTIAN = [
+    { triad: 'Major', sevenths: ['Dom7', 'Maj7', 'Maj6'] },
+    { triad: 'Minor', sevenths: ['Min7', 'MinMaj7', 'Min6'] },
+    { triad: 'Diminished', sevenths: ['m7b5 (Half-Dim)', 'Dim7'] },
+    { triad: 'Augmented', sevenths: [] }
+];
+
+const SUS = [
+    { triad: 'Sus4', sevenths: ['7sus4'] },
+    { triad: 'Sus2', sevenths: [] }
+];
+
+const SUS_SUFFIXES = { 'Sus4': 'sus4', 'Sus2': 'sus2', '7sus4': '7sus4' };
+
+const QUARTAL_STACK = [0, 5, 10];
+
+// Ranking penalty per stack type for callers: tertian chords lead, sus and quartal colour
+const STACK_PENALTY = { tertian: 0, sus: 0.1, quartal: 0.2 };
+
+// ---- Helpers (internal) ----
+
+/** Does every tone of the quality, built on `root`, lie in the scale? (relative pitch classes) */
+function fitsScale(quality, root, scaleSet) {
+    const intervals = getChordIntervals(quality);
+    return !!intervals && intervals.every(i => scaleSet.has((root + i) % 12));
+}
+
+/** First quality of a family that fits, extended to a four-note chord when `size` allows */
+function pickQuality(families, root, scaleSet, size) {
+    for (const { triad, sevenths } of families) {
+        if (!fitsScale(triad, root, scaleSet)) continue;
+        const seventh = size >= SEVENTH ? sevenths.find(q => fitsScale(q, root, scaleSet)) : null;
+        return seventh || triad;
+    }
+    return null;
+}
+
+/**
+ * Name a quartal stack by the chord its tones spell, with the stack's lowest tone in the bass.
+ * Returns { rootPC, quality, bassPC } (absolute pitch classes) or null.
+ */
+function nameQuartal(bassPC) {
+    const pcs = QUARTAL_STACK.map(i => (bassPC + i) % 12);
+    for (const rootPC of pcs) {
+        const quality = getChordName(pcs.map(pc => (pc - rootPC + 12) % 12).sort((a, b) => a - b));
+        if (quality) return { rootPC, quality, bassPC };
+    }
+    return null;
+}
+
+function isMinorScale(scaleIntervals) {
+    return scaleIntervals.includes(3) && !scaleIntervals.includes(4);
+}
+
+// ---- Public API ----
+
+/**
+ * Harmonize one degree of a scale.
+ *
+ * @param {number[]} scaleIntervals - e.g. SCALES['Pentatonic Minor']
+ * @param {number} tonicPC - Tonic pitch class (0-11)
+ * @param {number} degree - Index into scaleIntervals
+ * @param {Object} [options]
+ * @param {number} [options.size=3] - 3 triads, 4 sevenths (larger sizes use 4)
+ * @param {string[]} [options.spelling] - 12 note names (getKeySpelling)
+ * @returns {Array<{
+ *   name: string, rootPC: number, quality: string, degree: number,
+ *   type: 'tertian'|'sus'|'quartal', function: string
+ * }>} At most one chord of each type, tertian first
+ */
+function harmonizeDegree(scaleIntervals, tonicPC, degree, options = {}) {
+    const size = options.size || TRIAD;
+    const spelling = options.spelling || getKeySpelling(null);
+    const scaleSet = new Set(scaleIntervals);
+    const offset = scaleIntervals[degree];
+    const rootPC = (tonicPC + offset) % 12;
+    const minor = isMinorScale(scaleIntervals);
+    const chords = [];
+
+    const tertian = pickQuality(TERTIAN, offset, scaleSet, size);
+    if (tertian) {
+        chords.push({
+            name: `${spelling[rootPC]} ${tertian}`,
+            rootPC,
+            quality: tertian,
+            degree,
+            type: 'tertian',
+            function: romanNumeral(offset, getChordIntervals(tertian).map(i => i % 12), minor)
+        });
+    }
+
+    const numeral = romanNumeral(offset, [0], minor);
+    const sus = pickQuality(SUS, offset, scaleSet, size);
+    if (sus) {
+        chords.push({
+            name: `${spelling[rootPC]} ${sus}`,
+            rootPC,
+            quality: sus,
+            degree,
+            type: 'sus',
+            function: numeral + SUS_SUFFIXES[sus]
+        });
+    }
+
+    const quartal = QUARTAL_STACK.every(i => scaleSet.has((offset + i) % 12)) ? nameQuartal(rootPC) : null;
+    if (quartal) {
+        chords.push({
+            name: `${spelling[quartal.rootPC]} ${quartal.quality}/${spelling[rootPC]}`,
+            rootPC,
+            quality: quartal.quality,
+            degree,
+            type: 'quartal',
+            function: `${numeral} quartal`
+        });
+    }
+
+    return chords;
+}
+
+/**
+ * Harmonize every degree of a scale.
+ *
+ * @param {string} key - Tonic and scale, e.g. "A Pentatonic Minor", "C Whole Tone"
+ * @param {Object} [options] - See harmonizeDegree (spelling defaults to the key's)
+ * @returns {Array} Chords of harmonizeDegree, by degree; [] for an unknown scale
+ */
+function harmonizeScale(key, options = {}) {
+    const parsedKey = parseChordSymbol(key);
+    const scaleIntervals = parsedKey ? SCALES[parsedKey.quality] : null;
+    if (!scaleIntervals) return [];
+    const spelling = options.spelling || getKeySpelling(key);
+
+    return scaleIntervals.flatMap((_, degree) =>
+        harmonizeDegree(scaleIntervals, parsedKey.rootPC, degree, { ...options, spelling }));
+}
+
+module.exports = { harmonizeDegree, harmonizeScale, STACK_PENALTY };
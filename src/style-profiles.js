@@ -0,0 +1,74 @@
+/**
+ * Style Profiles
+ * ==============
+ * Genre weightings for next-chord suggestions (suggestion-engine) and modal
+ * suggestions (modal-context), one JSON file per style in src/styles. NO DOM access.
+ *
+ * Fields a style file leaves out come from the Standard style (standard.json):
+ *  - degreeWeights:         base score of each scale degree as the next chord (I … vii°)
+ *  - motionRules:           { from, to, bonus } between scale degrees (0-6)
+ *  - resolutionBonus:       a chromatic chord moving to its target (V/ii → ii, N6 → V)
+ *  - repeatPenalty:         the last chord again
+ *  - historyPenalty:        each time a chord is already in the memory window
+ *  - voiceLeadingWeight:    confidence lost per semitone of voice motion
+ *  - chordColours:          chord offered on each degree: the first of triad, seventh,
+ *                           ninth, add9, sus2, sus4 whose tones are all in the key
+ *  - matchColours:          any diatonic chord on a degree's root counts as that degree
+ *                           (Dm7 after Dm) for motion rules and repeat penalties; false
+ *                           (Standard) compares exact qualities
+ *  - chromatic:             weight of secondary dominants and the Neapolitan (0 = never)
+ *  - modal:                 tonic / colour / neutral confidences, size (3 triads, 4 sevenths)
+ *  - scaleDegrees:          tonic / fourthFifth / other confidences in scales without diatonic triads
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STYLE_DIR = path.join(__dirname, 'styles');
+const DEFAULT_STYLE = 'standard';
+
+// ---- Helpers (internal) ----
+
+function loadStyles() {
+    const base = JSON.parse(fs.readFileSync(path.join(STYLE_DIR, `${DEFAULT_STYLE}.json`), 'utf8'));
+    const ids = fs.readdirSync(STYLE_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort((a, b) => (a === DEFAULT_STYLE ? -1 : b === DEFAULT_STYLE ? 1 : a.localeCompare(b)));
+
+    const styles = {};
+    for (const id of ids) {
+        const data = id === DEFAULT_STYLE ? base : JSON.parse(fs.readFileSync(path.join(STYLE_DIR, `${id}.json`), 'utf8'));
+        styles[id] = Object.freeze({
+            ...base,
+            ...data,
+            id,
+            modal: { ...base.modal, ...data.modal },
+            scaleDegrees: { ...base.scaleDegrees, ...data.scaleDegrees }
+        });
+    }
+    return styles;
+}
+
+const STYLES = loadStyles();
+
+// ---- Public API ----
+
+/**
+ * A style with every field filled in.
+ * @param {string} [id] - File name without .json ("jazz"); unknown ids give the Standard style
+ * @returns {Object} See the field list above, plus `id`
+ */
+function getStyle(id) {
+    return STYLES[id] || STYLES[DEFAULT_STYLE];
+}
+
+/**
+ * Styles for a picker, Standard first.
+ * @returns {Array<{ id: string, name: string, description: string }>}
+ */
+function listStyles() {
+    return Object.values(STYLES).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+module.exports = { getStyle, listStyles, DEFAULT_STYLE };
@@ -0,0 +1,140 @@
+/**
+ * Substitution Engine
+ * ===================
+ * Substitutions for one chord of a progression, chosen by the chord that follows. NO DOM access.
+ *
+ *  - tritone:      a dominant a tritone away (G7 → Db7); for other chords, the tritone
+ *                  sub of the dominant into the next chord (C | Dm → Eb7 | Dm)
+ *  - relative:     major ↔ relative minor (C → Am, Am7 → Cmaj7)
+ *  - secondary:    the dominant of the next chord in its place (C | Dm → A7 | Dm)
+ *  - passing:      the chord, then a diminished seventh a half step from the next root
+ *                  (C C#°7 | Dm; Em Eb°7 | Dm)
+ *  - backdoor:     iv7–bVII7 of a major next chord in its place (Fm7 Bb7 | C)
+ *  - approach:     the chord, then the next chord's quality a half step above or below (C Ebm | Dm)
+ * Each substitution replaces the slot with one or two chords.
+ */
+
+const { getKeySpelling, preferredTonicName } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+const { analyzeHarmonicFunction } = require('./harmonic-function');
+
+// ---- Helpers (internal) ----
+
+function describe(chord) {
+    const intervals = chord.intervals.map(i => i % 12);
+    const has = i => intervals.includes(i);
+    const diminished = has(3) && has(6) && !has(7);
+    const majorThird = has(4) && !has(3);
+    return {
+        majorThird,
+        minorThird: has(3) && !has(4) && !diminished,
+        diminished,
+        seventh: has(10) || has(11),
+        dominant: majorThird && has(10) && !has(11)
+    };
+}
+
+function semitonesUp(from, to) {
+    return (to - from + 12) % 12;
+}
+
+/** Chord name spelled toward the major key of the chord it leads to (Gb7 → F, not F#7) */
+function spellToward(targetPC, pc, quality) {
+    const spelling = getKeySpelling(`${preferredTonicName(targetPC % 12, 'Major')} Major`);
+    return `${spelling[pc % 12]} ${quality}`;
+}
+
+// ---- Public API ----
+
+/**
+ * Substitutions for a chord in context.
+ *
+ * @param {string} chordName - The chord to replace, e.g. "G Dom7"
+ * @param {Object} [context]
+ * @param {string} [context.next] - Following chord (most substitutions lead into it)
+ * @param {string} [context.key] - Key for function labels and relative chords' spelling, e.g. "C Major"
+ * @returns {Array<{
+ *   type: 'tritone'|'relative'|'secondary'|'passing'|'backdoor'|'approach',
+ *   label: string, chords: string[], function?: string
+ * }>} chords: what replaces the slot; function: Roman numerals in the key
+ *   ("V7/ii", "iv7 bVII7"). [] for an unreadable chord.
+ */
+function suggestSubstitutions(chordName, context = {}) {
+    const chord = parseChordSymbol(chordName);
+    if (!chord || !chord.intervals) return [];
+    const parsedNext = context.next ? parseChordSymbol(context.next) : null;
+    const next = parsedNext && parsedNext.intervals ? parsedNext : null;
+    const key = context.key && parseChordSymbol(context.key) ? context.key : null;
+    const spelling = getKeySpelling(key || `${chord.root} Major`);
+    const inKey = (pc, quality) => `${spelling[pc % 12]} ${quality}`;
+    const intoNext = (pc, quality) => spellToward(next.rootPC, pc, quality);
+
+    const current = describe(chord);
+    const target = next ? describe(next) : null;
+    const fifthDown = next && semitonesUp(chord.rootPC, next.rootPC) === 5;
+    const subs = [];
+
+    // Tritone substitution
+    if (current.dominant || (current.majorThird && !current.seventh && fifthDown)) {
+        const quality = current.dominant ? chord.quality : 'Dom7';
+        subs.push({ type: 'tritone', label: 'Tritone sub', chords: [spellToward(chord.rootPC + 5, chord.rootPC + 6, quality)] });
+    } else if (next && !target.diminished) {
+        subs.push({ type: 'tritone', label: `Tritone sub into ${context.next}`, chords: [intoNext(next.rootPC + 1, 'Dom7')] });
+    }
+
+    // Relative major / minor
+    if (current.majorThird && !current.dominant) {
+        subs.push({ type: 'relative', label: 'Relative minor', chords: [inKey(chord.rootPC + 9, current.seventh ? 'Min7' : 'Minor')] });
+    } else if (current.minorThird) {
+        subs.push({ type: 'relative', label: 'Relative major', chords: [inKey(chord.rootPC + 3, current.seventh ? 'Maj7' : 'Major')] });
+    }
+
+    if (next && !target.diminished) {
+        // Secondary dominant into the next chord
+        subs.push({ type: 'secondary', label: `Dominant of ${context.next}`, chords: [intoNext(next.rootPC + 7, 'Dom7')] });
+
+        // Passing diminished: rising into the next root, or falling when it is a whole step down
+        const rising = (next.rootPC + 11) % 12;
+        if (next.rootPC !== chord.rootPC && rising !== chord.rootPC) {
+            subs.push({ type: 'passing', label: 'Passing °7 (rising)', chords: [chordName, intoNext(rising, 'Dim7')] });
+        }
+        if (semitonesUp(next.rootPC, chord.rootPC) === 2) {
+            subs.push({ type: 'passing', label: 'Passing °7 (falling)', chords: [chordName, intoNext(next.rootPC + 1, 'Dim7')] });
+        }
+    }
+
+    // Backdoor ii–V: iv7 bVII7 resolving to a major (not dominant) chord
+    if (next && target.majorThird && !target.dominant) {
+        subs.push({
+            type: 'backdoor',
+            label: `Backdoor ii–V into ${context.next}`,
+            chords: [intoNext(next.rootPC + 5, 'Min7'), intoNext(next.rootPC + 10, 'Dom7')]
+        });
+    }
+
+    // Chromatic approach: the next chord's quality a half step away
+    if (next) {
+        subs.push({ type: 'approach', label: 'Approach from above', chords: [chordName, intoNext(next.rootPC + 1, next.quality)] });
+        subs.push({ type: 'approach', label: 'Approach from below', chords: [chordName, intoNext(next.rootPC + 11, next.quality)] });
+    }
+
+    // Drop no-ops and duplicates (a secondary dominant that is already the chord)
+    const seen = new Set([chordName]);
+    return subs
+        .filter(sub => {
+            const id = sub.chords.join(' | ');
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .map(sub => {
+            if (!key) return sub;
+            const labels = sub.chords.map((c, i) => {
+                const fn = analyzeHarmonicFunction(c, key, { next: sub.chords[i + 1] || context.next });
+                return fn ? fn.label : '?';
+            });
+            return { ...sub, function: labels.join(' ') };
+        });
+}
+
+module.exports = { suggestSubstitutions };
@@ -6,11 +6,37 @@
  */
 
 const SCALES = require('./scale-dictionary');
-const { CHORD_INTERVALS } = require('./chord-dictionary');
-
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const { getChordName, getChordIntervals } = require('./chord-dictionary');
+const { getKeySpelling, spellChordTone } = require('./pitch-spelling');
+const { parseChordSymbol } = require('./chord-symbol');
+const { analyzeHarmonicFunction, suggestChromaticChords, romanNumeral } = require('./harmonic-function');
+const { harmonizeScale, STACK_PENALTY } = require('./scale-harmonizer');
+const { getStyle } = require('./style-profiles');
 const DEGREE_NAMES = ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'];
 
+// ---- Style chord colours (style-profiles chordColours) ----
+// Chord tones as scale steps above the degree's root (1 = the second, 6 = the seventh)
+const COLOUR_STEPS = {
+    triad: [2, 4],
+    seventh: [2, 4, 6],
+    ninth: [2, 4, 6, 8],
+    add9: [2, 4, 8],
+    sus2: [1, 4],
+    sus4: [3, 4]
+};
+
+// ---- Scales without seven-note diatonic triads (pentatonic, blues, symmetric) ----
+// Confidence by root offset from the tonic (tonic, fifth, fourth), less STACK_PENALTY for sus and quartal
+const HARMONIZED_CONFIDENCE = { 0: 1.0, 7: 0.9, 5: 0.8 };
+const HARMONIZED_NEXT_BASE = { 0: 0.5, 7: 0.4, 5: 0.35 };
+// Root motion (semitones up from the last root) → bonus: down a fifth, up a fifth, steps
+const ROOT_MOTION_BONUS = { 5: 0.25, 7: 0.15, 2: 0.1, 10: 0.1, 1: 0.05, 11: 0.05 };
+
+// ---- Learned model (progression-model) ----
+// Blend weight grows with the chord-to-chord transitions the model has seen, up to MODEL_WEIGHT
+const MODEL_WEIGHT = 0.5;
+const MODEL_FULL_WEIGHT_TRANSITIONS = 50;
+
 // ---- Extension Classification ----
 const QUALITY_DEPENDENT_EXTENSIONS = [
     'Maj7', 'min7', '#11', 'b9', 'b6'
@@ -22,13 +48,6 @@ const MODAL_STACK_EXTENSIONS = [
 
 // ---- Helpers (internal) ----
 
-/**
- * Parse a note name to its pitch class (0-11). Returns -1 if invalid.
- */
-function noteToPC(name) {
-    return NOTE_NAMES.indexOf(name);
-}
-
 /**
  * Calculate voice leading cost between two sets of MIDI notes.
  * Sum of minimum distances from each note in prevNotes to closest note in nextNotes.
@@ -47,29 +66,27 @@ function calculateVoiceLeadingCost(prevNotes, nextNotes) {
 }
 
 /**
- * Parse "C Major" → { root: 'C', quality: 'Major', rootPC: 0 }
+ * Parse "C Major" → { root: 'C', quality: 'Major', rootPC: 0, bass: null, ... }
+ * Slash chords keep their bass: "C Major/E" → { ..., quality: 'Major', bass: 'E', bassPC: 4 }
+ * Lead-sheet symbols parse too ("Cmaj7" → quality 'Maj7'); see parseChordSymbol.
  */
 function parseChordOrKey(str) {
-    if (!str || typeof str !== 'string') return null;
-    const parts = str.trim().split(/\s+/);
-    if (parts.length < 2) return null;
-    const root = parts[0];
-    const quality = parts.slice(1).join(' ');
-    const rootPC = noteToPC(root);
-    if (rootPC === -1) return null;
-    return { root, quality, rootPC };
+    return parseChordSymbol(str);
+}
+
+/**
+ * Re-attach the bass of a parsed slash chord to a chord name.
+ */
+function withBass(chordName, parsed) {
+    return parsed && parsed.bass ? `${chordName}/${parsed.bass}` : chordName;
 }
 
 /**
  * Get intervals for a chord quality from CHORD_INTERVALS.
+ * Extensions come back as compound intervals (Add9 → [0, 4, 7, 14]).
  */
 function getIntervalsForQuality(quality) {
-    for (const [key, val] of Object.entries(CHORD_INTERVALS)) {
-        if (val === quality) {
-            return key.split(',').map(Number);
-        }
-    }
-    return null;
+    return getChordIntervals(quality);
 }
 
 /**
@@ -78,7 +95,7 @@ function getIntervalsForQuality(quality) {
  */
 function buildTriadOnDegree(scaleIntervals, degreeIndex) {
     const len = scaleIntervals.length;
-    if (len < 7) return null; // Need 7-note scale for diatonic triads
+    if (len < 7) return null; // Need 7-note scale for diatonic triads (see scale-harmonizer)
 
     const root = scaleIntervals[degreeIndex];
     const third = scaleIntervals[(degreeIndex + 2) % len];
@@ -92,12 +109,119 @@ function buildTriadOnDegree(scaleIntervals, degreeIndex) {
     ].sort((a, b) => a - b);
 
     // Look up quality
-    const key = intervals.join(',');
-    const quality = CHORD_INTERVALS[key] || null;
+    const quality = getChordName(intervals);
 
     return { intervals, quality, rootPC: root };
 }
 
+/**
+ * The first of a style's chord colours that the scale spells on a degree (every tone
+ * in the scale and a named quality), else the triad. Ninths sit an octave up.
+ * Returns { intervals, quality, colour } or null.
+ */
+function buildColourOnDegree(scaleIntervals, degreeIndex, colours) {
+    const root = scaleIntervals[degreeIndex];
+    for (const colour of [...colours, 'triad']) {
+        const steps = COLOUR_STEPS[colour];
+        if (!steps) continue;
+        const intervals = [0, ...steps.map(step => {
+            const tone = (scaleIntervals[(degreeIndex + step) % 7] - root + 12) % 12;
+            return step === 8 ? tone + 12 : tone;
+        })].sort((a, b) => a - b);
+        const quality = getChordName(intervals);
+        if (quality) return { intervals, quality, colour };
+    }
+    return null;
+}
+
+/**
+ * Numeral for a coloured diatonic chord: "V", "V7", "IVmaj9", "iiadd9", "bVIIsus2".
+ * Plain triads keep DEGREE_NAMES; colours are numbered in the key (romanNumeral).
+ */
+function colourLabel(degree, chord, triad, scaleIntervals) {
+    if (chord.colour === 'triad') return DEGREE_NAMES[degree];
+    const minorKey = scaleIntervals.includes(3) && !scaleIntervals.includes(4);
+    const offset = scaleIntervals[degree];
+    if (chord.colour === 'add9' || chord.colour === 'sus2' || chord.colour === 'sus4') {
+        return romanNumeral(offset, triad.intervals, minorKey) + chord.colour;
+    }
+    const seventh = romanNumeral(offset, chord.intervals.map(i => i % 12), minorKey);
+    return chord.colour === 'ninth' ? seventh.replace(/7$/, '9') : seventh;
+}
+
+/**
+ * Same chord, ignoring the bass? (parsed chord vs. chord name)
+ */
+function isSameChord(parsed, chordName) {
+    const other = parseChordOrKey(chordName);
+    return !!parsed && !!other && parsed.rootPC === other.rootPC && parsed.quality === other.quality;
+}
+
+/**
+ * Penalize candidates that move far from the last chord (voice leading cost).
+ * Sets s.voiceCost and lowers s.confidence in place.
+ */
+function applyVoiceLeading(scored, lastChord, weight = 0.05) {
+    const prevMeta = getChordMetadata(lastChord, 4);
+    if (!prevMeta || !prevMeta.midiNotes) return;
+    scored.forEach(s => {
+        const nextMeta = getChordMetadata(s.name, 4);
+        if (nextMeta && nextMeta.midiNotes) {
+            const cost = calculateVoiceLeadingCost(prevMeta.midiNotes, nextMeta.midiNotes);
+            s.voiceCost = cost;
+            // Penalize high movement cost
+            s.confidence -= (cost * weight);
+            // Clamping
+            s.confidence = Math.max(0, Math.min(1, s.confidence));
+        }
+    });
+}
+
+/**
+ * Blend a learned model's next-chord probabilities into rule-based scores (in place).
+ * Probabilities are scaled to the likeliest candidate; each suggestion gets `learned`.
+ */
+function blendLearnedScores(scored, history, key, model) {
+    const { transitions } = model.getStats();
+    const weight = MODEL_WEIGHT * Math.min(1, transitions / MODEL_FULL_WEIGHT_TRANSITIONS);
+    if (weight === 0) return;
+
+    const probabilities = scored.map(s => model.score(history, key, s.name));
+    const max = Math.max(...probabilities);
+    if (max === 0) return;
+    scored.forEach((s, i) => {
+        s.learned = parseFloat(probabilities[i].toFixed(2));
+        s.confidence = Math.max(0, Math.min(1, (1 - weight) * s.confidence + weight * probabilities[i] / max));
+    });
+}
+
+/**
+ * Next chords in a scale without diatonic triads: every chord the harmonizer builds,
+ * scored by the tonic/fifth/fourth weight of its root and the root motion from the last chord.
+ */
+function suggestNextHarmonizedChords(recentHistory, key, parsedKey, style) {
+    const lastChord = recentHistory[recentHistory.length - 1];
+    const parsedLast = parseChordOrKey(lastChord);
+
+    const scored = harmonizeScale(key).map(chord => {
+        const offset = (chord.rootPC - parsedKey.rootPC + 12) % 12;
+        let score = (HARMONIZED_NEXT_BASE[offset] || 0.25) - STACK_PENALTY[chord.type] / 2;
+
+        if (parsedLast) score += ROOT_MOTION_BONUS[(chord.rootPC - parsedLast.rootPC + 12) % 12] || 0;
+        if (isSameChord(parsedLast, chord.name)) score -= style.repeatPenalty;
+        for (const histChord of recentHistory) {
+            if (isSameChord(parseChordOrKey(histChord), chord.name)) score -= style.historyPenalty;
+        }
+
+        return { name: chord.name, function: chord.function, confidence: Math.max(0, Math.min(1, score)) };
+    });
+
+    if (parsedLast) applyVoiceLeading(scored, lastChord, style.voiceLeadingWeight);
+
+    scored.sort((a, b) => b.confidence - a.confidence);
+    return scored.filter(s => s.confidence > 0).slice(0, 5);
+}
+
 // ---- Public API ----
 
 /**
@@ -112,9 +236,22 @@ function suggestDiatonicChords(key, currentChord) {
     if (!parsedKey) return [];
 
     const scaleIntervals = SCALES[parsedKey.quality];
-    if (!scaleIntervals || scaleIntervals.length < 7) return [];
+    if (!scaleIntervals) return [];
 
     const parsedCurrent = currentChord ? parseChordOrKey(currentChord) : null;
+
+    // Pentatonic, blues and symmetric scales: tertian, sus and quartal chords from the scale's notes
+    if (scaleIntervals.length !== 7) {
+        return harmonizeScale(key)
+            .filter(chord => !isSameChord(parsedCurrent, chord.name))
+            .map(chord => {
+                const offset = (chord.rootPC - parsedKey.rootPC + 12) % 12;
+                const confidence = (HARMONIZED_CONFIDENCE[offset] || 0.5) - STACK_PENALTY[chord.type];
+                return { name: chord.name, function: chord.function, confidence: parseFloat(confidence.toFixed(2)) };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+    const spelling = getKeySpelling(key);
     const suggestions = [];
 
     for (let degree = 0; degree < 7; degree++) {
@@ -122,7 +259,7 @@ function suggestDiatonicChords(key, currentChord) {
         if (!triad || !triad.quality) continue;
 
         const absoluteRoot = (parsedKey.rootPC + scaleIntervals[degree]) % 12;
-        const chordName = `${NOTE_NAMES[absoluteRoot]} ${triad.quality}`;
+        const chordName = `${spelling[absoluteRoot]} ${triad.quality}`;
         const degreeName = DEGREE_NAMES[degree];
 
         // Confidence: higher for common progressions (I, IV, V, vi)
@@ -165,7 +302,7 @@ function suggestScales(key, currentChord) {
     // Get chord notes (pitch classes) if we have a chord
     let chordPCs = [];
     if (parsedChord) {
-        const chordIntervals = getIntervalsForQuality(parsedChord.quality);
+        const chordIntervals = parsedChord.intervals;
         if (chordIntervals) {
             chordPCs = chordIntervals.map(i => (parsedChord.rootPC + i) % 12);
         }
@@ -176,6 +313,7 @@ function suggestScales(key, currentChord) {
     for (const [scaleName, scaleIntervals] of Object.entries(SCALES)) {
         // Build scale rooted on the key root (or chord root if no key)
         const root = parsedKey ? parsedKey.rootPC : (parsedChord ? parsedChord.rootPC : 0);
+        const rootName = parsedKey ? parsedKey.root : parsedChord.root;
         const scalePCs = new Set(scaleIntervals.map(i => (root + i) % 12));
 
         // Score: how many chord notes fit this scale?
@@ -199,7 +337,7 @@ function suggestScales(key, currentChord) {
         // Only suggest if all chord notes fit (confidence >= threshold)
         if (chordPCs.length > 0 && chordScore < 1.0) continue;
 
-        const displayName = `${NOTE_NAMES[root]} ${scaleName}`;
+        const displayName = `${rootName} ${scaleName}`;
 
         suggestions.push({
             name: displayName,
@@ -256,7 +394,7 @@ function suggestExtensions(currentChord) {
 
     for (const ext of extensions) {
         suggestions.push({
-            name: `${parsed.root} ${ext.quality}`,
+            name: withBass(`${parsed.root} ${ext.quality}`, parsed),
             function: ext.function,
             confidence: ext.confidence
         });
@@ -288,9 +426,10 @@ function suggestExtensions(currentChord) {
  * Suggest interval additions when fewer than 3 notes are active.
  *
  * @param {Set<number>|Array<number>} activeNotes - MIDI note numbers
+ * @param {string} [key] - Current key, for note and chord spelling (sharps when omitted)
  * @returns {Array<{name: string, interval: string, result: string}>}
  */
-function suggestIntervals(activeNotes) {
+function suggestIntervals(activeNotes, key) {
     // Normalize input
     const notes = activeNotes instanceof Set
         ? Array.from(activeNotes)
@@ -300,7 +439,7 @@ function suggestIntervals(activeNotes) {
 
     const sorted = [...notes].sort((a, b) => a - b);
     const lowest = sorted[0];
-    const lowestName = NOTE_NAMES[lowest % 12];
+    const spelling = getKeySpelling(key);
 
     const INTERVAL_ADDITIONS = [
         { semitones: 3, label: 'Minor 3rd' },
@@ -314,7 +453,7 @@ function suggestIntervals(activeNotes) {
 
     for (const interval of INTERVAL_ADDITIONS) {
         const newNote = lowest + interval.semitones;
-        const newNoteName = NOTE_NAMES[newNote % 12];
+        const newNoteName = spelling[newNote % 12];
 
         // Skip if this note is already active
         if (notes.includes(newNote) || notes.includes(newNote % 12 + Math.floor(lowest / 12) * 12)) {
@@ -333,9 +472,9 @@ function suggestIntervals(activeNotes) {
                 // Try each note as root
                 for (const root of pitchClasses) {
                     const intervals = pitchClasses.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
-                    const key = intervals.join(',');
-                    if (CHORD_INTERVALS[key]) {
-                        result = `${NOTE_NAMES[root]} ${CHORD_INTERVALS[key]}`;
+                    const quality = getChordName(intervals);
+                    if (quality) {
+                        result = `${spelling[root]} ${quality}`;
                         break;
                     }
                 }
@@ -354,39 +493,53 @@ function suggestIntervals(activeNotes) {
 
 /**
  * Suggest next chords based on chord history, key, and progression memory.
- * Uses common harmonic motion patterns to score candidates.
+ * Uses the style's harmonic motion rules and chord colours to score candidates,
+ * blended with a learned model of the user's own progressions when one is given.
  *
  * @param {string[]} chordHistory - Array of chord names, most recent last
  * @param {string} key - e.g. "C Major"
  * @param {number} [memoryLength=3] - How many previous chords to consider
- * @returns {Array<{name: string, function?: string, confidence: number}>}
+ * @param {Object} [options]
+ * @param {ProgressionModel} [options.model] - Learned transitions (progression-model)
+ * @param {Object} [options.style] - A style-profiles style (default: Standard)
+ * @returns {Array<{name: string, function?: string, confidence: number, learned?: number}>}
+ *   learned: the model's probability for the chord, when a trained model is given
  */
-function suggestNextChords(chordHistory, key, memoryLength = 3) {
+function suggestNextChords(chordHistory, key, memoryLength = 3, options = {}) {
     if (!Array.isArray(chordHistory) || chordHistory.length === 0) return [];
 
     const parsedKey = parseChordOrKey(key);
     if (!parsedKey) return [];
 
     const scaleIntervals = SCALES[parsedKey.quality];
-    if (!scaleIntervals || scaleIntervals.length < 7) return [];
+    if (!scaleIntervals) return [];
+    const style = options.style || getStyle();
+    if (scaleIntervals.length !== 7) return suggestNextHarmonizedChords(chordHistory.slice(-memoryLength), key, parsedKey, style);
 
-    // Build diatonic chord table: degree → { name, rootPC, quality }
+    // Build diatonic chord table: degree → { name, rootPC, quality } (in the style's chord colour)
+    const spelling = getKeySpelling(key);
     const diatonic = [];
     for (let degree = 0; degree < 7; degree++) {
         const triad = buildTriadOnDegree(scaleIntervals, degree);
         if (!triad || !triad.quality) continue;
+        const chord = buildColourOnDegree(scaleIntervals, degree, style.chordColours);
         const absoluteRoot = (parsedKey.rootPC + scaleIntervals[degree]) % 12;
         diatonic.push({
             degree,
-            name: `${NOTE_NAMES[absoluteRoot]} ${triad.quality}`,
-            degreeName: DEGREE_NAMES[degree],
+            name: `${spelling[absoluteRoot]} ${chord.quality}`,
+            degreeName: colourLabel(degree, chord, triad, scaleIntervals),
             rootPC: absoluteRoot,
-            quality: triad.quality
+            quality: chord.quality
         });
     }
 
     if (diatonic.length === 0) return [];
 
+    // matchColours: any diatonic chord on a degree's root is that degree, whatever its colour (Dm, Dm7, Dm9)
+    const scalePCs = scaleIntervals.map(i => (parsedKey.rootPC + i) % 12);
+    const isDiatonic = parsed => style.matchColours &&
+        !!parsed.intervals && parsed.intervals.every(i => scalePCs.includes((parsed.rootPC + i) % 12));
+
     // Get recent history window
     const recentHistory = chordHistory.slice(-memoryLength);
     const lastChord = recentHistory[recentHistory.length - 1];
@@ -394,66 +547,44 @@ function suggestNextChords(chordHistory, key, memoryLength = 3) {
 
     // Map last chord to degree
     let lastDegree = -1;
+    let resolvesTo = -1; // Degree a chromatic chord resolves to (V/x → x, N6 → V)
     if (parsedLast) {
-        const match = diatonic.find(d => d.rootPC === parsedLast.rootPC && d.quality === parsedLast.quality);
-        if (match) lastDegree = match.degree;
+        const match = diatonic.find(d => d.rootPC === parsedLast.rootPC && (d.quality === parsedLast.quality || isDiatonic(parsedLast)));
+        if (match) {
+            lastDegree = match.degree;
+        } else {
+            // Chromatic chord: follow its function, or move like the diatonic chord it borrows from
+            const fn = analyzeHarmonicFunction(lastChord, key);
+            if (fn && fn.target !== null) resolvesTo = fn.target;
+            else if (fn) lastDegree = fn.degree;
+        }
     }
 
-    // Common harmonic motion rules: from degree → to degree → bonus
-    const MOTION_RULES = [
-        // V → I (authentic cadence)
-        { from: 4, to: 0, bonus: 0.35 },
-        // IV → V (pre-dominant → dominant)
-        { from: 3, to: 4, bonus: 0.25 },
-        // I → IV (plagal motion)
-        { from: 0, to: 3, bonus: 0.2 },
-        // I → V (tonic → dominant)
-        { from: 0, to: 4, bonus: 0.2 },
-        // vi → IV (common pop progression)
-        { from: 5, to: 3, bonus: 0.2 },
-        // V → vi (deceptive cadence)
-        { from: 4, to: 5, bonus: 0.15 },
-        // ii → V (jazz ii-V)
-        { from: 1, to: 4, bonus: 0.25 },
-        // I → vi (relative minor)
-        { from: 0, to: 5, bonus: 0.15 },
-        // IV → I (plagal cadence)
-        { from: 3, to: 0, bonus: 0.3 },
-        // iii → vi (mediant motion)
-        { from: 2, to: 5, bonus: 0.1 },
-        // vi → ii (descending fifths)
-        { from: 5, to: 1, bonus: 0.15 }
-    ];
+    // Repeating the last chord is deprioritized (still appears as option), chords already
+    // in recent history a little
+    const penalties = candidate => {
+        const same = parsed => parsed && candidate.rootPC === parsed.rootPC &&
+            (candidate.quality === parsed.quality || (candidate.degree !== undefined && isDiatonic(parsed)));
+        let penalty = same(parsedLast) ? style.repeatPenalty : 0;
+        for (const histChord of recentHistory) {
+            if (same(parseChordOrKey(histChord))) penalty += style.historyPenalty;
+        }
+        return penalty;
+    };
 
-    // Score each diatonic chord
+    // Score each diatonic chord: the style's degree weights and motion rules (from degree → to degree)
     const scored = diatonic.map(candidate => {
-        let score = candidate.degree === 0 ? 0.5 :
-            candidate.degree === 4 ? 0.4 :
-                candidate.degree === 3 ? 0.35 :
-                    candidate.degree === 5 ? 0.3 : 0.2;
+        let score = style.degreeWeights[candidate.degree];
 
-        // Apply motion rules from last chord
-        if (lastDegree >= 0) {
-            for (const rule of MOTION_RULES) {
-                if (rule.from === lastDegree && rule.to === candidate.degree) {
-                    score += rule.bonus;
-                    break;
-                }
-            }
-        }
+        // Secondary dominants, the Neapolitan and augmented sixths resolve like V → I
+        if (resolvesTo === candidate.degree) score += style.resolutionBonus;
 
-        // Mild deprioritization for repeating the last chord (still appears as option)
-        if (parsedLast && candidate.rootPC === parsedLast.rootPC && candidate.quality === parsedLast.quality) {
-            score -= 0.35;
+        if (lastDegree >= 0) {
+            const rule = style.motionRules.find(r => r.from === lastDegree && r.to === candidate.degree);
+            if (rule) score += rule.bonus;
         }
 
-        // Small penalty for chords already in recent history
-        for (const histChord of recentHistory) {
-            const parsed = parseChordOrKey(histChord);
-            if (parsed && candidate.rootPC === parsed.rootPC && candidate.quality === parsed.quality) {
-                score -= 0.1;
-            }
-        }
+        score -= penalties(candidate);
 
         return {
             name: candidate.name,
@@ -462,24 +593,21 @@ function suggestNextChords(chordHistory, key, memoryLength = 3) {
         };
     });
 
-    // Voice Leading Optimization
-    if (parsedLast) {
-        const prevMeta = getChordMetadata(lastChord, 4);
-        if (prevMeta && prevMeta.midiNotes) {
-            scored.forEach(s => {
-                const nextMeta = getChordMetadata(s.name, 4);
-                if (nextMeta && nextMeta.midiNotes) {
-                    const cost = calculateVoiceLeadingCost(prevMeta.midiNotes, nextMeta.midiNotes);
-                    s.voiceCost = cost;
-                    // Penalize high movement cost
-                    s.confidence -= (cost * 0.05);
-                    // Clamping
-                    s.confidence = Math.max(0, Math.min(1, s.confidence));
-                }
-            });
+    // Secondary dominants and the Neapolitan, as often as the style uses them
+    if (style.chromatic > 0) {
+        for (const chromatic of suggestChromaticChords(key, lastChord)) {
+            const parsed = parseChordOrKey(chromatic.name);
+            const score = chromatic.confidence * style.chromatic - penalties(parsed);
+            scored.push({ name: chromatic.name, function: chromatic.function, confidence: Math.max(0, Math.min(1, score)) });
         }
     }
 
+    // The user's own habits (trained model)
+    if (options.model) blendLearnedScores(scored, recentHistory, key, options.model);
+
+    // Voice Leading Optimization
+    if (parsedLast) applyVoiceLeading(scored, lastChord, style.voiceLeadingWeight);
+
     // Sort by confidence descending, take top 2–5
     scored.sort((a, b) => b.confidence - a.confidence);
     return scored.filter(s => s.confidence > 0).slice(0, 5);
@@ -488,23 +616,42 @@ function suggestNextChords(chordHistory, key, memoryLength = 3) {
 /**
  * Get chord metadata: note names, MIDI numbers, and piano fingering.
  *
- * @param {string} chordName - e.g. "C Major", "A Minor"
+ * @param {string} chordName - e.g. "C Major", "A Minor", "C Major/E"
  * @param {number} [octave=4] - base octave for MIDI numbers
- * @returns {{ noteNames: string[], midiNotes: number[], fingering: number[] } | null}
+ * @returns {{ noteNames: string[], midiNotes: number[], fingering: number[], rootNote: number } | null}
  */
 function getChordMetadata(chordName, octave = 4) {
     const parsed = parseChordOrKey(chordName);
     if (!parsed) return null;
 
-    const intervals = getIntervalsForQuality(parsed.quality);
+    // Modifiers are already applied ("C Sus4 add2" → [0, 2, 5, 7])
+    const intervals = parsed.intervals;
     if (!intervals) return null;
 
     const baseNote = parsed.rootPC + (octave + 1) * 12; // MIDI: C4 = 60
 
-    const midiNotes = intervals.map(i => baseNote + i);
-    const noteNames = midiNotes.map(n => NOTE_NAMES[n % 12]);
+    let midiNotes = intervals.map(i => baseNote + i);
+
+    // Slash chords: voice the bass as the lowest note
+    if (parsed.bass && parsed.bassPC !== parsed.rootPC) {
+        const bassNote = midiNotes.find(n => n % 12 === parsed.bassPC);
+        if (bassNote !== undefined) {
+            // Inversion: lift the chord tones below the bass up an octave
+            midiNotes = midiNotes.map(n => n < bassNote ? n + 12 : n).sort((a, b) => a - b);
+        } else {
+            // Non-chord-tone bass: place it below the root
+            const bassInterval = (parsed.bassPC - parsed.rootPC + 12) % 12;
+            midiNotes = [baseNote + bassInterval - 12, ...midiNotes];
+        }
+    }
 
-    // RH piano fingering (root-position assumption)
+    // Chord tones are spelled from the root ("Bb Major" → Bb D F, "C Dom7" → C E G Bb)
+    const toneNames = {};
+    intervals.forEach(i => { toneNames[(parsed.rootPC + i) % 12] = spellChordTone(parsed.root, i, parsed.quality); });
+    if (parsed.bass && toneNames[parsed.bassPC] === undefined) toneNames[parsed.bassPC] = parsed.bass;
+    const noteNames = midiNotes.map(n => toneNames[n % 12]);
+
+    // RH piano fingering
     const FINGERING_MAP = {
         3: [1, 3, 5],
         4: [1, 2, 3, 5],
@@ -512,7 +659,9 @@ function getChordMetadata(chordName, octave = 4) {
     };
     const fingering = FINGERING_MAP[midiNotes.length] || midiNotes.map((_, i) => i + 1);
 
-    return { noteNames, midiNotes, fingering };
+    const rootNote = midiNotes.find(n => n % 12 === parsed.rootPC);
+
+    return { noteNames, midiNotes, fingering, rootNote };
 }
 
 /**
@@ -577,7 +726,7 @@ function applyExtension(baseChord, extensionType) {
         if (!modifiers.includes(extensionType)) {
             modifiers.push(extensionType);
         }
-        return `${parsed.root} ${modifiers.join(' ')}`;
+        return withBass(`${parsed.root} ${modifiers.join(' ')}`, parsed);
     }
 
     // Original tonal extension logic
@@ -591,12 +740,14 @@ function applyExtension(baseChord, extensionType) {
     const allowed = VALID_EXTENSIONS[parsed.quality];
     if (!allowed || !allowed.includes(extensionType)) {
         const knownQualities = ['Maj7', 'Dom7', 'Min7', 'MinMaj7', 'm7b5 (Half-Dim)', 'Dim7',
-            'Sus4', 'Sus2', '7sus4', 'Maj6', 'Min6', 'Add9', 'mAdd9',
+            'Sus4', 'Sus2', '7sus4', 'Maj6', 'Min6', 'Add9', 'mAdd9', 'Maj6/9',
+            'Dom9', 'Maj9', 'Min9', '9sus4', 'Dom11', 'Min11', 'Dom13', '13sus4',
+            '7b9', '7#9', '7#11',
             'Major', 'Minor', 'Diminished', 'Augmented', '5'];
         if (!knownQualities.includes(extensionType)) return null;
     }
 
-    return `${parsed.root} ${extensionType}`;
+    return withBass(`${parsed.root} ${extensionType}`, parsed);
 }
 
 module.exports = {
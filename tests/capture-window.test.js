@@ -0,0 +1,58 @@
+const CaptureWindow = require('../src/capture-window');
+const { analyzeChord } = require('../src/harmonic-analyzer');
+
+describe('Capture Window', () => {
+
+    test('off by default: only held notes are returned', () => {
+        const capture = new CaptureWindow();
+        capture.addOnset(60, 0);
+        expect(capture.isEnabled()).toBe(false);
+        expect(capture.getNotes([64], 10)).toEqual([64]);
+    });
+
+    test('arpeggio within the window analyzes as one chord', () => {
+        const capture = new CaptureWindow({ mode: 'time', windowMs: 400 });
+        // C E G B played one at a time, each released before the next
+        [60, 64, 67, 71].forEach((note, i) => capture.addOnset(note, i * 100));
+        const notes = capture.getNotes([], 350);
+        expect(notes).toEqual([60, 64, 67, 71]);
+        expect(analyzeChord(notes).name).toBe('C Maj7');
+    });
+
+    test('Alberti bass (C G E G) is a C major triad', () => {
+        const capture = new CaptureWindow({ mode: 'time', windowMs: 500 });
+        [48, 55, 52, 55].forEach((note, i) => capture.addOnset(note, i * 120));
+        expect(analyzeChord(capture.getNotes([], 400)).name).toBe('C Major');
+    });
+
+    test('onsets older than the window drop out', () => {
+        const capture = new CaptureWindow({ mode: 'time', windowMs: 200 });
+        capture.addOnset(60, 0);
+        capture.addOnset(64, 150);
+        expect(capture.getNotes([], 250)).toEqual([64]);
+        expect(capture.getNotes([], 400)).toEqual([]);
+    });
+
+    test('held notes are merged with the window', () => {
+        const capture = new CaptureWindow({ mode: 'time', windowMs: 200 });
+        capture.addOnset(64, 0);
+        capture.addOnset(67, 50);
+        expect(capture.getNotes([48, 67], 100)).toEqual([48, 64, 67]);
+    });
+
+    test('beats mode follows the tempo', () => {
+        const capture = new CaptureWindow({ mode: 'beats', beats: 2, bpm: 120 });
+        expect(capture.getWindowMs()).toBe(1000);
+        capture.configure({ bpm: 60 });
+        expect(capture.getWindowMs()).toBe(2000);
+    });
+
+    test('turning it off clears the window and invalid options are ignored', () => {
+        const capture = new CaptureWindow({ mode: 'time', windowMs: 300 });
+        capture.addOnset(60, 0);
+        capture.configure({ windowMs: -5, mode: 'bogus' });
+        expect(capture.getWindowMs()).toBe(300);
+        capture.configure({ mode: 'off' });
+        expect(capture.getNotes([], 10)).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+const { parseChordSymbol, formatChordSymbol, spellChordName } = require('../src/chord-symbol');
+
+describe('Chord Symbols', () => {
+
+    describe('Parsing lead-sheet notation', () => {
+        test.each([
+            ['Cmaj7', 'C', 'Maj7', [0, 4, 7, 11]],
+            ['F#m7b5', 'F#', 'm7b5 (Half-Dim)', [0, 3, 6, 10]],
+            ['Bb7(#11)', 'Bb', '7#11', [0, 4, 7, 10, 18]],
+            ['C6/9', 'C', 'Maj6/9', [0, 4, 7, 9, 14]],
+            ['Dsus2', 'D', 'Sus2', [0, 2, 7]],
+            ['Ebm', 'Eb', 'Minor', [0, 3, 7]],
+            ['C', 'C', 'Major', [0, 4, 7]],
+            ['CΔ7', 'C', 'Maj7', [0, 4, 7, 11]],
+            ['C-7', 'C', 'Min7', [0, 3, 7, 10]],
+            ['Cø7', 'C', 'm7b5 (Half-Dim)', [0, 3, 6, 10]],
+            ['G13', 'G', 'Dom13', [0, 4, 7, 10, 14, 21]]
+        ])('%s → %s %s', (symbol, root, quality, intervals) => {
+            const chord = parseChordSymbol(symbol);
+            expect(chord.root).toBe(root);
+            expect(chord.quality).toBe(quality);
+            expect(chord.intervals).toEqual(intervals);
+            expect(chord.bass).toBeNull();
+        });
+
+        test('slash bass, but not the 9 of a 6/9', () => {
+            const chord = parseChordSymbol('G/B');
+            expect(chord.quality).toBe('Major');
+            expect(chord.bass).toBe('B');
+            expect(chord.bassPC).toBe(11);
+
+            expect(parseChordSymbol('C6/9').bass).toBeNull();
+            expect(parseChordSymbol('C6/9/E').bass).toBe('E');
+        });
+
+        test('modifiers after the quality', () => {
+            const chord = parseChordSymbol('Csus4(add2)');
+            expect(chord.quality).toBe('Sus4 add2');
+            expect(chord.modifiers).toEqual(['add2']);
+            expect(chord.intervals).toEqual([0, 2, 5, 7]);
+        });
+
+        test('unicode accidentals come back as ASCII', () => {
+            expect(parseChordSymbol('E♭m7').root).toBe('Eb');
+            expect(parseChordSymbol('F♯/A♯').bass).toBe('A#');
+        });
+
+        test('rejects unknown symbols', () => {
+            expect(parseChordSymbol('Cfoo')).toBeNull();
+            expect(parseChordSymbol('H7')).toBeNull();
+            expect(parseChordSymbol('')).toBeNull();
+            expect(parseChordSymbol(null)).toBeNull();
+        });
+    });
+
+    describe('Parsing verbose names', () => {
+        test('app chord names', () => {
+            expect(parseChordSymbol('F# m7b5 (Half-Dim)').quality).toBe('m7b5 (Half-Dim)');
+            expect(parseChordSymbol('C Major/E')).toMatchObject({ quality: 'Major', bass: 'E', bassPC: 4 });
+            expect(parseChordSymbol('C Maj6/9')).toMatchObject({ quality: 'Maj6/9', bass: null });
+            expect(parseChordSymbol('C Sus4 add2').intervals).toEqual([0, 2, 5, 7]);
+        });
+
+        test('keys and scales parse without intervals', () => {
+            expect(parseChordSymbol('C Blues Minor')).toMatchObject({ root: 'C', quality: 'Blues Minor', intervals: null });
+            expect(parseChordSymbol('A Minor').quality).toBe('Minor');
+        });
+    });
+
+    describe('Formatting', () => {
+        test.each([
+            ['C Maj7', 'C Maj7', 'Cmaj7', 'CΔ7'],
+            ['F# m7b5 (Half-Dim)', 'F# m7b5 (Half-Dim)', 'F#m7b5', 'F#ø7'],
+            ['A Minor', 'A Minor', 'Am', 'A-'],
+            ['C Dim7', 'C Dim7', 'Cdim7', 'C°7'],
+            ['Bb 7#11', 'Bb 7#11', 'Bb7#11', 'Bb7(#11)'],
+            ['C Major/E', 'C Major/E', 'C/E', 'C/E'],
+            ['C Sus4 add2', 'C Sus4 add2', 'Csus4(add2)', 'Csus4(add2)']
+        ])('%s → verbose / pop / jazz', (name, verbose, pop, jazz) => {
+            expect(formatChordSymbol(name, 'verbose')).toBe(verbose);
+            expect(formatChordSymbol(name, 'pop')).toBe(pop);
+            expect(formatChordSymbol(name, 'jazz')).toBe(jazz);
+        });
+
+        test('round-trips lead-sheet symbols to the app names', () => {
+            expect(formatChordSymbol(parseChordSymbol('Bb7(#11)'))).toBe('Bb 7#11');
+            expect(formatChordSymbol(parseChordSymbol('G/B'))).toBe('G Major/B');
+            expect(formatChordSymbol(parseChordSymbol(formatChordSymbol('F# m7b5 (Half-Dim)', 'jazz'))))
+                .toBe('F# m7b5 (Half-Dim)');
+        });
+
+        test('keys and unknown input', () => {
+            expect(formatChordSymbol('C Dorian', 'jazz')).toBe('C Dorian');
+            expect(formatChordSymbol('nonsense', 'pop')).toBeNull();
+        });
+    });
+
+    describe('spellChordName', () => {
+        test('respells root and bass in a key', () => {
+            expect(spellChordName('A# Major/D', 'F Major')).toBe('Bb Major/D');
+            expect(spellChordName('D# Minor', 'Eb Minor')).toBe('Eb Minor');
+            expect(spellChordName('C Maj6/9', 'F Major')).toBe('C Maj6/9');
+            expect(spellChordName('A#maj7', 'F Major', 'pop')).toBe('Bbmaj7');
+        });
+    });
+});
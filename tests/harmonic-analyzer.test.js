@@ -1,4 +1,4 @@
-const { detectChord } = require('../src/harmonic-analyzer');
+const { detectChord, analyzeChord, analyzeChordCandidates, matchPartialChords, analyzeDyad } = require('../src/harmonic-analyzer');
 
 describe('HarmonicAnalyzer', () => {
     // Helper to log what we are testing (optional, jest does this well)
@@ -85,4 +85,263 @@ describe('HarmonicAnalyzer', () => {
             expect(detectChord([67, 60, 64])).toBe('C Major');
         });
     });
+
+    describe('Inversions and Slash Chords', () => {
+        test('root position has inversion 0 and no slash', () => {
+            const result = analyzeChord([60, 64, 67]);
+            expect(result.name).toBe('C Major');
+            expect(result.slashName).toBe('C Major');
+            expect(result.bass).toBe('C');
+            expect(result.inversion).toBe(0);
+        });
+
+        test('1st inversion reports E in the bass', () => {
+            // E4, G4, C5 -> 64, 67, 72
+            const result = analyzeChord([64, 67, 72]);
+            expect(result.root).toBe('C');
+            expect(result.quality).toBe('Major');
+            expect(result.bass).toBe('E');
+            expect(result.inversion).toBe(1);
+            expect(result.slashName).toBe('C Major/E');
+        });
+
+        test('2nd inversion reports G in the bass', () => {
+            const result = analyzeChord([55, 60, 64]);
+            expect(result.inversion).toBe(2);
+            expect(result.slashName).toBe('C Major/G');
+        });
+
+        test('3rd inversion of a 7th chord', () => {
+            // F3, G3, B3, D4 -> G Dom7 over F
+            const result = analyzeChord([53, 55, 59, 62]);
+            expect(result.name).toBe('G Dom7');
+            expect(result.inversion).toBe(3);
+            expect(result.slashName).toBe('G Dom7/F');
+        });
+
+        test('prefers the bass as root when a pitch set has two names', () => {
+            // A3, C4, E4, G4 -> A Min7 (not C Maj6/A)
+            expect(analyzeChord([57, 60, 64, 67]).slashName).toBe('A Min7');
+            // C4, E4, G4, A4 -> C Maj6
+            expect(analyzeChord([60, 64, 67, 69]).slashName).toBe('C Maj6');
+        });
+
+        test('returns null when no chord matches', () => {
+            expect(analyzeChord([60, 61])).toBeNull();
+            expect(analyzeChord([60, 61, 62])).toBeNull();
+        });
+    });
+
+    describe('Extended Chords (compound intervals)', () => {
+        test('detects Add9 from a close voicing', () => {
+            // C4, D4, E4, G4 -> 9th folded into the octave
+            expect(detectChord([60, 62, 64, 67])).toBe('C Add9');
+        });
+
+        test('detects Add9 and mAdd9 from open voicings', () => {
+            // C3, E3, G3, D4
+            expect(detectChord([48, 52, 55, 62])).toBe('C Add9');
+            // A2, C3, E3, B3
+            expect(detectChord([45, 48, 52, 59])).toBe('A mAdd9');
+        });
+
+        test('detects 9ths, 11ths and 13ths', () => {
+            // G2, B2, D3, F3, A3
+            expect(detectChord([43, 47, 50, 53, 57])).toBe('G Dom9');
+            // D3, F3, A3, C4, E4, G4
+            expect(detectChord([50, 53, 57, 60, 64, 67])).toBe('D Min11');
+            // G2, B2, D3, F3, A3, E4
+            expect(detectChord([43, 47, 50, 53, 57, 64])).toBe('G Dom13');
+            // C3, E3, G3, B3, D4
+            expect(detectChord([48, 52, 55, 59, 62])).toBe('C Maj9');
+        });
+
+        test('detects 6/9, sus and altered dominants', () => {
+            expect(detectChord([48, 52, 55, 57, 62])).toBe('C Maj6/9');
+            expect(detectChord([43, 48, 50, 53, 57, 64])).toBe('G 13sus4');
+            expect(detectChord([43, 47, 53, 56])).toBeNull(); // no fifth, no root-position 7b9
+            expect(detectChord([43, 47, 50, 53, 56])).toBe('G 7b9');
+            expect(detectChord([43, 47, 50, 53, 58])).toBe('G 7#9');
+            expect(detectChord([48, 52, 55, 58, 66])).toBe('C 7#11');
+        });
+
+        test('reports compound intervals and inversion for extensions', () => {
+            const result = analyzeChord([50, 60, 64, 67]); // D bass under C E G
+            expect(result.name).toBe('C Add9');
+            expect(result.intervals).toEqual([0, 4, 7, 14]);
+            expect(result.inversion).toBe(3);
+            expect(result.slashName).toBe('C Add9/D');
+        });
+    });
+
+    describe('Ranked Candidates', () => {
+        test('returns every reading of an ambiguous set', () => {
+            // C4, E4, G4, A4 -> C Maj6 or A Min7
+            const names = analyzeChordCandidates([60, 64, 67, 69]).map(c => c.name);
+            expect(names).toEqual(expect.arrayContaining(['C Maj6', 'A Min7']));
+        });
+
+        test('bass note decides between C6 and Am7', () => {
+            expect(analyzeChordCandidates([60, 64, 67, 69])[0].name).toBe('C Maj6');
+            expect(analyzeChordCandidates([57, 60, 64, 67])[0].name).toBe('A Min7');
+        });
+
+        test('Dim7 has four roots, key context picks the leading tone', () => {
+            const notes = [62, 65, 68, 71]; // D F G# B
+            const noKey = analyzeChordCandidates(notes);
+            expect(noKey).toHaveLength(4);
+            expect(noKey[0].name).toBe('D Dim7'); // bass wins with no key
+
+            const inA = analyzeChordCandidates(notes, { key: 'A Minor' });
+            const gSharp = inA.find(c => c.name === 'G# Dim7');
+            const f = inA.find(c => c.name === 'F Dim7');
+            const b = inA.find(c => c.name === 'B Dim7');
+            expect(gSharp.confidence).toBeGreaterThan(f.confidence);
+            expect(gSharp.confidence).toBeGreaterThan(b.confidence);
+        });
+
+        test('chord history favours the reading already in use', () => {
+            // C Sus2 (C D G) == G Sus4 over C; after G Sus4 the G reading gains ground
+            const notes = [67, 72, 74]; // G C D, G bass → G Sus4
+            const plain = analyzeChordCandidates(notes, {});
+            const withHistory = analyzeChordCandidates(notes, { history: ['G Sus4'] });
+            const g1 = plain.find(c => c.name === 'G Sus4').confidence;
+            const g2 = withHistory.find(c => c.name === 'G Sus4').confidence;
+            expect(g2).toBeGreaterThan(g1);
+        });
+
+        test('confidences are sorted and within 0-1', () => {
+            const candidates = analyzeChordCandidates([60, 64, 67, 69], { key: 'C Major', history: ['F Major'] });
+            for (let i = 0; i < candidates.length; i++) {
+                expect(candidates[i].confidence).toBeGreaterThanOrEqual(0);
+                expect(candidates[i].confidence).toBeLessThanOrEqual(1);
+                if (i > 0) expect(candidates[i].confidence).toBeLessThanOrEqual(candidates[i - 1].confidence);
+            }
+        });
+
+        test('returns empty array when nothing matches', () => {
+            expect(analyzeChordCandidates([60, 61, 62])).toEqual([]);
+            expect(analyzeChordCandidates(null)).toEqual([]);
+        });
+    });
+
+    describe('Partial Matching (shell / rootless / no-fifth)', () => {
+        test('shell voicing R-3-7 reads as a 7th chord without its fifth', () => {
+            // C3, E3, B3
+            const top = matchPartialChords([48, 52, 59])[0];
+            expect(top.name).toBe('C Maj7');
+            expect(top.impliedTones).toEqual(['G']);
+            expect(top.playedTones).toEqual(['C', 'E', 'B']);
+            expect(top.partial).toBe(true);
+        });
+
+        test('rootless 3-5-7-9 voicing implies the root from the key', () => {
+            // F3, A3, C4, E4 in C Major: D Min9 without the D (also an exact F Maj7)
+            const candidates = matchPartialChords([53, 57, 60, 64], { key: 'C Major' });
+            const dMin9 = candidates.find(c => c.name === 'D Min9');
+            expect(dMin9).toBeDefined();
+            expect(dMin9.impliedTones).toEqual(['D']);
+        });
+
+        test('rootless readings are not reported as inversions', () => {
+            // E3, G3, B3, D4: C Maj9 without its C
+            const cMaj9 = matchPartialChords([52, 55, 59, 62]).find(c => c.name === 'C Maj9');
+            expect(cMaj9).toMatchObject({ slashName: 'C Maj9', inversion: null, impliedTones: ['C'] });
+            // A shell keeps its root and its inversion
+            expect(matchPartialChords([52, 60, 71])[0]).toMatchObject({ name: 'C Maj7', slashName: 'C Maj7/E', inversion: 1 });
+        });
+
+        test('an external bass note promotes the rootless reading', () => {
+            // E3, G3, A#3, D4 → C Dom9 rootless (exactly E m7b5)
+            const notes = [52, 55, 58, 62];
+            const plain = analyzeChordCandidates(notes, { partial: true });
+            expect(plain[0].name).toBe('E m7b5 (Half-Dim)');
+
+            const withBass = matchPartialChords(notes, { bass: 36 }); // C2
+            expect(withBass[0].name).toBe('C Dom9');
+            expect(withBass[0].impliedTones).toEqual(['C']);
+        });
+
+        test('rejects foreign notes and missing guide tones', () => {
+            // C E F#: F# is not in any C chord with only root/fifth omitted
+            expect(matchPartialChords([60, 64, 66]).find(c => c.root === 'C')).toBeUndefined();
+            // Two pitch classes that are not a 3rd and 7th
+            expect(matchPartialChords([60, 64])).toEqual([]);
+        });
+
+        test('two-note guide-tone shells need a root from the bass, key or history', () => {
+            // E3 + Bb3: no context, no reading
+            expect(matchPartialChords([52, 58])).toEqual([]);
+            expect(analyzeChordCandidates([52, 58], { partial: true })).toEqual([]);
+
+            const withBass = matchPartialChords([52, 58], { bass: 36 }); // C2
+            expect(withBass[0]).toMatchObject({ name: 'C Dom7', slashName: 'C Dom7', inversion: null });
+            expect(withBass[0].impliedTones).toEqual(['C', 'G']);
+
+            expect(matchPartialChords([53, 60], { key: 'C Major' }).map(c => c.name)).toEqual(['D Min7']);
+            expect(matchPartialChords([52, 59], { key: 'C Major' }).map(c => c.name)).toEqual(['C Maj7']);
+            // Dm7 → G7: F + B after a chord a fifth above
+            expect(analyzeChordCandidates([53, 59], { partial: true, history: ['D Min7'] })[0].name).toBe('G Dom7');
+        });
+
+        test('partial confidences stay below a confident exact reading', () => {
+            const candidates = analyzeChordCandidates([60, 64, 67, 71], { partial: true });
+            expect(candidates[0].name).toBe('C Maj7');
+            expect(candidates[0].partial).toBeUndefined();
+            candidates.filter(c => c.partial).forEach(c => {
+                expect(c.confidence).toBeLessThanOrEqual(0.75);
+            });
+        });
+    });
+
+    describe('Dyads', () => {
+        test('fifth and fourth read as power chords', () => {
+            expect(analyzeDyad([40, 47])[0].slashName).toBe('E 5');
+            // G2 + C3: fourth = inverted C5
+            expect(analyzeDyad([43, 48])[0].slashName).toBe('C 5/G');
+            expect(analyzeDyad([40, 47, 52])[0].name).toBe('E 5'); // octave doubling allowed
+        });
+
+        test('thirds and sixths imply triads, key decides', () => {
+            // C4 + E4 without a key: C Major over its root
+            expect(analyzeDyad([60, 64])[0].name).toBe('C Major');
+            // E4 + C5 (minor sixth): C Major/E
+            expect(analyzeDyad([64, 72])[0].slashName).toBe('C Major/E');
+
+            // A3 + C4 in F Major: A Minor or F Major, both diatonic
+            const inF = analyzeDyad([57, 60], { key: 'F Major' }); // A + C
+            expect(inF.map(c => c.name)).toEqual(expect.arrayContaining(['A Minor', 'F Major']));
+            expect(inF[0].impliedTones.length).toBe(1);
+        });
+
+        test('tritone implies a dominant 7th, the key picks the spelling', () => {
+            // B3 + F4 → G7 (B = 3rd, F = 7th) or C#7 (F = 3rd, B = 7th)
+            const plain = analyzeDyad([59, 65]).map(c => c.name);
+            expect(plain).toEqual(expect.arrayContaining(['G Dom7', 'C# Dom7']));
+
+            const inC = analyzeDyad([59, 65], { key: 'C Major' });
+            expect(inC[0].name).toBe('G Dom7');
+            expect(inC[0].impliedTones).toEqual(['G', 'D']);
+            expect(inC[0].dyad).toBe(true);
+        });
+
+        test('seconds, sevenths and non-dyads return empty', () => {
+            expect(analyzeDyad([60, 62])).toEqual([]);
+            expect(analyzeDyad([60, 71])).toEqual([]);
+            expect(analyzeDyad([60])).toEqual([]);
+            expect(analyzeDyad([60, 64, 67])).toEqual([]);
+        });
+    });
+
+    describe('Key-Aware Spelling', () => {
+        test('spells roots and basses in the current key', () => {
+            const [top] = analyzeChordCandidates([62, 70, 65], { key: 'F Major' }); // D Bb F
+            expect(top.name).toBe('Bb Major');
+            expect(top.slashName).toBe('Bb Major/D');
+        });
+
+        test('falls back to sharps without a key', () => {
+            expect(detectChord([58, 62, 65])).toBe('A# Major');
+        });
+    });
 });
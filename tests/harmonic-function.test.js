@@ -0,0 +1,95 @@
+const { analyzeHarmonicFunction, suggestChromaticChords } = require('../src/harmonic-function');
+const { suggestNextChords } = require('../src/suggestion-engine');
+const { getStyle } = require('../src/style-profiles');
+const { suggestModalInterchange } = require('../src/modal-context');
+
+const label = (chord, key, next) => analyzeHarmonicFunction(chord, key, { next }).label;
+
+describe('Harmonic Function', () => {
+
+    test('diatonic chords keep their numerals, with seventh and quality marks', () => {
+        expect(label('C Major', 'C Major')).toBe('I');
+        expect(label('D Min7', 'C Major')).toBe('ii7');
+        expect(label('G Dom7', 'C Major')).toBe('V7');
+        expect(label('Fmaj7', 'C Major')).toBe('IVmaj7');
+        expect(label('B m7b5 (Half-Dim)', 'C Major')).toBe('viiø7');
+        // Harmonic minor: V and vii° are diatonic, III+ is not
+        expect(analyzeHarmonicFunction('E Major', 'A Minor')).toMatchObject({ label: 'V', type: 'diatonic' });
+        expect(label('G# Dim7', 'A Minor')).toBe('vii°7');
+        expect(analyzeHarmonicFunction('C Augmented', 'A Minor').type).toBe('chromatic');
+    });
+
+    test.each([
+        ['D Dom7', 'C Major', 'V7/V', 4],
+        ['E Major', 'C Major', 'V/vi', 5],
+        ['A7', 'C Major', 'V7/ii', 1],
+        ['C Dom7', 'C Major', 'V7/IV', 3],
+        ['F# Diminished', 'C Major', 'vii°/V', 4],
+        ['C# Dim7', 'C Major', 'vii°7/ii', 1],
+        ['B Dom7', 'A Minor', 'V7/V', 4],
+        ['A Dom7', 'A Minor', 'V7/iv', 3]
+    ])('%s in %s is %s', (chord, key, expected, target) => {
+        expect(analyzeHarmonicFunction(chord, key)).toMatchObject({ label: expected, type: 'secondary', target });
+    });
+
+    test('borrowed chords from the parallel key', () => {
+        expect(analyzeHarmonicFunction('F Minor', 'C Major')).toMatchObject({ label: 'iv', type: 'borrowed', degree: 3 });
+        expect(label('Ab Major', 'C Major')).toBe('bVI');
+        expect(label('Bb Major', 'C Major')).toBe('bVII');
+        expect(label('Eb Major', 'C Major')).toBe('bIII');
+        expect(label('A Major', 'A Minor')).toBe('I');  // Picardy third
+        expect(label('D Major', 'A Minor')).toBe('IV'); // Dorian IV
+        // The harmonic-minor vii°7 in major
+        expect(analyzeHarmonicFunction('B Dim7', 'C Major')).toMatchObject({ label: 'vii°7', type: 'borrowed', degree: 6 });
+    });
+
+    test('Neapolitan and augmented sixths resolve to V', () => {
+        expect(analyzeHarmonicFunction('Db Major/F', 'C Major')).toMatchObject({ label: 'N6', type: 'neapolitan', target: 4 });
+        expect(label('Bb Major', 'A Minor')).toBe('N');
+
+        expect(analyzeHarmonicFunction('Ab Dom7', 'C Major', { next: 'G Major' }))
+            .toMatchObject({ label: 'Ger+6', type: 'augmented-sixth', target: 4 });
+        // Same notes resolving to Db: a dominant of the Neapolitan
+        expect(label('Ab Dom7', 'C Major', 'Db Major')).toBe('V7/bII');
+    });
+
+    test('rejects unknown chords and keys without a 7-note scale', () => {
+        expect(analyzeHarmonicFunction('nonsense', 'C Major')).toBeNull();
+        expect(analyzeHarmonicFunction('C Major', 'C Pentatonic Major')).toBeNull();
+    });
+
+    test('chromatic suggestions carry their labels and skip the current chord', () => {
+        const suggestions = suggestChromaticChords('C Major', 'D Dom7');
+        expect(suggestions.map(s => s.name)).not.toContain('D Dom7');
+        expect(suggestions).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'E Dom7', function: 'V7/vi' }),
+            expect.objectContaining({ name: 'C Dom7', function: 'V7/IV' })
+        ]));
+        expect(suggestChromaticChords('A Minor')).toContainEqual(expect.objectContaining({ name: 'Bb Major', function: 'N' }));
+    });
+
+    test('borrowed chords moved to modal interchange keep their flat spelling', () => {
+        const borrowed = suggestModalInterchange('Ionian', 'Eb', 'Eb Major', { limit: 20 });
+        expect(borrowed).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'Cb Major', function: 'bVI (Aeolian)' }), // bVI spelled with flats
+            expect.objectContaining({ name: 'Ab Minor', function: 'iv (Aeolian)' })
+        ]));
+        expect(suggestChromaticChords('Eb Major').map(s => s.name)).toEqual(['F Dom7', 'G Dom7', 'C Dom7', 'Eb Dom7']);
+    });
+
+    test('chromatic suggestions are spelled in flat keys', () => {
+        const names = key => suggestChromaticChords(key).map(s => s.name);
+        expect(names('Db Major')).toEqual(['Eb Dom7', 'F Dom7', 'Bb Dom7', 'Db Dom7']);
+        expect(names('Gb Major')).toEqual(expect.arrayContaining(['Bb Dom7', 'Eb Dom7']));
+        // The Neapolitan on the lowered second letter
+        expect(names('Bb Minor')).toContain('Cb Major');
+        expect(names('Eb Minor')).toContain('Fb Major');
+        expect(suggestNextChords(['Db Major', 'Bb Minor'], 'Db Major', 3, { style: getStyle('jazz') }).map(s => s.name))
+            .toContain('Bb Dom7');
+    });
+
+    test('next-chord suggestions follow a secondary dominant to its target', () => {
+        expect(suggestNextChords(['C Major', 'D Dom7'], 'C Major')[0].name).toBe('G Major');
+        expect(suggestNextChords(['C Major', 'E Major'], 'C Major')[0].name).toBe('A Minor');
+    });
+});
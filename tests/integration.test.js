@@ -1,5 +1,5 @@
 const MidiManager = require('../src/midi-manager');
-const { detectChord } = require('../src/harmonic-analyzer');
+const { detectChord, analyzeChordCandidates } = require('../src/harmonic-analyzer');
 
 // Mock Web MIDI API
 const mockInput = {
@@ -82,4 +82,205 @@ describe('Integration: MIDI Input -> Harmonic Analysis', () => {
         sendMidiMessage(128, 60, 0);
         expect(midiManager.getActiveNotes()).toEqual([]);
     });
+
+    describe('Sustain and sostenuto pedals', () => {
+        const send = (status, data1, data2) => mockInput.onmidimessage({ data: [status, data1, data2] });
+
+        test('notes released under sustain keep sounding until the pedal lifts', () => {
+            const offs = [];
+            midiManager.on('note-off', e => offs.push(e));
+
+            [48, 52, 55].forEach(n => send(144, n, 100));
+            send(176, 64, 127); // Sustain down
+            [48, 52, 55].forEach(n => send(128, n, 0));
+
+            expect(midiManager.getActiveNotes()).toEqual([]);
+            expect(midiManager.getSoundingNotes()).toEqual([48, 52, 55]);
+            expect(detectChord(midiManager.getSoundingNotes())).toBe('C Major');
+            expect(offs.map(e => e.heldBy)).toEqual(['sustain', 'sustain', 'sustain']);
+
+            send(176, 64, 0); // Sustain up
+            expect(midiManager.getSoundingNotes()).toEqual([]);
+            expect(offs.slice(3)).toEqual([48, 52, 55].map(note =>
+                expect.objectContaining({ note, heldBy: null, releasedBy: 'sustain' })));
+        });
+
+        test('note-on reports the key and re-striking under the pedal', () => {
+            const ons = [];
+            midiManager.on('note-on', e => ons.push(e));
+
+            send(176, 64, 127);
+            send(144, 60, 100);
+            send(128, 60, 0);
+            send(144, 60, 90); // Re-struck while sustained
+            expect(ons.map(e => e.heldBy)).toEqual(['key', 'key']);
+
+            send(176, 64, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([60]); // Key still down
+        });
+
+        test('sostenuto holds only the keys down when it was pressed', () => {
+            send(144, 48, 100); // C3 held
+            send(176, 66, 127); // Sostenuto down
+            send(144, 64, 100); // E4 played after
+            send(128, 48, 0);
+            send(128, 64, 0);
+
+            expect(midiManager.getSoundingNotes()).toEqual([48]);
+            expect(midiManager.pedalNotes.get(48)).toBe('sostenuto');
+
+            send(176, 66, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([]);
+        });
+
+        test('lifting sustain keeps notes caught by sostenuto', () => {
+            send(144, 48, 100);
+            send(176, 66, 127); // Sostenuto catches C3
+            send(176, 64, 127); // Sustain down
+            send(144, 67, 100);
+            send(128, 48, 0);
+            send(128, 67, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([48, 67]);
+
+            send(176, 64, 0); // Sustain up: G4 ends, C3 stays
+            expect(midiManager.getSoundingNotes()).toEqual([48]);
+        });
+
+        test('changing input clears pedal state', () => {
+            send(176, 64, 127);
+            send(144, 60, 100);
+            send(128, 60, 0);
+            midiManager.setInput('mock-input-1');
+            expect(midiManager.getSoundingNotes()).toEqual([]);
+            expect(midiManager.sustainDown).toBe(false);
+        });
+    });
+
+    describe('Multiple inputs and channel routing', () => {
+        const mockPad = {
+            id: 'mock-input-2',
+            name: 'Mock Pad Controller',
+            state: 'connected',
+            onmidimessage: null
+        };
+
+        beforeAll(() => mockAccess.inputs.set('mock-input-2', mockPad));
+        afterAll(() => mockAccess.inputs.delete('mock-input-2'));
+
+        const send = (input, status, note, velocity) => input.onmidimessage({ data: [status, note, velocity] });
+
+        test('notes from two inputs are analyzed together', () => {
+            midiManager.addInput('mock-input-2');
+            expect(midiManager.getRoutes().map(r => r.id)).toEqual(['mock-input-1', 'mock-input-2']);
+
+            send(mockInput, 0x90, 48, 100); // C3 on the keyboard
+            send(mockPad, 0x90, 64, 100);   // E4 on the pad
+            send(mockPad, 0x90, 67, 100);   // G4 on the pad
+            expect(detectChord(midiManager.getActiveNotes())).toBe('C Major');
+        });
+
+        test('channel mask drops drums on channel 10', () => {
+            midiManager.addInput('mock-input-2', { channelMask: MidiManager.parseChannelList('1-9, 11-16') });
+            const spy = jest.fn();
+            midiManager.on('note-on', spy);
+
+            send(mockPad, 0x99, 36, 100); // Kick on channel 10
+            send(mockPad, 0x90, 60, 100); // Channel 1
+            expect(midiManager.getActiveNotes()).toEqual([60]);
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy).toHaveBeenCalledWith(expect.objectContaining({ note: 60, inputId: 'mock-input-2' }));
+        });
+
+        test('transpose applies per input and note-offs survive a transpose change', () => {
+            midiManager.addInput('mock-input-2', { transpose: 12 });
+            send(mockPad, 0x90, 60, 100);
+            expect(midiManager.getActiveNotes()).toEqual([72]);
+
+            midiManager.setInputRoute('mock-input-2', { transpose: -12 });
+            send(mockPad, 0x80, 60, 0);
+            expect(midiManager.getActiveNotes()).toEqual([]);
+        });
+
+        test('a note held on two inputs stays down until both release', () => {
+            midiManager.addInput('mock-input-2');
+            send(mockInput, 0x90, 60, 100);
+            send(mockPad, 0x90, 60, 100);
+            send(mockInput, 0x80, 60, 0);
+            expect(midiManager.getActiveNotes()).toEqual([60]);
+            send(mockPad, 0x80, 60, 0);
+            expect(midiManager.getActiveNotes()).toEqual([]);
+        });
+
+        test('a pedal holds only the notes of its own input and channel', () => {
+            midiManager.addInput('mock-input-2');
+            send(mockPad, 0xB0, 64, 127);   // Sustain down on the pad only
+            send(mockInput, 0x90, 48, 100); // Keyboard C3
+            send(mockPad, 0x90, 67, 100);   // Pad G4
+            send(mockInput, 0x80, 48, 0);
+            send(mockPad, 0x80, 67, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([67]);
+
+            // Another channel on the same input is not held either
+            send(mockPad, 0x91, 72, 100);
+            send(mockPad, 0x81, 72, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([67]);
+
+            send(mockInput, 0xB0, 64, 0);   // Keyboard pedal up: nothing to release
+            expect(midiManager.getSoundingNotes()).toEqual([67]);
+            send(mockPad, 0xB0, 64, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([]);
+        });
+
+        test('removing an input ends the notes its pedal held', () => {
+            midiManager.addInput('mock-input-2');
+            send(mockPad, 0xB0, 64, 127);
+            send(mockPad, 0x90, 60, 100);
+            send(mockPad, 0x80, 60, 0);
+            expect(midiManager.getSoundingNotes()).toEqual([60]);
+            midiManager.removeInput('mock-input-2');
+            expect(midiManager.getSoundingNotes()).toEqual([]);
+            expect(midiManager.sustainDown).toBe(false);
+        });
+
+        test('a bass route supplies the root instead of joining the chord', () => {
+            midiManager.addInput('mock-input-2', { bass: true });
+            expect(midiManager.getRoutes().find(r => r.id === 'mock-input-2').bass).toBe(true);
+
+            send(mockPad, 0x90, 36, 100);   // C2 on the bass pedals
+            send(mockInput, 0x90, 52, 100); // E3
+            send(mockInput, 0x90, 58, 100); // Bb3
+            expect(midiManager.getActiveNotes()).toEqual([52, 58]);
+            expect(midiManager.getBassNote()).toBe(36);
+            const candidates = analyzeChordCandidates(midiManager.getActiveNotes(), { partial: true, bass: midiManager.getBassNote() });
+            expect(candidates[0].name).toBe('C Dom7');
+
+            // Turning the role off mid-note still releases the bass key
+            midiManager.setInputRoute('mock-input-2', { bass: false });
+            send(mockPad, 0x80, 36, 0);
+            expect(midiManager.getBassNote()).toBeNull();
+            send(mockInput, 0x80, 52, 0);
+            send(mockInput, 0x80, 58, 0);
+        });
+
+        test('removing an input releases its keys; setInput routes a single input', () => {
+            midiManager.addInput('mock-input-2');
+            send(mockPad, 0x90, 62, 100);
+            midiManager.removeInput('mock-input-2');
+            expect(midiManager.getActiveNotes()).toEqual([]);
+            expect(mockPad.onmidimessage).toBeNull();
+
+            midiManager.addInput('mock-input-2');
+            midiManager.setInput('mock-input-1');
+            expect(midiManager.getRoutes().map(r => r.id)).toEqual(['mock-input-1']);
+            expect(midiManager.activeInput).toBe(mockInput);
+        });
+
+        test('channel lists parse and format', () => {
+            expect(MidiManager.parseChannelList('all')).toBe(MidiManager.ALL_CHANNELS);
+            expect(MidiManager.parseChannelList('1, 3-4')).toBe(0b1101);
+            expect(MidiManager.parseChannelList('0-3')).toBeNull();
+            expect(MidiManager.parseChannelList('drums')).toBeNull();
+            expect(MidiManager.formatChannelMask(MidiManager.ALL_CHANNELS & ~(1 << MidiManager.DRUM_CHANNEL))).toBe('1-9, 11-16');
+        });
+    });
 });
@@ -59,4 +59,148 @@ describe('KeyDetector', () => {
         const topKey = detector.detect()[0];
         expect(topKey.root).toBe('F#');
     });
+
+    test('accepts slash chords and keeps the bass', () => {
+        detector.addChord('C Major/E');
+        detector.addChord('F Major/A');
+        detector.addChord('G Dom7/B');
+        detector.addChord('C Major');
+
+        expect(detector.recentChords).toHaveLength(4);
+        expect(detector.recentChords[0].root).toBe(0);
+        expect(detector.recentChords[0].bass).toBe(4);
+        expect(detector.detect()[0].root).toBe('C');
+    });
+
+    test('parses flat chord names and spells flat keys', () => {
+        detector.addChord('Bb Major');
+        detector.addChord('Eb Major');
+        detector.addChord('F Dom7');
+        detector.addChord('Bb Major');
+
+        const topKey = detector.detect()[0];
+        expect(topKey.root).toBe('Bb');
+        expect(topKey.scale).toBe('Major');
+    });
+
+    test('separates relative major and minor with a confidence margin', () => {
+        detector.addChord('A Minor');
+        detector.addChord('D Minor');
+        detector.addChord('E Dom7');
+        detector.addChord('A Minor');
+
+        const { keys, confidence } = detector.analyze();
+        expect(`${keys[0].root} ${keys[0].scale}`).toBe('A Minor');
+        expect(keys[0].score).toBeGreaterThan(keys[1].score);
+        expect(keys[0].score).toBeLessThanOrEqual(1);
+        expect(confidence).toBeCloseTo(keys[0].score - keys[1].score, 10);
+        expect(confidence).toBeGreaterThan(0);
+    });
+
+    test('weights played notes by duration and velocity', () => {
+        // G and D ring long and loud; C and E are short, quiet passing notes
+        detector.noteOn(55, 120, 0); detector.noteOff(55, 3000);
+        detector.noteOn(62, 120, 0); detector.noteOff(62, 3000);
+        detector.noteOn(59, 110, 0); detector.noteOff(59, 2000);
+        detector.noteOn(60, 20, 3000); detector.noteOff(60, 3100);
+        detector.noteOn(64, 20, 3100); detector.noteOff(64, 3200);
+
+        const weights = detector.getPitchClassWeights(3200);
+        expect(weights[7]).toBeGreaterThan(weights[0] * 10);
+
+        const { keys } = detector.analyze(3200);
+        expect(`${keys[0].root} ${keys[0].scale}`).toBe('G Major');
+    });
+
+    test('notes still held count up to now', () => {
+        detector.noteOn(57, 100, 0); // A held
+        detector.noteOn(60, 100, 0);
+        detector.noteOn(64, 100, 0);
+        expect(detector.detect().length).toBeGreaterThan(0);
+        expect(detector.getPitchClassWeights(1000)[9]).toBeGreaterThan(0);
+
+        detector.reset();
+        expect(detector.detect()).toEqual([]);
+    });
+
+    describe('Melody lines', () => {
+        const playLine = (d, notes, start = 0, step = 300) => {
+            notes.forEach((note, i) => {
+                d.noteOn(note, 90, start + i * step);
+                d.noteOff(note, start + i * step + step - 20);
+            });
+            return start + notes.length * step;
+        };
+
+        test('a single-note scale run names its key without chords', () => {
+            // G A B C D E F# G
+            const end = playLine(detector, [67, 69, 71, 72, 74, 76, 78, 79]);
+            const { keys } = detector.analyze(end);
+            expect(`${keys[0].root} ${keys[0].scale}`).toBe('G Major');
+        });
+
+        test('waits for enough pitch classes before naming a key', () => {
+            const end = playLine(detector, [60, 62, 60]);
+            expect(detector.analyze(end).keys).toEqual([]);
+            playLine(detector, [64], end);
+            expect(detector.analyze(end + 300).keys.length).toBeGreaterThan(0);
+        });
+
+        test('leading tone resolving up weights the tonic', () => {
+            const lead = new KeyDetector();
+            const end = playLine(lead, [71, 72]); // B → C
+            const weights = lead.getPitchClassWeights(end);
+            expect(weights[0]).toBeGreaterThan(weights[11]);
+
+            // Same notes struck together are a chord, not a resolution
+            const chord = new KeyDetector();
+            chord.noteOn(71, 90, 0); chord.noteOn(72, 90, 10);
+            chord.noteOff(71, 300); chord.noteOff(72, 300);
+            const flat = chord.getPitchClassWeights(300);
+            expect(flat[0]).toBeCloseTo(flat[11], 1);
+        });
+
+        test('a bass line falling by fifths settles on its tonic', () => {
+            // Bass: A D G C with each arrival a fifth below
+            const end = playLine(detector, [45, 38, 43, 36, 43, 36], 0, 500);
+            const { keys } = detector.analyze(end);
+            expect(keys[0]).toMatchObject({ root: 'C', scale: 'Major' });
+        });
+    });
+
+    describe('Scale refinement', () => {
+        test('a mode on the profile tonic wins when its notes sound', () => {
+            ['D Min7', 'G Major', 'D Min7', 'G Major', 'D Min7'].forEach(c => detector.addChord(c));
+            expect(detector.detect()[0]).toMatchObject({ root: 'D', scale: 'Dorian' });
+
+            const mixolydian = new KeyDetector();
+            ['C Major', 'Bb Major', 'F Major', 'C Major'].forEach(c => mixolydian.addChord(c));
+            expect(mixolydian.detect()[0]).toMatchObject({ root: 'C', scale: 'Mixolydian' });
+        });
+
+        test('a pentatonic line names a pentatonic key once all five tones sound', () => {
+            [60, 62, 64, 67, 69, 67, 64, 62, 60].forEach((note, i) => {
+                detector.noteOn(note, 100, i * 500);
+                detector.noteOff(note, i * 500 + 400);
+            });
+            expect(detector.analyze(4500).keys[0]).toMatchObject({ root: 'C', scale: 'Pentatonic Major' });
+        });
+
+        test('borrowed chords do not refine to a melodic/harmonic-minor mode', () => {
+            ['C Major', 'Ab Major', 'Bb Major', 'C Major'].forEach(c => detector.addChord(c));
+            // The profile key, not C Mixolydian b6
+            expect(detector.detect()[0]).toMatchObject({ root: 'C', scale: 'Minor' });
+        });
+
+        test('harmonic-minor dominants stay in the minor key', () => {
+            ['A Minor', 'D Minor', 'E Dom7', 'A Minor'].forEach(c => detector.addChord(c));
+            expect(detector.detect()[0]).toMatchObject({ root: 'A', scale: 'Minor' });
+        });
+    });
+
+    test('Temperley profiles agree on a cadence', () => {
+        const temperley = new KeyDetector({ profile: 'temperley' });
+        ['F Major', 'G Dom7', 'C Major'].forEach(c => temperley.addChord(c));
+        expect(temperley.detect()[0]).toMatchObject({ root: 'C', scale: 'Major' });
+    });
 });
@@ -0,0 +1,138 @@
+const MidiClock = require('../src/midi-clock');
+const MidiManager = require('../src/midi-manager');
+
+// Send `count` clock ticks at a tempo, starting at `start` ms
+function sendTicks(target, count, bpm, start = 0) {
+    const interval = 60000 / (bpm * MidiClock.PPQN);
+    for (let i = 0; i < count; i++) {
+        target({ data: [0xF8], timeStamp: start + i * interval });
+    }
+    return start + count * interval;
+}
+
+describe('MIDI Clock', () => {
+
+    test('estimates tempo from clock ticks', () => {
+        const clock = new MidiClock();
+        const tempo = jest.fn();
+        clock.on('tempo', tempo);
+        sendTicks(msg => clock.handleMessage(msg.data, msg.timeStamp), 48, 124);
+        expect(clock.bpm).toBeCloseTo(124, 0);
+        expect(tempo).toHaveBeenCalledTimes(1);
+    });
+
+    test('start, beats and bar position', () => {
+        const clock = new MidiClock();
+        const beats = [];
+        clock.on('beat', position => beats.push(`${position.bar}.${position.beat}`));
+
+        clock.handleMessage([0xFA]);
+        expect(clock.running).toBe(true);
+        sendTicks(msg => clock.handleMessage(msg.data, msg.timeStamp), MidiClock.PPQN * 5, 120);
+        expect(beats).toEqual(['1.1', '1.2', '1.3', '1.4', '2.1']);
+    });
+
+    test('stop holds the position and continue resumes from it', () => {
+        const clock = new MidiClock();
+        const handle = msg => clock.handleMessage(msg.data, msg.timeStamp);
+        clock.handleMessage([0xFA]);
+        sendTicks(handle, MidiClock.PPQN * 2, 120);
+        clock.handleMessage([0xFC]);
+        sendTicks(handle, MidiClock.PPQN, 120, 2000);
+        expect(clock.getPosition().beatIndex).toBe(2);
+
+        clock.handleMessage([0xFB]);
+        expect(clock.running).toBe(true);
+        expect(clock.getPosition()).toMatchObject({ bar: 1, beat: 3 });
+    });
+
+    test('song position pointer sets the position in sixteenths', () => {
+        const clock = new MidiClock();
+        clock.handleMessage([0xF2, 20, 0]); // 20 sixteenths = bar 2, beat 2
+        expect(clock.getPosition()).toMatchObject({ beatIndex: 5, bar: 2, beat: 2, tick: 0 });
+        clock.handleMessage([0xF2, 0, 1]);  // 128 sixteenths = 32 beats
+        expect(clock.getPosition().beatIndex).toBe(32);
+    });
+
+    test('MidiManager forwards clock from routed inputs regardless of channel mask', async () => {
+        const input = { id: 'clock-in', name: 'DAW Loopback', state: 'connected', onmidimessage: null };
+        global.navigator = { requestMIDIAccess: jest.fn().mockResolvedValue({ inputs: new Map([['clock-in', input]]) }) };
+
+        const manager = new MidiManager();
+        await manager.init();
+        manager.addInput('clock-in', { channelMask: 0 });
+        input.onmidimessage({ data: [0xFA] });
+        sendTicks(input.onmidimessage, 48, 90);
+
+        expect(manager.clock.running).toBe(true);
+        expect(manager.clock.bpm).toBeCloseTo(90, 0);
+        expect(manager.getActiveNotes()).toEqual([]);
+    });
+
+    test('playProgression follows the clock: starts on a downbeat, changes chords on beats, stops with the transport', async () => {
+        const sent = [];
+        const output = { id: 'out-1', name: 'Synth', send: data => sent.push(data) };
+        global.navigator = { requestMIDIAccess: jest.fn().mockResolvedValue({ outputs: new Map([['out-1', output]]) }) };
+
+        const { initMidiOutput, setOutput, playProgression, stopPlayback } = require('../src/midi-output');
+        await initMidiOutput();
+        setOutput('out-1');
+
+        const clock = new MidiClock();
+        const handle = msg => clock.handleMessage(msg.data, msg.timeStamp);
+        const onComplete = jest.fn();
+        playProgression(['C Major', 'F Major'], 120, 2, 'Mid', onComplete, { clock });
+        expect(sent).toEqual([]); // Waits for the transport
+
+        clock.handleMessage([0xF2, 4, 0]); // Bar 1, beat 2: next downbeat is bar 2
+        clock.handleMessage([0xFB]);
+        let time = sendTicks(handle, MidiClock.PPQN * 3, 120);
+        expect(sent).toEqual([]);
+
+        time = sendTicks(handle, 1, 120, time); // Bar 2, beat 1
+        const noteOns = () => sent.filter(m => m[0] === 0x90).map(m => m[1]);
+        expect(noteOns()).toEqual([48, 52, 55]);
+
+        time = sendTicks(handle, MidiClock.PPQN * 2, 120, time); // Two beats later: F Major
+        expect(noteOns()).toEqual([48, 52, 55, 53, 57, 60]);
+
+        clock.handleMessage([0xFC]);
+        expect(onComplete).toHaveBeenCalled();
+        expect(sent.filter(m => m[0] === 0x80).map(m => m[1])).toEqual([48, 52, 55, 53, 57, 60]);
+        expect(clock.listenerCount('beat')).toBe(0);
+        stopPlayback();
+    });
+
+    test('playProgression re-anchors when the song position jumps back before its start', async () => {
+        const sent = [];
+        const output = { id: 'out-1', name: 'Synth', send: data => sent.push(data) };
+        global.navigator = { requestMIDIAccess: jest.fn().mockResolvedValue({ outputs: new Map([['out-1', output]]) }) };
+
+        const { initMidiOutput, setOutput, playProgression, stopPlayback } = require('../src/midi-output');
+        await initMidiOutput();
+        setOutput('out-1');
+
+        const clock = new MidiClock();
+        const handle = msg => clock.handleMessage(msg.data, msg.timeStamp);
+        const noteOns = () => sent.filter(m => m[0] === 0x90).map(m => m[1]);
+        playProgression(['C Major', 'F Major'], 120, 2, 'Mid', jest.fn(), { clock });
+
+        clock.handleMessage([0xF2, 16, 0]); // Bar 2
+        clock.handleMessage([0xFB]);
+        let time = sendTicks(handle, 1, 120);
+        expect(noteOns()).toEqual([48, 52, 55]);
+
+        // Host jumps back to bar 1, beat 2: silence until the next downbeat, then from the top
+        clock.handleMessage([0xF2, 4, 0]);
+        time = sendTicks(handle, 1, 120, time);
+        expect(sent.filter(m => m[0] === 0x80).map(m => m[1])).toEqual([48, 52, 55]);
+        time = sendTicks(handle, MidiClock.PPQN * 3, 120, time); // Bar 2, beat 1
+        expect(noteOns()).toEqual([48, 52, 55, 48, 52, 55]);
+
+        // Jumping back to a downbeat restarts right away
+        clock.handleMessage([0xF2, 0, 0]);
+        sendTicks(handle, 1, 120, time);
+        expect(noteOns()).toEqual([48, 52, 55, 48, 52, 55, 48, 52, 55]);
+        stopPlayback();
+    });
+});
@@ -0,0 +1,181 @@
+const {
+    detectModeFromChords, suggestModalNextChords, suggestModalInterchange, detectModalDrift, getModeInfo,
+    MODES, PARENT_SCALES
+} = require('../src/modal-context');
+const SCALES = require('../src/scale-dictionary');
+
+describe('Modal Context', () => {
+
+    describe('detectModeFromChords with seventh chords', () => {
+        test('ii7–V7–Imaj7 keeps its modal context', () => {
+            expect(detectModeFromChords(['D Min7', 'G Dom7', 'C Maj7']))
+                .toEqual({ tonic: 'C', mode: 'Ionian', confidence: 1 });
+        });
+
+        test('ninths, elevenths and lead-sheet spellings match', () => {
+            const result = detectModeFromChords(['Cm9', 'F9', 'Cm11']);
+            expect(result).toMatchObject({ tonic: 'C', mode: 'Dorian', confidence: 1 });
+        });
+
+        test('chords outside every table count when their tones fit the mode', () => {
+            // C6/9, Gsus4 and a power chord are not stacked thirds, but lie in C Ionian
+            const result = detectModeFromChords(['C Maj6/9', 'G Sus4', 'F 5', 'C Major']);
+            expect(result).toMatchObject({ tonic: 'C', mode: 'Ionian', confidence: 1 });
+        });
+
+        test('a chord with a tone outside the mode lowers confidence', () => {
+            const result = detectModeFromChords(['D Min7', 'G Dom7', 'C Maj7', 'Db Maj7', 'C Maj7']);
+            expect(result.mode).toBe('Ionian');
+            expect(result.confidence).toBe(0.8);
+        });
+    });
+
+    describe('Modes of every parent scale', () => {
+        test('each mode is the matching rotation of its parent', () => {
+            expect(MODES).toHaveLength(35);
+            for (const modes of Object.values(PARENT_SCALES)) {
+                const parent = SCALES[modes[0]];
+                modes.forEach((mode, rotation) => {
+                    const rotated = parent.map((_, i) => (parent[(i + rotation) % 7] - parent[rotation] + 12) % 12);
+                    expect(SCALES[mode]).toEqual(rotated);
+                });
+            }
+        });
+
+        test('degree names and characteristic tones', () => {
+            expect(getModeInfo('Dorian')).toMatchObject({ parent: 'Major', rotation: 1, characteristicTones: [9] });
+            expect(getModeInfo('Dorian').degreeNames).toEqual(['i', 'ii', 'III', 'IV', 'v', 'vi°', 'VII']);
+
+            const lydianDominant = getModeInfo('Lydian Dominant');
+            expect(lydianDominant).toMatchObject({ parent: 'Melodic Minor', rotation: 3, characteristicTones: [6, 10] });
+            expect(lydianDominant.degreeNames).toEqual(['I', 'II', 'iii°', 'iv°', 'v', 'vi', 'VII+']);
+            expect(getModeInfo('Phrygian Dominant').characteristicTones).toEqual([1, 4]);
+            expect(getModeInfo('Blues')).toBeNull();
+
+            // Degrees without a triad claim no quality: a quartal stack, or the bare scale degree (B Db F)
+            expect(getModeInfo('Double Harmonic Major').degreeNames).toEqual(['I', 'II', 'iii', 'iv', 'V quartal', 'VI+', '7\u0302']);
+        });
+
+        test.each([
+            [['C Dom7', 'D Dom7', 'C Dom7'], 'C', 'Lydian Dominant'],
+            [['G Dom7', 'Ab Major', 'G Dom7'], 'G', 'Phrygian Dominant'],
+            [['A Minor', 'D Minor', 'E Dom7', 'A Minor'], 'A', 'Harmonic Minor'],
+            [['C MinMaj7', 'D Min7', 'C MinMaj7'], 'C', 'Melodic Minor']
+        ])('%j → %s %s', (chords, tonic, mode) => {
+            expect(detectModeFromChords(chords)).toMatchObject({ tonic, mode, confidence: 1 });
+        });
+
+        test('church modes still win ties', () => {
+            expect(detectModeFromChords(['C Major', 'F Major', 'G Major', 'C Major']).mode).toBe('Ionian');
+            expect(detectModeFromChords(['E Major', 'A Minor'])).toMatchObject({ tonic: 'A', mode: 'Harmonic Minor' });
+        });
+    });
+
+    describe('suggestModalNextChords', () => {
+        test('characteristic chords of a mode come forward', () => {
+            const suggestions = suggestModalNextChords('Lydian Dominant', 'C', 'C Major');
+            const second = suggestions.find(s => s.name === 'D Major');
+            expect(second).toMatchObject({ function: 'II', characteristic: true });
+            expect(second.confidence).toBeGreaterThan(suggestions.find(s => s.name === 'A Minor').confidence);
+            expect(suggestions.map(s => s.name)).toContain('Bb Augmented');
+        });
+
+        test('seventh chords in, seventh chords out', () => {
+            const suggestions = suggestModalNextChords('Ionian', 'C', 'D Min7');
+            expect(suggestions.map(s => s.name)).toEqual(expect.arrayContaining(['G Dom7', 'C Maj7', 'B m7b5 (Half-Dim)']));
+            expect(suggestions.find(s => s.name === 'G Dom7').function).toBe('V7');
+            expect(suggestions.find(s => s.name === 'B m7b5 (Half-Dim)').function).toBe('viiø7');
+            // Same degree as the last chord goes to the bottom
+            expect(suggestions[suggestions.length - 1].name).toBe('D Min7');
+        });
+
+        test('triads after a triad; size can be forced', () => {
+            expect(suggestModalNextChords('Dorian', 'D', 'D Minor').map(s => s.name)).toContain('G Major');
+            const ninths = suggestModalNextChords('Dorian', 'D', 'D Minor', { size: 5 });
+            expect(ninths.find(s => s.function.startsWith('i9')).name).toBe('D Min9');
+            // No ninth on vi° in the dictionary: falls back to the seventh
+            expect(ninths.map(s => s.name)).toContain('B m7b5 (Half-Dim)');
+        });
+    });
+
+    describe('suggestModalInterchange', () => {
+        test('borrows bVI, bVII and iv in major, labelled with their source', () => {
+            const borrowed = suggestModalInterchange('Ionian', 'C', 'C Major');
+            expect(borrowed).toEqual(expect.arrayContaining([
+                expect.objectContaining({ name: 'Ab Major', function: 'bVI (Aeolian)', borrowedFrom: 'Aeolian' }),
+                expect.objectContaining({ name: 'Bb Major', function: 'bVII (Mixolydian)', borrowedFrom: 'Mixolydian' }),
+                expect.objectContaining({ name: 'F Minor', numeral: 'iv', colour: 1 })
+            ]));
+            // Nothing already in C Ionian
+            expect(borrowed.map(s => s.name)).not.toEqual(expect.arrayContaining(['F Major']));
+            expect(borrowed.map(s => s.name)).not.toContain('G Major');
+        });
+
+        test('stock parallel-minor borrowings rank above distant-mode colour', () => {
+            const borrowed = suggestModalInterchange('Ionian', 'C', 'C Major');
+            expect(borrowed.slice(0, 4).map(s => s.numeral)).toEqual(['bVII', 'iv', 'bIII', 'bVI']);
+            expect(borrowed.slice(4).map(s => s.numeral)).toEqual(expect.arrayContaining(['i', 'v', 'vii']));
+
+            const minor = suggestModalInterchange('Aeolian', 'A', 'A Minor');
+            expect(minor.slice(0, 3).map(s => s.numeral)).toEqual(['I', 'IV', 'V']);
+        });
+
+        test('ranks smooth voice leading above wide leaps', () => {
+            const borrowed = suggestModalInterchange('Ionian', 'C', 'C Major', { limit: 20 });
+            for (let i = 1; i < borrowed.length; i++) {
+                expect(borrowed[i].confidence).toBeLessThanOrEqual(borrowed[i - 1].confidence);
+            }
+            const fm = borrowed.find(s => s.name === 'F Minor');
+            const db = borrowed.find(s => s.name === 'Db Major');
+            expect(fm.voiceCost).toBeLessThan(db.voiceCost + 1);
+            expect(fm.confidence).toBeGreaterThan(db.confidence);
+        });
+
+        test('minor keys borrow from major and Dorian; sevenths follow the last chord', () => {
+            const names = suggestModalInterchange('Aeolian', 'A', 'A Minor').map(s => s.name);
+            expect(names).toEqual(expect.arrayContaining(['A Major', 'D Major']));
+
+            const sevenths = suggestModalInterchange('Ionian', 'C', 'C Maj7');
+            expect(sevenths.find(s => s.borrowedFrom === 'Mixolydian' && s.numeral === 'I7').name).toBe('C Dom7');
+            expect(sevenths.map(s => s.name)).not.toContain('C Maj7');
+        });
+
+        test('unknown modes and tonics return nothing', () => {
+            expect(suggestModalInterchange('Blues', 'C')).toEqual([]);
+            expect(suggestModalInterchange('Ionian', 'H')).toEqual([]);
+        });
+    });
+
+    describe('Modal colour', () => {
+        test('chords holding the characteristic tone outrank neutral ones', () => {
+            const dorian = suggestModalNextChords('Dorian', 'D', 'D Minor');
+            const confidence = name => dorian.find(s => s.name === name).confidence;
+            expect(dorian.find(s => s.name === 'G Major')).toMatchObject({ function: 'IV', characteristic: true });
+            expect(confidence('G Major')).toBeGreaterThan(confidence('F Major'));
+
+            const mixolydian = suggestModalNextChords('Mixolydian', 'G', 'G Major');
+            expect(mixolydian[0]).toMatchObject({ characteristic: true });
+            expect(mixolydian.find(s => s.name === 'F Major').characteristic).toBe(true);
+        });
+
+        test('chords pulling toward the relative centre rank lower', () => {
+            const dorian = suggestModalNextChords('Dorian', 'D', 'D Min7');
+            const confidence = name => dorian.find(s => s.name === name).confidence;
+            expect(confidence('C Maj7')).toBeLessThan(confidence('E Min7'));
+            // G7 holds the Dorian 6th but resolves to C
+            expect(confidence('G Dom7')).toBeLessThan(confidence('E Min7'));
+            expect(getModeInfo('Dorian').relativeCentres).toEqual([{ offset: 10, mode: 'Ionian' }, { offset: 7, mode: 'Aeolian' }]);
+            expect(getModeInfo('Phrygian Dominant').relativeCentres).toEqual([{ offset: 5, mode: 'Harmonic Minor' }]);
+            expect(getModeInfo('Ionian').relativeCentres).toEqual([]);
+        });
+
+        test('warns when a progression drifts to the relative centre', () => {
+            expect(detectModalDrift('Dorian', 'D', ['D Minor', 'G Major', 'C Major']))
+                .toMatchObject({ drifting: true, centre: 'C Ionian' });
+            expect(detectModalDrift('Dorian', 'D', ['D Minor', 'G Major', 'D Minor', 'G Major']))
+                .toMatchObject({ drifting: false });
+            expect(detectModalDrift('Dorian', 'D', ['D Minor', 'G Major'])).toBeNull();
+            expect(detectModalDrift('Ionian', 'C', ['C Major', 'F Major', 'G Major'])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const ModulationTracker = require('../src/modulation-tracker');
+
+function track(chords) {
+    const tracker = new ModulationTracker();
+    chords.forEach((chord, i) => tracker.addChord(chord, i * 1000));
+    return tracker;
+}
+
+describe('Modulation Tracker', () => {
+
+    test('one key: a single region', () => {
+        const timeline = track(['C Major', 'F Major', 'G Dom7', 'C Major']).getTimeline();
+        expect(timeline).toHaveLength(1);
+        expect(timeline[0]).toMatchObject({ key: 'C Major', start: 0, end: 3, change: 'start' });
+    });
+
+    test('pivot modulation C → G through Am (vi → ii)', () => {
+        const tracker = track(['C Major', 'F Major', 'G Major', 'C Major', 'A Minor', 'D Major', 'G Major', 'C Major/G', 'D Dom7', 'G Major']);
+        const timeline = tracker.getTimeline();
+        expect(timeline.map(r => r.key)).toEqual(['C Major', 'G Major']);
+        expect(timeline[1].change).toBe('pivot');
+        expect(timeline[1].pivot).toEqual({ index: 4, chord: 'A Minor', from: 'vi', to: 'ii' });
+        expect(timeline[1].startTime).toBe(timeline[1].start * 1000);
+        expect(tracker.getCurrentKey()).toBe('G Major');
+    });
+
+    test('direct (truck-driver) modulation up a half step', () => {
+        const timeline = track(['C Major', 'F Major', 'G Dom7', 'C Major', 'Db Major', 'Gb Major', 'Ab Dom7', 'Db Major']).getTimeline();
+        expect(timeline.map(r => r.key)).toEqual(['C Major', 'Db Major']);
+        expect(timeline[1]).toMatchObject({ start: 4, change: 'direct', pivot: null });
+    });
+
+    test('secondary dominants are tonicizations, not modulations', () => {
+        const timeline = track(['C Major', 'A Dom7', 'D Minor', 'G Dom7', 'C Major', 'E Dom7', 'A Minor', 'F Major', 'G Major', 'C Major']).getTimeline();
+        expect(timeline).toHaveLength(1);
+        expect(timeline[0].tonicizations.map(t => t.label)).toEqual(['V/ii', 'V/vi']);
+        expect(timeline[0].tonicizations[0]).toMatchObject({ chord: 'A Dom7', target: 'D Minor' });
+    });
+
+    test('a diminished pivot keeps its quality (vii° → ii°)', () => {
+        const timeline = track(['C Major', 'F Major', 'G Major', 'C Major', 'B Diminished', 'E Dom7', 'A Minor', 'D Minor', 'E Major', 'A Minor']).getTimeline();
+        expect(timeline.map(r => r.key)).toEqual(['C Major', 'A Minor']);
+        expect(timeline[1].pivot).toEqual({ index: 4, chord: 'B Diminished', from: 'vii°', to: 'ii°' });
+    });
+
+    test('relative minor to major through the tonic', () => {
+        const timeline = track(['A Minor', 'D Minor', 'E Dom7', 'A Minor', 'F Major', 'G Major', 'C Major', 'F Major', 'G Dom7', 'C Major']).getTimeline();
+        expect(timeline.map(r => r.key)).toEqual(['A Minor', 'C Major']);
+        expect(timeline[1].pivot).toMatchObject({ chord: 'A Minor', from: 'i', to: 'vi' });
+    });
+
+    test('repeated chords are recorded once; reset clears', () => {
+        const tracker = new ModulationTracker();
+        expect(tracker.addChord('C Major')).toBe(true);
+        expect(tracker.addChord('C Major')).toBe(false);
+        expect(tracker.addChord('not a chord')).toBe(false);
+        expect(tracker.history).toHaveLength(1);
+        tracker.reset();
+        expect(tracker.getTimeline()).toEqual([]);
+        expect(tracker.getCurrentKey()).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+const {
+    parseNoteName, noteToPC, preferredTonicName, getKeySpelling,
+    spellPitchClass, spellMidiNote, spellChordTone, getKeySignature
+} = require('../src/pitch-spelling');
+
+describe('Pitch Spelling', () => {
+
+    describe('Parsing', () => {
+        test('parses naturals, sharps and flats', () => {
+            expect(noteToPC('C')).toBe(0);
+            expect(noteToPC('F#')).toBe(6);
+            expect(noteToPC('Db')).toBe(1);
+            expect(noteToPC('Bb')).toBe(10);
+            expect(noteToPC('Cb')).toBe(11);
+            expect(noteToPC('E#')).toBe(5);
+        });
+
+        test('parses double accidentals', () => {
+            expect(noteToPC('F##')).toBe(7);
+            expect(noteToPC('Fx')).toBe(7);
+            expect(noteToPC('Bbb')).toBe(9);
+        });
+
+        test('parses unicode accidentals', () => {
+            expect(noteToPC('E♭')).toBe(3);
+            expect(noteToPC('G♯')).toBe(8);
+            expect(noteToPC('C𝄪')).toBe(2);
+            expect(noteToPC('B𝄫')).toBe(9);
+        });
+
+        test('rejects invalid names', () => {
+            expect(noteToPC('H')).toBe(-1);
+            expect(noteToPC('c')).toBe(-1);
+            expect(noteToPC('')).toBe(-1);
+            expect(noteToPC(null)).toBe(-1);
+            expect(parseNoteName('Major')).toBeNull();
+        });
+    });
+
+    describe('Key Spelling', () => {
+        test('F Major spells Bb, not A#', () => {
+            expect(spellPitchClass(10, 'F Major')).toBe('Bb');
+        });
+
+        test('Eb Minor spells every scale tone with flats', () => {
+            const spelling = getKeySpelling('Eb Minor');
+            expect([3, 5, 6, 8, 10, 11, 1].map(pc => spelling[pc]))
+                .toEqual(['Eb', 'F', 'Gb', 'Ab', 'Bb', 'Cb', 'Db']);
+        });
+
+        test('sharp keys use E# and leading tones', () => {
+            expect(spellPitchClass(5, 'F# Major')).toBe('E#');
+            expect(spellPitchClass(8, 'A Minor')).toBe('G#');
+        });
+
+        test('borrowed chromatic tones are spelled flat', () => {
+            expect(spellPitchClass(10, 'C Major')).toBe('Bb');
+            expect(spellPitchClass(3, 'C Major')).toBe('Eb');
+            expect(spellPitchClass(6, 'C Major')).toBe('F#');
+        });
+
+        test('no key falls back to sharps', () => {
+            expect(spellPitchClass(10, null)).toBe('A#');
+            expect(spellPitchClass(1, 'Nonsense Scale')).toBe('C#');
+        });
+
+        test('preferred tonic follows the key signature', () => {
+            expect(preferredTonicName(10, 'Major')).toBe('Bb');
+            expect(preferredTonicName(1, 'Major')).toBe('Db');
+            expect(preferredTonicName(6, 'Major')).toBe('F#');
+            expect(preferredTonicName(8, 'Minor')).toBe('G#');
+            expect(preferredTonicName(3, 'Minor')).toBe('Eb');
+            expect(preferredTonicName(1, 'Dorian')).toBe('C#');
+        });
+
+        test('spells MIDI notes with letter-correct octaves', () => {
+            expect(spellMidiNote(70, 'F Major')).toBe('Bb4');
+            expect(spellMidiNote(59, 'Eb Minor')).toBe('Cb4');
+            expect(spellMidiNote(60, 'C# Major')).toBe('B#3');
+        });
+
+        test('spells chord tones from the root', () => {
+            expect([0, 4, 7, 10].map(i => spellChordTone('C', i, 'Dom7'))).toEqual(['C', 'E', 'G', 'Bb']);
+            expect([0, 3, 6, 9].map(i => spellChordTone('C', i, 'Dim7'))).toEqual(['C', 'Eb', 'Gb', 'Bbb']);
+            expect([0, 4, 7, 10, 15].map(i => spellChordTone('C', i, '7#9'))).toEqual(['C', 'E', 'G', 'Bb', 'D#']);
+        });
+
+        test('key signatures', () => {
+            expect(getKeySignature('Eb Minor')).toEqual({ sharps: -6, minor: true });
+            expect(getKeySignature('B Major')).toEqual({ sharps: 5, minor: false });
+            expect(getKeySignature('D Dorian')).toEqual({ sharps: 0, minor: true });
+            expect(getKeySignature('A Harmonic Minor')).toEqual({ sharps: 0, minor: true });
+        });
+    });
+});
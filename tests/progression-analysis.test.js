@@ -0,0 +1,65 @@
+const { analyzeProgression } = require('../src/progression-analysis');
+
+const numerals = (analysis) => analysis.chords.map(c => c.numeral);
+const functions = (analysis) => analysis.chords.map(c => c.function);
+
+describe('Progression Analysis', () => {
+
+    test('numerals with inversion figures and T/PD/D functions', () => {
+        const analysis = analyzeProgression(['C Major', 'A Minor', 'D Minor/F', 'G Dom7/B', 'C Major'], 'C Major');
+        expect(numerals(analysis)).toEqual(['I', 'vi', 'ii6', 'V65', 'I']);
+        expect(functions(analysis)).toEqual(['T', 'T', 'PD', 'D', 'T']);
+
+        const figures = analyzeProgression(['C Major/G', 'G Dom7/D', 'G Dom7/F', 'D Dom7/F#'], 'C Major');
+        expect(numerals(figures)).toEqual(['I64', 'V43', 'V42', 'V65/V']);
+        // V/V prepares the dominant
+        expect(figures.chords[3]).toMatchObject({ type: 'secondary', function: 'PD' });
+    });
+
+    test('inversions come from the triad and seventh; other bass tones keep a slash', () => {
+        const analysis = analyzeProgression(['C Maj6/A', 'C Maj9/D', 'C Maj9/E', 'C Maj7/B', 'B Dim7/Ab'], 'C Major');
+        expect(numerals(analysis)).toEqual(['I/6', 'Imaj7/2', 'Imaj65', 'Imaj42', 'vii°42']);
+        expect(analysis.chords[0].figure).toBe('/6');
+    });
+
+    test('cadence types', () => {
+        const authentic = analyzeProgression(['C Major', 'F Major', 'G Dom7', 'C Major'], 'C Major');
+        expect(authentic.cadences).toEqual([
+            { type: 'authentic', strength: 'perfect', index: 3, from: 'G Dom7', to: 'C Major' }
+        ]);
+        const imperfect = analyzeProgression(['C Major', 'D Minor', 'G Dom7', 'C Major/E'], 'C Major');
+        expect(imperfect.cadences[0]).toMatchObject({ type: 'authentic', strength: 'imperfect' });
+
+        expect(analyzeProgression(['C Major', 'A Minor', 'F Major', 'G Major'], 'C Major').cadences[0].type).toBe('half');
+        expect(analyzeProgression(['C Major', 'G Major', 'F Major', 'C Major'], 'C Major').cadences[0].type).toBe('plagal');
+        expect(analyzeProgression(['A Minor', 'D Minor', 'E Dom7', 'F Major'], 'A Minor').cadences[0])
+            .toMatchObject({ type: 'deceptive', index: 3 });
+    });
+
+    test('cadences split the bank into phrases', () => {
+        const analysis = analyzeProgression(
+            ['C Major', 'F Major', 'G Major', 'A Minor', 'D Min7', 'G Dom7', 'C Major/G', 'G Dom7', 'C Major'], 'C Major');
+        expect(analysis.phrases).toEqual([
+            { start: 0, end: 3, cadence: 'deceptive' },
+            { start: 4, end: 8, cadence: 'authentic' }
+        ]);
+        // Cadential six-four: dominant function, not an arrival
+        expect(analysis.chords[6]).toMatchObject({ numeral: 'I64', function: 'D' });
+
+        // A loop returning to its opening chord: each pass ends on a half cadence
+        const loop = analyzeProgression(['A Minor', 'F Major', 'C Major', 'G Major', 'A Minor', 'F Major', 'C Major', 'G Major'], 'C Major');
+        expect(loop.phrases.map(p => [p.start, p.end, p.cadence])).toEqual([[0, 3, 'half'], [4, 7, 'half']]);
+
+        // V–I opening a phrase is too short to close it
+        const open = analyzeProgression(['G Major', 'C Major', 'F Major', 'D Minor'], 'C Major');
+        expect(open.cadences).toEqual([]);
+        expect(open.phrases).toEqual([{ start: 0, end: 3, cadence: null }]);
+    });
+
+    test('unknown chords, empty banks and non-heptatonic keys', () => {
+        const analysis = analyzeProgression(['C Major', 'nonsense', 'G Major'], 'C Major');
+        expect(analysis.chords[1]).toMatchObject({ numeral: '?', function: null });
+        expect(analyzeProgression([], 'C Major')).toBeNull();
+        expect(analyzeProgression(['C Major'], 'C Pentatonic Major')).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+const ProgressionModel = require('../src/progression-model');
+const { suggestNextChords } = require('../src/suggestion-engine');
+
+const POP_LOOP = ['C Major', 'A Minor', 'E Minor', 'F Major'];
+
+function trained(chords, key, times) {
+    const model = new ProgressionModel();
+    for (let i = 0; i < times; i++) model.train(chords, key);
+    return model;
+}
+
+describe('Progression Model', () => {
+
+    test('learns key-relative function transitions', () => {
+        expect(ProgressionModel.functionToken('V7/V')).toBe('V/V');
+        expect(ProgressionModel.functionToken('viiø7')).toBe('vii°');
+        expect(ProgressionModel.functionToken('IVmaj7')).toBe('IV');
+
+        const model = trained(POP_LOOP, 'C Major', 3);
+        // Four chords, three chord-to-chord transitions per progression
+        expect(model.getStats()).toEqual({ progressions: 3, chords: 12, transitions: 9 });
+
+        // vi → iii was always followed by IV
+        const next = model.predict(['C Major', 'A Minor', 'E Minor'], 'C Major');
+        const best = Object.entries(next).sort((a, b) => b[1] - a[1])[0][0];
+        expect(best).toBe('IV');
+        // The same habit in another key
+        expect(model.score(['Eb Major', 'C Minor'], 'Eb Major', 'G Minor'))
+            .toBeGreaterThan(model.score(['Eb Major', 'C Minor'], 'Eb Major', 'Ab Major'));
+    });
+
+    test('untrained model predicts nothing and unreadable input is ignored', () => {
+        const model = new ProgressionModel();
+        expect(model.predict(['C Major'], 'C Major')).toEqual({});
+        expect(model.train([], 'C Major')).toBe(0);
+        expect(model.train(POP_LOOP, 'C Pentatonic Major')).toBe(0);
+        expect(model.getStats().progressions).toBe(0);
+    });
+
+    test('blends into next-chord suggestions as the model grows', () => {
+        const history = ['C Major', 'A Minor'];
+        const rules = suggestNextChords(history, 'C Major');
+        expect(rules.some(s => s.learned !== undefined)).toBe(false);
+
+        // A couple of progressions barely move the rule ranking
+        const small = trained(POP_LOOP, 'C Major', 1);
+        expect(suggestNextChords(history, 'C Major', 3, { model: small })[0].name).toBe(rules[0].name);
+
+        const model = trained(POP_LOOP, 'C Major', 15);
+        const learned = suggestNextChords(history, 'C Major', 3, { model });
+        expect(learned[0].name).toBe('E Minor');
+        expect(learned[0].learned).toBeGreaterThan(0.5);
+    });
+
+    test('remembers learned progressions so an unchanged bank is not counted twice', () => {
+        const model = trained(POP_LOOP, 'C Major', 1);
+        expect(model.hasLearned(POP_LOOP, 'C Major')).toBe(true);
+        expect(model.hasLearned(POP_LOOP, 'G Major')).toBe(false);
+        expect(model.hasLearned([...POP_LOOP, 'G Major'], 'C Major')).toBe(false);
+        // Untrainable input is not remembered
+        model.train(POP_LOOP, 'C Pentatonic Major');
+        expect(model.hasLearned(POP_LOOP, 'C Pentatonic Major')).toBe(false);
+    });
+
+    test('round-trips through JSON; reset forgets everything', () => {
+        const model = trained(POP_LOOP, 'C Major', 2);
+        const copy = ProgressionModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        expect(copy.getStats()).toEqual(model.getStats());
+        expect(copy.predict(['C Major'], 'C Major')).toEqual(model.predict(['C Major'], 'C Major'));
+        expect(copy.hasLearned(POP_LOOP, 'C Major')).toBe(true);
+
+        expect(() => ProgressionModel.fromJSON({ chords: [] })).toThrow('Not a progression model file');
+        expect(() => ProgressionModel.fromJSON(null)).toThrow();
+
+        model.reset();
+        expect(model.getStats()).toEqual({ progressions: 0, chords: 0, transitions: 0 });
+        expect(model.hasLearned(POP_LOOP, 'C Major')).toBe(false);
+    });
+});
@@ -0,0 +1,39 @@
+const {
+    negativeHarmony, retrograde, rotate, transposeByDegree, remapMode, transformProgression
+} = require('../src/progression-transform');
+
+const POP = ['C Major', 'A Minor', 'F Major', 'G Dom7'];
+
+describe('Progression Transform', () => {
+
+    test('negative harmony mirrors around the tonic–dominant axis', () => {
+        expect(negativeHarmony(POP, 'C Major')).toEqual(['C Minor', 'Eb Major', 'G Minor', 'D m7b5 (Half-Dim)']);
+        expect(negativeHarmony(['C Maj7', 'C Major/E'], 'C Major')).toEqual(['Ab Maj7', 'C Minor/Eb']);
+        // Extensions the dictionary cannot name fall back to the triad
+        expect(negativeHarmony(['C Add9'], 'C Major')).toEqual(['C Minor']);
+        expect(negativeHarmony(POP, 'Not A Key')).toBeNull();
+    });
+
+    test('retrograde and rotation reorder without changing chords', () => {
+        expect(retrograde(POP)).toEqual(['G Dom7', 'F Major', 'A Minor', 'C Major']);
+        expect(rotate(POP)).toEqual(['A Minor', 'F Major', 'G Dom7', 'C Major']);
+        expect(rotate(POP, -1)).toEqual(['G Dom7', 'C Major', 'A Minor', 'F Major']);
+        expect(rotate(POP, 4)).toEqual(POP);
+        expect(POP).toEqual(['C Major', 'A Minor', 'F Major', 'G Dom7']);
+    });
+
+    test('degree transposition follows the scale; chromatic chords keep their quality', () => {
+        expect(transposeByDegree(POP, 'C Major', 1)).toEqual(['D Minor', 'B Diminished', 'G Major', 'A Min7']);
+        expect(transposeByDegree(POP, 'C Major', -1)).toEqual(['B Diminished', 'G Major', 'E Minor', 'F Maj7']);
+        expect(transposeByDegree(['A Dom7'], 'C Major', 1)).toEqual(['B Dom7']);
+    });
+
+    test('modal re-mapping keeps the tonic and changes the qualities', () => {
+        expect(remapMode(POP, 'C Major', 'Dorian')).toEqual(['C Minor', 'A Diminished', 'F Major', 'G Min7']);
+        expect(remapMode(['E Dom7'], 'A Minor', 'Harmonic Minor')).toEqual(['E Dom7']);
+        expect(remapMode(POP, 'C Major', 'Unknown')).toBeNull();
+        expect(transformProgression(POP, 'C Major', { type: 'remap', mode: 'Dorian' }))
+            .toEqual(remapMode(POP, 'C Major', 'Dorian'));
+        expect(transformProgression(POP, 'C Major', { type: 'unknown' })).toBeNull();
+    });
+});
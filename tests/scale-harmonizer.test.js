@@ -0,0 +1,50 @@
+const { harmonizeScale } = require('../src/scale-harmonizer');
+const { suggestDiatonicChords, suggestNextChords } = require('../src/suggestion-engine');
+const { suggestModalNextChords } = require('../src/modal-context');
+
+const names = (list) => list.map(c => c.name);
+
+describe('Scale Harmonizer', () => {
+
+    test('pentatonic minor: tertian, sus and quartal stacks from its own notes', () => {
+        const chords = harmonizeScale('A Pentatonic Minor');
+        expect(chords.find(c => c.type === 'tertian' && c.degree === 0)).toMatchObject({ name: 'A Minor', function: 'i' });
+        expect(chords.find(c => c.type === 'tertian' && c.degree === 1)).toMatchObject({ name: 'C Major', function: 'III' });
+        expect(names(chords)).toEqual(expect.arrayContaining(['D Sus4', 'G Sus4', 'D Sus4/A']));
+        // Every chord tone lies in A C D E G
+        const scale = [9, 0, 2, 4, 7];
+        for (const chord of chords) expect(scale).toContain(chord.rootPC);
+    });
+
+    test('size 4 extends triads and sus chords with scale tones', () => {
+        const chords = harmonizeScale('C Pentatonic Major', { size: 4 });
+        expect(names(chords)).toEqual(expect.arrayContaining(['C Maj6', 'A Min7', 'D 7sus4']));
+    });
+
+    test('symmetric and Japanese scales', () => {
+        expect(harmonizeScale('C Whole Tone').every(c => c.quality === 'Augmented')).toBe(true);
+        expect(harmonizeScale('C Diminished HW').filter(c => c.type === 'tertian').map(c => c.function))
+            .toEqual(['I', 'bii°', 'bIII', 'iii°', '#IV', 'v°', 'VI', 'bvii°']);
+        expect(names(harmonizeScale('C Insen'))).toEqual(expect.arrayContaining(['C Sus4', 'G Diminished', 'Bb Minor']));
+        expect(harmonizeScale('C Nonexistent')).toEqual([]);
+    });
+
+    test('suggestion engines produce candidates for scales without diatonic triads', () => {
+        for (const scale of ['Pentatonic Major', 'Pentatonic Minor', 'Blues', 'Whole Tone', 'Insen', 'Diminished HW']) {
+            expect(suggestDiatonicChords(`C ${scale}`).length).toBeGreaterThan(0);
+            expect(suggestNextChords(['C Major'], `C ${scale}`).length).toBeGreaterThan(0);
+            expect(suggestModalNextChords(scale, 'C').length).toBeGreaterThan(0);
+        }
+
+        const diatonic = suggestDiatonicChords('A Pentatonic Minor', 'A Minor');
+        expect(names(diatonic)).not.toContain('A Minor');
+        expect(diatonic[0].name).toBe('A Sus4');
+
+        const next = suggestNextChords(['A Minor', 'E Minor'], 'A Blues');
+        expect(next.length).toBeGreaterThan(0);
+        expect(next.length).toBeLessThanOrEqual(5);
+
+        const modal = suggestModalNextChords('Pentatonic Minor', 'A', 'A Minor');
+        expect(modal.find(s => s.name === 'A Minor').confidence).toBeLessThan(modal.find(s => s.name === 'A Sus4').confidence);
+    });
+});
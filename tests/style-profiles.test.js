@@ -0,0 +1,76 @@
+const { getStyle, listStyles, DEFAULT_STYLE } = require('../src/style-profiles');
+const { suggestNextChords } = require('../src/suggestion-engine');
+const { suggestModalNextChords } = require('../src/modal-context');
+
+const names = (suggestions) => suggestions.map(s => s.name);
+
+describe('Style Profiles', () => {
+
+    test('every style file loads with all fields filled from Standard', () => {
+        const ids = listStyles().map(s => s.id);
+        expect(ids[0]).toBe(DEFAULT_STYLE);
+        expect(ids).toEqual(expect.arrayContaining(['pop', 'jazz', 'gospel', 'edm', 'film']));
+
+        const standard = getStyle(DEFAULT_STYLE);
+        for (const id of ids) {
+            const style = getStyle(id);
+            expect(style.degreeWeights).toHaveLength(7);
+            expect(Object.keys(style)).toEqual(expect.arrayContaining(Object.keys(standard)));
+            expect(Object.keys(style.modal)).toEqual(Object.keys(standard.modal));
+        }
+        expect(getStyle('no-such-style').id).toBe(DEFAULT_STYLE);
+    });
+
+    test('Standard keeps the built-in weighting', () => {
+        // Names, numerals and confidences of the hard-coded rules before style profiles
+        const standard = { style: getStyle(DEFAULT_STYLE) };
+        const pinned = history => suggestNextChords(history, 'C Major', 3, standard)
+            .map(s => [s.name, s.function, +s.confidence.toFixed(3)]);
+        expect(pinned(['C Major', 'A Minor', 'F Major']))
+            .toEqual([['G Major', 'V', 0.4], ['C Major', 'I', 0.3], ['D Minor', 'ii', 0.05]]);
+        expect(pinned(['D Min7', 'G Major']))
+            .toEqual([['C Major', 'I', 0.3], ['A Minor', 'vi', 0.2], ['F Major', 'IV', 0.1], ['E Minor', 'iii', 0.05]]);
+        expect(pinned(['C Major', 'D Dom7'])).toEqual([['G Major', 'V', 0.3], ['F Major', 'IV', 0.15]]);
+        // Exact qualities only: D Min7 in the history does not penalize D Minor
+        expect(pinned(['C Major', 'D Min7']))
+            .toEqual([['F Major', 'IV', 0.2], ['G Major', 'V', 0.15], ['D Minor', 'ii', 0.05]]);
+
+        expect(suggestModalNextChords('Dorian', 'D', 'D Minor', standard).map(s => [s.name, +s.confidence.toFixed(3)]))
+            .toEqual([
+                ['E Minor', 0.75], ['G Major', 0.75], ['B Diminished', 0.75], ['F Major', 0.55],
+                ['D Minor', 0.5], ['A Minor', 0.4], ['C Major', 0.4]
+            ]);
+    });
+
+    test('other styles count any diatonic colour on a degree as that degree', () => {
+        const confidence = (style, name) => suggestNextChords(['C Major', 'D Min7'], 'C Major', 3, { style })
+            .find(s => s.name === name).confidence;
+        // C Major in the history is the I the pop style offers as C Add9
+        const pop = getStyle('pop');
+        expect(confidence(pop, 'C Add9')).toBeLessThan(confidence({ ...pop, matchColours: false }, 'C Add9'));
+    });
+
+    test('styles change motion, chord colours and chromatic chords', () => {
+        const jazz = suggestNextChords(['C Maj7', 'A Min7'], 'C Major', 3, { style: getStyle('jazz') });
+        // vi → ii in sevenths, with secondary dominants among the options
+        expect(jazz[0]).toMatchObject({ name: 'D Min7', function: 'ii7' });
+        expect(jazz.some(s => s.function.startsWith('V7/'))).toBe(true);
+
+        const pop = suggestNextChords(['C Major', 'G Major', 'A Minor'], 'C Major', 3, { style: getStyle('pop') });
+        expect(pop[0]).toMatchObject({ name: 'F Add9', function: 'IVadd9' });
+
+        // EDM: open sus2 chords, no chromatic chords
+        const edm = suggestNextChords(['A Minor'], 'A Minor', 3, { style: getStyle('edm') });
+        expect(names(edm)).toContain('F Sus2');
+        expect(edm.some(s => s.function.includes('/'))).toBe(false);
+    });
+
+    test('modal suggestions follow the style\'s confidences and chord size', () => {
+        const jazz = suggestModalNextChords('Dorian', 'D', 'D Minor', { style: getStyle('jazz') });
+        expect(names(jazz)).toContain('G Dom7');
+
+        const flat = { ...getStyle(DEFAULT_STYLE), modal: { tonic: 0.5, colour: 0.5, neutral: 0.5, size: 3 } };
+        const even = suggestModalNextChords('Lydian', 'F', 'C Major', { style: flat });
+        expect(new Set(even.filter(s => !s.name.startsWith('C ')).map(s => s.confidence)).size).toBeLessThanOrEqual(2);
+    });
+});
@@ -0,0 +1,45 @@
+const { suggestSubstitutions } = require('../src/substitution-engine');
+
+const byType = (subs, type) => subs.filter(s => s.type === type).map(s => s.chords);
+
+describe('Substitution Engine', () => {
+
+    test('tritone sub of a dominant, spelled toward its resolution', () => {
+        const subs = suggestSubstitutions('G Dom7', { next: 'C Major', key: 'C Major' });
+        expect(byType(subs, 'tritone')).toEqual([['Db Dom7']]);
+        // A plain triad moving down a fifth acts as a dominant too
+        expect(byType(suggestSubstitutions('D Major', { next: 'G Major' }), 'tritone')).toEqual([['Ab Dom7']]);
+        // Other chords: the tritone sub of the dominant into the next chord
+        expect(byType(suggestSubstitutions('A Minor', { next: 'F Major' }), 'tritone')).toEqual([['Gb Dom7']]);
+    });
+
+    test('relative major and minor keep the seventh', () => {
+        expect(byType(suggestSubstitutions('C Major'), 'relative')).toEqual([['A Minor']]);
+        expect(byType(suggestSubstitutions('A Min7', { key: 'C Major' }), 'relative')).toEqual([['C Maj7']]);
+        expect(byType(suggestSubstitutions('G Dom7'), 'relative')).toEqual([]);
+    });
+
+    test('substitutions depend on the next chord', () => {
+        const intoDm = suggestSubstitutions('C Major', { next: 'D Minor', key: 'C Major' });
+        expect(intoDm.find(s => s.type === 'secondary')).toMatchObject({ chords: ['A Dom7'], function: 'V7/ii' });
+        expect(byType(intoDm, 'passing')).toEqual([['C Major', 'C# Dim7']]);
+        expect(byType(intoDm, 'approach')).toEqual([['C Major', 'Eb Minor'], ['C Major', 'C# Minor']]);
+        // No backdoor into a minor chord
+        expect(byType(intoDm, 'backdoor')).toEqual([]);
+
+        const intoC = suggestSubstitutions('D Minor', { next: 'C Major', key: 'C Major' });
+        expect(intoC.find(s => s.type === 'backdoor')).toMatchObject({ chords: ['F Min7', 'Bb Dom7'], function: 'iv7 bVII7' });
+        // A whole step down: a falling passing diminished as well
+        expect(byType(intoC, 'passing')).toEqual([['D Minor', 'B Dim7'], ['D Minor', 'Db Dim7']]);
+
+        // Without a next chord only the chord's own substitutions remain
+        expect(suggestSubstitutions('C Major').map(s => s.type)).toEqual(['relative']);
+    });
+
+    test('never offers the chord itself and ignores unreadable input', () => {
+        const subs = suggestSubstitutions('G Dom7', { next: 'C Major' });
+        expect(subs.some(s => s.chords.length === 1 && s.chords[0] === 'G Dom7')).toBe(false);
+        expect(suggestSubstitutions('not a chord')).toEqual([]);
+        expect(suggestSubstitutions('C Major', { next: 'H Minor' }).map(s => s.type)).toEqual(['relative']);
+    });
+});
@@ -25,6 +25,15 @@ describe('SuggestionEngine', () => {
             expect(names).toContain('A Minor');   // vi
         });
 
+        test('spells flat keys with flats', () => {
+            const names = suggestDiatonicChords('F Major', null).map(s => s.name);
+            expect(names).toContain('Bb Major');  // IV
+            expect(names).not.toContain('A# Major');
+
+            const minorNames = suggestDiatonicChords('Eb Minor', null).map(s => s.name);
+            expect(minorNames).toEqual(expect.arrayContaining(['Eb Minor', 'Ab Minor', 'Bb Minor', 'Cb Major', 'Gb Major']));
+        });
+
         test('each suggestion has name, function, and confidence', () => {
             const suggestions = suggestDiatonicChords('C Major', null);
             for (const s of suggestions) {
@@ -195,6 +204,12 @@ describe('SuggestionEngine', () => {
     // suggestIntervals
     // ---------------------------------------------------------------
     describe('suggestIntervals', () => {
+        test('spells additions in the current key', () => {
+            const names = suggestIntervals([60], 'C Minor').map(s => s.name);
+            expect(names).toContain('Add Eb');
+            expect(names).toContain('Add Bb');
+        });
+
         test('returns interval additions for a single note', () => {
             // C4 = MIDI 60
             const suggestions = suggestIntervals([60]);
@@ -293,6 +308,35 @@ describe('SuggestionEngine', () => {
             expect(meta.midiNotes).toEqual([48, 52, 55]);
         });
 
+        test('voices extended chords with compound intervals', () => {
+            expect(getChordMetadata('C Add9', 4).midiNotes).toEqual([60, 64, 67, 74]);
+            expect(getChordMetadata('G Dom13', 3).midiNotes).toEqual([55, 59, 62, 65, 69, 76]);
+            expect(getChordMetadata('C 7#11', 4).noteNames).toEqual(['C', 'E', 'G', 'Bb', 'F#']);
+        });
+
+        test('parses flats and spells chord tones from the root', () => {
+            expect(getChordMetadata('Bb Major').noteNames).toEqual(['Bb', 'D', 'F']);
+            expect(getChordMetadata('Bb Major').midiNotes).toEqual([70, 74, 77]);
+            expect(getChordMetadata('E♭ Minor').noteNames).toEqual(['Eb', 'Gb', 'Bb']);
+            expect(getChordMetadata('Ab Major/C').noteNames).toEqual(['C', 'Eb', 'Ab']);
+        });
+
+        test('accepts lead-sheet symbols and modal stacks', () => {
+            expect(getChordMetadata('Cmaj7').midiNotes).toEqual([60, 64, 67, 71]);
+            expect(getChordMetadata('G/B').midiNotes).toEqual([71, 74, 79]);
+            expect(getChordMetadata('C Sus4 add2').midiNotes).toEqual([60, 62, 65, 67]);
+        });
+
+        test('voices slash chords with the bass lowest', () => {
+            const meta = getChordMetadata('C Major/E', 4);
+            expect(meta.midiNotes).toEqual([64, 67, 72]);
+            expect(meta.noteNames).toEqual(['E', 'G', 'C']);
+            expect(meta.rootNote).toBe(72);
+
+            // Non-chord-tone bass goes below the root
+            expect(getChordMetadata('C Major/D', 4).midiNotes).toEqual([50, 60, 64, 67]);
+        });
+
         test('returns null for invalid input', () => {
             expect(getChordMetadata(null)).toBeNull();
             expect(getChordMetadata('')).toBeNull();